@@ -2,37 +2,72 @@ import {
   ObjectCreate,
   ObjectDefineProperties,
   SymbolToStringTag,
+  Symbol,
+  ArrayIsArray,
+  ArrayBuffer,
+  ArrayBufferPrototypeGetByteLength,
   RangeError,
   SyntaxError,
   TypeError,
+  Number,
   NumberMAX_SAFE_INTEGER,
   NumberIsFinite,
   NumberIsInteger,
   BigInt,
+  BigIntAsUintN,
+  BigIntPrototypeToString,
   MathPI,
   MathAbs,
   MathAsin,
+  MathAsinh,
   MathAtan,
   MathAtan2,
+  MathAtanh,
   MathCeil,
   MathCos,
+  MathCosh,
   MathFloor,
+  MathImul,
+  MathLog,
   MathLog2,
   MathMax,
   MathMin,
-  MathRound,
   MathSin,
+  MathSinh,
   MathSqrt,
   MathTan,
+  MathRound,
+  StringFromCharCode,
   StringPrototypeSlice,
+  StringPrototypeIndexOf,
+  StringPrototypeLastIndexOf,
+  StringPrototypeToUpperCase,
+  StringPrototypeRepeat,
+  StringPrototypeCharCodeAt,
   StringPrototypeSafeSymbolIterator,
   ArrayPrototypeForEach,
+  ArrayPrototypeMap,
   ArrayPrototypePush,
+  ArrayPrototypePop,
+  ArrayPrototypeSort,
+  ArrayPrototypeSplice,
+  TypedArrayPrototypeFill,
+  TypedArrayPrototypeSort,
   ReflectSetPrototypeOf,
   SafeGenerator,
+  SafeMap,
+  SafeSet,
+  Float64Array,
+  BigUint64Array,
+  Int8Array,
+  Uint8Array,
+  Uint16Array,
+  Uint32Array,
   PrimitivesIsNumber,
   PrimitivesIsBigInt,
   PrimitivesIsString,
+  TypesIsObject,
+  TypesIsArrayBuffer,
   TypesToNumber,
   TypesToNumberOrInfinity,
   TypesToIntegerOrInfinity,
@@ -44,6 +79,12 @@ const BASE = 32
 const ALPHABET = '0123456789bcdefghjkmnpqrstuvwxyz'
 
 const BITS_PER_CHAR = 5
+const MAX_BITS_PER_CHAR = 5
+
+const GEOHASH36_ALPHABET = '23456789bBCdDFgGhHjJKlLMnNPqQrRtTVWX'
+const GEOHASH36_BASE = 36
+const GEOHASH36_GRID_SIZE = 6
+const MAX_GEOHASH36_PRECISION = 20 // 6 ** 20 < 2 ** 53
 
 const LIMITER_CHAR = '~'
 
@@ -53,9 +94,14 @@ const MAX_GEOHASH_PRECISION_BITS = MAX_GEOHASH_PRECISION * BITS_PER_CHAR // 110
 const MAX_GEOINT_BITS = 52
 const MAX_GEOBIGINT_BITS = MAX_GEOHASH_PRECISION_BITS
 
+const MAX_SAFE_GRID_BITS = 106
+
 const MAX_GEOINT = 2 ** MAX_GEOINT_BITS
 const MAX_GEOBIGINT = 2n ** 110n
 
+const MAX_TAGGED_GEOINT = 2 ** (MAX_GEOINT_BITS + 1)
+const MAX_TAGGED_GEOBIGINT = 2n ** 111n
+
 const GEOHASH_PRECISION = 10
 const GEOINT_BITS = 52
 const GEOBIGINT_BITS = 64
@@ -122,13 +168,28 @@ ReflectSetPrototypeOf(directionLookup, null)
 
 const createAlphabetLookup = alphabet => {
   const lookup = ObjectCreate(null)
-  for (let i = 0; i < BASE; i++) {
+  const {length} = alphabet
+  for (let i = 0; i < length; i++) {
     const char = alphabet[i]
     lookup[char] = i
   }
   return lookup
 }
-const alphabetLookup = createAlphabetLookup(ALPHABET)
+
+// Indexes the alphabet by char code; typed array reads are much cheaper than dictionary lookups on hot paths.
+const createAlphabetCodes = alphabet => {
+  const {length} = alphabet
+  let size = 0
+  for (let i = 0; i < length; i++) {
+    size = MathMax(size, StringPrototypeCharCodeAt(alphabet, i) + 1)
+  }
+  const codes = new Int8Array(size)
+  TypedArrayPrototypeFill(codes, -1)
+  for (let i = 0; i < length; i++) {
+    codes[StringPrototypeCharCodeAt(alphabet, i)] = i
+  }
+  return codes
+}
 
 const isDirection = value => PrimitivesIsString(value) && directionLookup[value] !== undefined
 
@@ -141,47 +202,31 @@ const validateDirection = value => {
   }
 }
 
-const isGeohash = value => {
-  if (!PrimitivesIsString(value)) {
-    return false
-  }
-  const {length} = value
-  if (!length || length > MAX_GEOHASH_PRECISION) {
-    return false
-  }
-  for (const char of StringPrototypeSafeSymbolIterator(value)) {
-    if (alphabetLookup[char] === undefined) {
-      return false
-    }
-  }
-  return true
-}
+const POLES = 'wrap'
 
-const validateGeohash = value => {
-  if (!PrimitivesIsString(value)) {
-    throw new TypeError('The geohash must be a string')
+const toPoles = options => {
+  if (options === undefined) {
+    return POLES
   }
-  const {length} = value
-  if (!length) {
-    throw new RangeError('The length of the geohash must be greater than zero')
+  if (!TypesIsObject(options)) {
+    throw new TypeError('The options must be an object')
   }
-  if (length > MAX_GEOHASH_PRECISION) {
-    throw new RangeError('The length of the geohash must be less than or equal to 22')
+  const {poles} = options
+  if (poles === undefined) {
+    return POLES
   }
-  for (let i = 0; i < length; i++) {
-    const char = value[i]
-    if (alphabetLookup[char] === undefined) {
-      throw new SyntaxError(`Invalid character "${char}" at index ${i} for Geohash encoding`)
-    }
+  if (poles !== 'wrap' && poles !== 'clip') {
+    throw new TypeError('The poles must be "wrap" or "clip"')
   }
+  return poles
 }
 
-const isGeoint = value => NumberIsInteger(value) && value > 0 && value <= MAX_GEOINT
+const isGeoint = value => NumberIsInteger(value) && value >= 0 && value <= MAX_GEOINT
 
 const toGeoint = value => {
   value = TypesToIntegerOrInfinity(value)
-  if (value <= 0) {
-    throw new RangeError('The geoint must be greater than zero')
+  if (value < 0) {
+    throw new RangeError('The geoint must be greater than or equal to zero')
   }
   if (value > MAX_GEOINT) {
     throw new RangeError('The geoint must be less than or equal to 2^52')
@@ -189,12 +234,12 @@ const toGeoint = value => {
   return value
 }
 
-const isGeobigint = value => PrimitivesIsBigInt(value) && value > 0n && value <= MAX_GEOBIGINT
+const isGeobigint = value => PrimitivesIsBigInt(value) && value >= 0n && value <= MAX_GEOBIGINT
 
 const toGeobigint = value => {
   value = TypesToBigInt(value)
-  if (value <= 0n) {
-    throw new RangeError('The geobigint must be greater than zero')
+  if (value < 0n) {
+    throw new RangeError('The geobigint must be greater than or equal to zero')
   }
   if (value > MAX_GEOBIGINT) {
     throw new RangeError('The geobigint must be less than or equal to 2n^110n')
@@ -202,27 +247,24 @@ const toGeobigint = value => {
   return value
 }
 
-const toGeohashPrecision = value => {
-  if (value === undefined) {
-    return GEOHASH_PRECISION
-  }
+const toGeointWithBits = (value, bits) => {
   value = TypesToIntegerOrInfinity(value)
-  if (value <= 0) {
-    throw new RangeError('The precision must be greater than zero')
+  if (value < 0) {
+    throw new RangeError('The geoint must be greater than or equal to zero')
   }
-  if (value > MAX_GEOHASH_PRECISION) {
-    throw new RangeError('The precision must be less than or equal to 22')
+  if (value >= 2 ** bits) {
+    throw new RangeError(`The geoint must be less than 2^${bits}`)
   }
   return value
 }
 
-const toGeohashPrecisionBits = value => {
-  value = TypesToIntegerOrInfinity(value)
-  if (value <= 0) {
-    throw new RangeError('The bits must be greater than zero')
+const toGeobigintWithBits = (value, bits) => {
+  value = TypesToBigInt(value)
+  if (value < 0n) {
+    throw new RangeError('The geobigint must be greater than or equal to zero')
   }
-  if (value > MAX_GEOHASH_PRECISION_BITS) {
-    throw new RangeError('The bits must be less than or equal to 110')
+  if (value >= 2n ** BigInt(bits)) {
+    throw new RangeError(`The geobigint must be less than 2n^${bits}n`)
   }
   return value
 }
@@ -367,53 +409,6 @@ const getBoundingBoxBits = (latitude, longitude, distance) => {
   return _getBoundingBoxBits(latitude, longitude, distance)
 }
 
-const _encode = (latitude, longitude, precision) => {
-  let minLat = MIN_LATITUDE
-  let maxLat = MAX_LATITUDE
-  let minLon = MIN_LONGITUDE
-  let maxLon = MAX_LONGITUDE
-  let isEven = true
-  let bitCount = 0
-  let carry = 0
-  let result = ''
-  while (result.length < precision) {
-    if (isEven) {
-      const delta = (minLon + maxLon) / 2
-      if (longitude > delta) {
-        carry = (carry << 1) + 1
-        minLon = delta
-      } else {
-        carry <<= 1
-        maxLon = delta
-      }
-    } else {
-      const delta = (minLat + maxLat) / 2
-      if (latitude > delta) {
-        carry = (carry << 1) + 1
-        minLat = delta
-      } else {
-        carry <<= 1
-        maxLat = delta
-      }
-    }
-    isEven = !isEven
-    if (bitCount < 4) {
-      bitCount++
-    } else {
-      result += ALPHABET[carry]
-      bitCount = 0
-      carry = 0
-    }
-  }
-  return result
-}
-const encode = (latitude, longitude, precision) => {
-  precision = toGeohashPrecision(precision)
-  latitude = toLatitude(latitude)
-  longitude = toLongitude(longitude)
-  return _encode(latitude, longitude, precision)
-}
-
 const _encodeInt = (latitude, longitude, bits) => {
   let minLat = MIN_LATITUDE
   let maxLat = MAX_LATITUDE
@@ -492,55 +487,6 @@ const encodeBigInt = (latitude, longitude, bits) => {
   return _encodeBigInt(latitude, longitude, bits)
 }
 
-const _decodeBoundingBox = geohash => {
-  const {length} = geohash
-  let minLat = MIN_LATITUDE
-  let maxLat = MAX_LATITUDE
-  let minLon = MIN_LONGITUDE
-  let maxLon = MAX_LONGITUDE
-  let isEven = true
-  for (let i = 0; i < length; i++) {
-    const char = geohash[i]
-    const index = alphabetLookup[char]
-    if (index === undefined) {
-      throw new SyntaxError(`Invalid character "${char}" at index ${i} for Geohash encoding`)
-    }
-    for (let bitCount = 4; bitCount >= 0; bitCount--) {
-      const bit = index >> bitCount & 1
-      if (isEven) {
-        const delta = (minLon + maxLon) / 2
-        if (bit === 1) {
-          minLon = delta
-        } else {
-          maxLon = delta
-        }
-      } else {
-        const delta = (minLat + maxLat) / 2
-        if (bit === 1) {
-          minLat = delta
-        } else {
-          maxLat = delta
-        }
-      }
-      isEven = !isEven
-    }
-  }
-  return [minLat, minLon, maxLat, maxLon]
-}
-const decodeBoundingBox = geohash => {
-  if (!PrimitivesIsString(geohash)) {
-    throw new TypeError('The geohash must be a string')
-  }
-  const {length} = geohash
-  if (!length) {
-    throw new RangeError('The length of the geohash must be greater than zero')
-  }
-  if (length > MAX_GEOHASH_PRECISION) {
-    throw new RangeError('The length of the geohash must be less than or equal to 22')
-  }
-  return _decodeBoundingBox(geohash)
-}
-
 const _decodeBoundingBoxInt = (geoint, bits) => {
   const lastBit = bits - 1
   let minLat = MIN_LATITUDE
@@ -628,11 +574,6 @@ const boundingBoxToLocation = (boundingBox, error) => {
   return location
 }
 
-const decode = (geohash, error) => {
-  const boundingBox = decodeBoundingBox(geohash)
-  return boundingBoxToLocation(boundingBox, error)
-}
-
 const decodeInt = (geoint, bits, error) => {
   const boundingBox = decodeBoundingBoxInt(geoint, bits)
   return boundingBoxToLocation(boundingBox, error)
@@ -643,173 +584,596 @@ const decodeBigInt = (geobigint, bits, error) => {
   return boundingBoxToLocation(boundingBox, error)
 }
 
-const getNeighbor = (geohash, direction) => {
-  validateDirection(direction)
-  const [minLat, minLon, maxLat, maxLon] = decodeBoundingBox(geohash)
-  const {length} = geohash
-  const latitude = (minLat + maxLat) / 2
-  const longitude = (minLon + maxLon) / 2
-  const latError = maxLat - latitude
-  const lonError = maxLon - longitude
-  const perLat = latError * 2
-  const perLon = lonError * 2
+const isTaggedGeoint = value => NumberIsInteger(value) && value >= 2 && value < MAX_TAGGED_GEOINT
+
+const toTaggedGeoint = value => {
+  value = TypesToIntegerOrInfinity(value)
+  if (value < 2) {
+    throw new RangeError('The tagged geoint must be greater than or equal to 2')
+  }
+  if (value >= MAX_TAGGED_GEOINT) {
+    throw new RangeError('The tagged geoint must be less than 2^53')
+  }
+  return value
+}
+
+const isTaggedGeobigint = value => PrimitivesIsBigInt(value) && value >= 2n && value < MAX_TAGGED_GEOBIGINT
+
+const toTaggedGeobigint = value => {
+  value = TypesToBigInt(value)
+  if (value < 2n) {
+    throw new RangeError('The tagged geobigint must be greater than or equal to 2n')
+  }
+  if (value >= MAX_TAGGED_GEOBIGINT) {
+    throw new RangeError('The tagged geobigint must be less than 2n^111n')
+  }
+  return value
+}
+
+const getTaggedGeointBits = taggedGeoint => {
+  let bits = MathFloor(MathLog2(taggedGeoint))
+  if (2 ** bits > taggedGeoint) {
+    bits--
+  } else if (2 ** (bits + 1) <= taggedGeoint) {
+    bits++
+  }
+  return bits
+}
+
+const getTaggedGeobigintBits = taggedGeobigint => BigIntPrototypeToString(taggedGeobigint, 2).length - 1
+
+const _untagGeoint = taggedGeoint => {
+  const bits = getTaggedGeointBits(taggedGeoint)
+  return [taggedGeoint - 2 ** bits, bits]
+}
+
+const _untagGeobigint = taggedGeobigint => {
+  const bits = getTaggedGeobigintBits(taggedGeobigint)
+  return [taggedGeobigint - 2n ** BigInt(bits), bits]
+}
+
+const tagGeoint = (geoint, bits) => {
+  bits = toGeointBits(bits)
+  geoint = toGeointWithBits(geoint, bits)
+  return 2 ** bits + geoint
+}
+
+const tagGeobigint = (geobigint, bits) => {
+  bits = toGeobigintBits(bits)
+  geobigint = toGeobigintWithBits(geobigint, bits)
+  return 2n ** BigInt(bits) + geobigint
+}
+
+const untagGeoint = taggedGeoint => _untagGeoint(toTaggedGeoint(taggedGeoint))
+
+const untagGeobigint = taggedGeobigint => _untagGeobigint(toTaggedGeobigint(taggedGeobigint))
+
+const encodeIntTagged = (latitude, longitude, bits) => {
+  bits = toGeointBits(bits)
+  latitude = toLatitude(latitude)
+  longitude = toLongitude(longitude)
+  return 2 ** bits + _encodeInt(latitude, longitude, bits)
+}
+
+const encodeBigIntTagged = (latitude, longitude, bits) => {
+  bits = toGeobigintBits(bits)
+  latitude = toLatitude(latitude)
+  longitude = toLongitude(longitude)
+  return 2n ** BigInt(bits) + _encodeBigInt(latitude, longitude, bits)
+}
+
+const decodeBoundingBoxIntTagged = taggedGeoint => {
+  const [geoint, bits] = untagGeoint(taggedGeoint)
+  return _decodeBoundingBoxInt(geoint, bits)
+}
+
+const decodeBoundingBoxBigIntTagged = taggedGeobigint => {
+  const [geobigint, bits] = untagGeobigint(taggedGeobigint)
+  return _decodeBoundingBoxBigInt(geobigint, bits)
+}
+
+const decodeIntTagged = (taggedGeoint, error) => {
+  const boundingBox = decodeBoundingBoxIntTagged(taggedGeoint)
+  return boundingBoxToLocation(boundingBox, error)
+}
+
+const decodeBigIntTagged = (taggedGeobigint, error) => {
+  const boundingBox = decodeBoundingBoxBigIntTagged(taggedGeobigint)
+  return boundingBoxToLocation(boundingBox, error)
+}
+
+const spreadBits = value => {
+  value = (value | (value << 8)) & 0x00ff00ff
+  value = (value | (value << 4)) & 0x0f0f0f0f
+  value = (value | (value << 2)) & 0x33333333
+  value = (value | (value << 1)) & 0x55555555
+  return value
+}
+
+const compactBits = value => {
+  value &= 0x55555555
+  value = (value | (value >>> 1)) & 0x33333333
+  value = (value | (value >>> 2)) & 0x0f0f0f0f
+  value = (value | (value >>> 4)) & 0x00ff00ff
+  value = (value | (value >>> 8)) & 0x0000ffff
+  return value
+}
+
+const geointToGrid = (geoint, bits) => {
+  geoint %= 2 ** bits
+  const low = geoint % 0x100000000
+  const high = (geoint - low) / 0x100000000
+  const even = compactBits(high) * 0x10000 + compactBits(low)
+  const odd = compactBits(high >>> 1) * 0x10000 + compactBits(low >>> 1)
+  return bits % 2 ? [even, odd] : [odd, even]
+}
+
+const gridToGeoint = (x, y, bits) => {
+  const even = bits % 2 ? x : y
+  const odd = bits % 2 ? y : x
+  const evenLow = even % 0x10000
+  const oddLow = odd % 0x10000
+  const low = (spreadBits(evenLow) | spreadBits(oddLow) << 1) >>> 0
+  const high = (spreadBits((even - evenLow) / 0x10000) | spreadBits((odd - oddLow) / 0x10000) << 1) >>> 0
+  return high * 0x100000000 + low
+}
+
+const geobigintToGrid = (geobigint, bits) => {
+  let value = BigIntAsUintN(bits, geobigint)
+  let even = 0n
+  let odd = 0n
+  let shift = 0n
+  while (value) {
+    const chunk = Number(value & 0xffffffffn)
+    even |= BigInt(compactBits(chunk)) << shift
+    odd |= BigInt(compactBits(chunk >>> 1)) << shift
+    value >>= 32n
+    shift += 16n
+  }
+  return bits % 2 ? [even, odd] : [odd, even]
+}
+
+const gridToGeobigint = (x, y, bits) => {
+  let even = bits % 2 ? x : y
+  let odd = bits % 2 ? y : x
+  let result = 0n
+  let shift = 0n
+  while (even || odd) {
+    const chunk = (spreadBits(Number(even & 0xffffn)) | spreadBits(Number(odd & 0xffffn)) << 1) >>> 0
+    result |= BigInt(chunk) << shift
+    even >>= 16n
+    odd >>= 16n
+    shift += 32n
+  }
+  return result
+}
+
+const getGridSize = bits => PrimitivesIsBigInt(bits) ?
+  [2n ** ((bits + 1n) / 2n), 2n ** (bits / 2n)] :
+  [2 ** MathCeil(bits / 2), 2 ** MathFloor(bits / 2)]
+
+const addGridX = (x, offset, columns) => {
+  offset %= columns
+  if (offset >= 0) {
+    return offset >= columns - x ? x - (columns - offset) : x + offset
+  }
+  return -offset > x ? x + (columns + offset) : x + offset
+}
+
+const reflectGridX = (x, columns) => {
+  const half = columns / (PrimitivesIsBigInt(columns) ? 2n : 2)
+  return x < half ? x + half : x - half
+}
+
+const getGridNeighbor = (x, y, columns, rows, direction, poles) => {
+  const isBigInt = PrimitivesIsBigInt(x)
   const [latDir, lonDir] = directionLookup[direction]
-  const neighborLat = _wrapLatitude(latitude + latDir * perLat)
-  const neighborLon = _wrapLongitude(longitude + lonDir * perLon)
-  return _encode(neighborLat, neighborLon, length)
+  const neighborX = addGridX(x, isBigInt ? BigInt(lonDir) : lonDir, columns)
+  const neighborY = y + (isBigInt ? BigInt(latDir) : latDir)
+  if (neighborY < 0 || neighborY >= rows) {
+    return poles === 'clip' ? null : [reflectGridX(neighborX, columns), y]
+  }
+  return [neighborX, neighborY]
+}
+
+function* gridRingGenerator(x, y, gridSize, k) {
+  const isBigInt = PrimitivesIsBigInt(x)
+  if (isBigInt) {
+    k = BigInt(k)
+  }
+  const zero = isBigInt ? 0n : 0
+  const one = isBigInt ? 1n : 1
+  const two = isBigInt ? 2n : 2
+  const [columns, rows] = gridSize
+  const half = columns / two
+  const minLatDir = -k > -y ? -k : -y
+  const maxLatDir = k < rows - one - y ? k : rows - one - y
+  const width = k * two + one < columns ? k * two + one : columns
+  const startLonDir = width === columns ? -half : -k
+  for (let latDir = maxLatDir; latDir >= minLatDir; latDir--) {
+    const neighborY = y + latDir
+    if (latDir === k || latDir === -k) {
+      for (let i = zero; i < width; i++) {
+        yield [addGridX(x, startLonDir + i, columns), neighborY]
+      }
+    } else if (k < half) {
+      yield [addGridX(x, -k, columns), neighborY]
+      yield [addGridX(x, k, columns), neighborY]
+    } else if (k === half) {
+      yield [addGridX(x, k, columns), neighborY]
+    }
+  }
+}
+
+function* gridBoxGenerator(southwest, northeast, columns, isWrapped, encoder) {
+  const [southwestX, southwestY] = southwest
+  const [northeastX, northeastY] = northeast
+  const isBigInt = PrimitivesIsBigInt(southwestX)
+  const zero = isBigInt ? 0n : 0
+  const one = isBigInt ? 1n : 1
+  let lonLength = northeastX - southwestX
+  if (isWrapped) {
+    lonLength = lonLength < zero ? lonLength + columns : columns - one
+  }
+  for (let y = southwestY; y <= northeastY; y++) {
+    for (let i = zero; i <= lonLength; i++) {
+      yield encoder(addGridX(southwestX, i, columns), y)
+    }
+  }
 }
 
-const getNeighborInt = (geoint, direction, bits) => {
+const getNeighborInt = (geoint, direction, bits, options) => {
   bits = toGeointBits(bits)
   validateDirection(direction)
+  const poles = toPoles(options)
   geoint = toGeoint(geoint)
-  const [minLat, minLon, maxLat, maxLon] = _decodeBoundingBoxInt(geoint, bits)
-  const latitude = (minLat + maxLat) / 2
-  const longitude = (minLon + maxLon) / 2
-  const latError = maxLat - latitude
-  const lonError = maxLon - longitude
-  const perLat = latError * 2
-  const perLon = lonError * 2
-  const [latDir, lonDir] = directionLookup[direction]
-  const neighborLat = _wrapLatitude(latitude + latDir * perLat)
-  const neighborLon = _wrapLongitude(longitude + lonDir * perLon)
-  return _encodeInt(neighborLat, neighborLon, bits)
+  const [x, y] = geointToGrid(geoint, bits)
+  const [columns, rows] = getGridSize(bits)
+  const neighbor = getGridNeighbor(x, y, columns, rows, direction, poles)
+  return neighbor === null ? null : gridToGeoint(neighbor[0], neighbor[1], bits)
 }
 
-const getNeighborBigInt = (geobigint, direction, bits) => {
+const getNeighborBigInt = (geobigint, direction, bits, options) => {
   bits = toGeobigintBits(bits)
   validateDirection(direction)
+  const poles = toPoles(options)
   geobigint = toGeobigint(geobigint)
-  const [minLat, minLon, maxLat, maxLon] = _decodeBoundingBoxBigInt(geobigint, bits)
-  const latitude = (minLat + maxLat) / 2
-  const longitude = (minLon + maxLon) / 2
-  const latError = maxLat - latitude
-  const lonError = maxLon - longitude
-  const perLat = latError * 2
-  const perLon = lonError * 2
-  const [latDir, lonDir] = directionLookup[direction]
-  const neighborLat = _wrapLatitude(latitude + latDir * perLat)
-  const neighborLon = _wrapLongitude(longitude + lonDir * perLon)
-  return _encodeBigInt(neighborLat, neighborLon, bits)
-}
-
-const getNeighbors = geohash => {
-  const [minLat, minLon, maxLat, maxLon] = decodeBoundingBox(geohash)
-  const {length} = geohash
-  const latitude = (minLat + maxLat) / 2
-  const longitude = (minLon + maxLon) / 2
-  const latError = maxLat - latitude
-  const lonError = maxLon - longitude
-  const perLat = latError * 2
-  const perLon = lonError * 2
-  const neighbors = {}
-  ArrayPrototypeForEach(directions, direction => {
-    const [latDir, lonDir] = directionLookup[direction]
-    const neighborLat = _wrapLatitude(latitude + latDir * perLat)
-    const neighborLon = _wrapLongitude(longitude + lonDir * perLon)
-    neighbors[direction] = _encode(neighborLat, neighborLon, length)
-  })
-  return neighbors
+  const [x, y] = geobigintToGrid(geobigint, bits)
+  const [columns, rows] = getGridSize(BigInt(bits))
+  const neighbor = getGridNeighbor(x, y, columns, rows, direction, poles)
+  return neighbor === null ? null : gridToGeobigint(neighbor[0], neighbor[1], bits)
 }
 
-const getNeighborsInt = (geoint, bits) => {
+const getNeighborsInt = (geoint, bits, options) => {
   bits = toGeointBits(bits)
+  const poles = toPoles(options)
   geoint = toGeoint(geoint)
-  const [minLat, minLon, maxLat, maxLon] = _decodeBoundingBoxInt(geoint, bits)
-  const latitude = (minLat + maxLat) / 2
-  const longitude = (minLon + maxLon) / 2
-  const latError = maxLat - latitude
-  const lonError = maxLon - longitude
-  const perLat = latError * 2
-  const perLon = lonError * 2
+  const [x, y] = geointToGrid(geoint, bits)
+  const [columns, rows] = getGridSize(bits)
   const neighbors = {}
   ArrayPrototypeForEach(directions, direction => {
-    const [latDir, lonDir] = directionLookup[direction]
-    const neighborLat = _wrapLatitude(latitude + latDir * perLat)
-    const neighborLon = _wrapLongitude(longitude + lonDir * perLon)
-    neighbors[direction] = _encodeInt(neighborLat, neighborLon, bits)
+    const neighbor = getGridNeighbor(x, y, columns, rows, direction, poles)
+    neighbors[direction] = neighbor === null ? null : gridToGeoint(neighbor[0], neighbor[1], bits)
   })
   return neighbors
 }
 
-const getNeighborsBigInt = (geobigint, bits) => {
+const getNeighborsBigInt = (geobigint, bits, options) => {
   bits = toGeobigintBits(bits)
+  const poles = toPoles(options)
   geobigint = toGeobigint(geobigint)
-  const [minLat, minLon, maxLat, maxLon] = _decodeBoundingBoxBigInt(geobigint, bits)
-  const latitude = (minLat + maxLat) / 2
-  const longitude = (minLon + maxLon) / 2
-  const latError = maxLat - latitude
-  const lonError = maxLon - longitude
-  const perLat = latError * 2
-  const perLon = lonError * 2
+  const [x, y] = geobigintToGrid(geobigint, bits)
+  const [columns, rows] = getGridSize(BigInt(bits))
   const neighbors = {}
   ArrayPrototypeForEach(directions, direction => {
-    const [latDir, lonDir] = directionLookup[direction]
-    const neighborLat = _wrapLatitude(latitude + latDir * perLat)
-    const neighborLon = _wrapLongitude(longitude + lonDir * perLon)
-    neighbors[direction] = _encodeBigInt(neighborLat, neighborLon, bits)
+    const neighbor = getGridNeighbor(x, y, columns, rows, direction, poles)
+    neighbors[direction] = neighbor === null ? null : gridToGeobigint(neighbor[0], neighbor[1], bits)
   })
   return neighbors
 }
 
-const getBoundingBoxes = (minLat, minLon, maxLat, maxLon, precision) => {
-  precision = toGeohashPrecision(precision)
-  minLat = toLatitude(minLat)
-  minLon = toLongitude(minLon)
-  maxLat = toLatitude(maxLat)
-  maxLon = toLongitude(maxLon)
-  const southwestGeohash = _encode(minLat, minLon, precision)
-  const northeastGeohash = _encode(maxLat, maxLon, precision)
-  const [southwestMinLat, southwestMinLon, southwestMaxLat, southwestMaxLon] = _decodeBoundingBox(southwestGeohash)
-  const [northeastMinLat, northeastMinLon] = _decodeBoundingBox(northeastGeohash)
-  const latitude = (southwestMinLat + southwestMaxLat) / 2
-  const longitude = (southwestMinLon + southwestMaxLon) / 2
-  const latError = southwestMaxLat - latitude
-  const lonError = southwestMaxLon - longitude
-  const perLat = latError * 2
-  const perLon = lonError * 2
-  const latLength = MathRound((northeastMinLat - southwestMinLat) / perLat)
-  const lonLength = MathRound((northeastMinLon - southwestMinLon) / perLon)
-  const result = []
-  if (NumberIsFinite(latLength) && NumberIsFinite(lonLength)) {
-    for (let latDir = 0; latDir <= latLength; latDir++) {
-      for (let lonDir = 0; lonDir <= lonLength; lonDir++) {
-        const neighborLat = _wrapLatitude(latitude + latDir * perLat)
-        const neighborLon = _wrapLongitude(longitude + lonDir * perLon)
-        ArrayPrototypePush(result, _encode(neighborLat, neighborLon, precision))
-      }
+const toRingDistance = value => {
+  value = TypesToIntegerOrInfinity(value)
+  if (value < 0) {
+    throw new RangeError('The ring distance must be greater than or equal to zero')
+  }
+  if (value > NumberMAX_SAFE_INTEGER) {
+    throw new RangeError('The ring distance must be less than or equal to the maximum safe integer')
+  }
+  return value
+}
+
+const pushRing = (result, lookup, x, y, gridSize, k, encoder) => {
+  for (const [neighborX, neighborY] of new SafeGenerator(gridRingGenerator(x, y, gridSize, k))) {
+    const cell = encoder(neighborX, neighborY)
+    if (lookup[cell] === undefined) {
+      ArrayPrototypePush(result, cell)
+      lookup[cell] = true
     }
   }
   return result
 }
 
+const pushDisk = (result, lookup, x, y, gridSize, k, encoder) => {
+  const [columns] = gridSize
+  const maxK = k < columns ? k : Number(columns)
+  for (let i = 0; i <= maxK; i++) {
+    pushRing(result, lookup, x, y, gridSize, i, encoder)
+  }
+  return result
+}
+
+const getRingInt = (geoint, k, bits) => {
+  bits = toGeointBits(bits)
+  k = toRingDistance(k)
+  geoint = toGeointWithBits(geoint, bits)
+  const [x, y] = geointToGrid(geoint, bits)
+  return pushRing([], ObjectCreate(null), x, y, getGridSize(bits), k,
+    (neighborX, neighborY) => gridToGeoint(neighborX, neighborY, bits))
+}
+
+const getRingBigInt = (geobigint, k, bits) => {
+  bits = toGeobigintBits(bits)
+  k = toRingDistance(k)
+  geobigint = toGeobigintWithBits(geobigint, bits)
+  const [x, y] = geobigintToGrid(geobigint, bits)
+  return pushRing([], ObjectCreate(null), x, y, getGridSize(BigInt(bits)), k,
+    (neighborX, neighborY) => gridToGeobigint(neighborX, neighborY, bits))
+}
+
+const getDiskInt = (geoint, k, bits) => {
+  bits = toGeointBits(bits)
+  k = toRingDistance(k)
+  geoint = toGeointWithBits(geoint, bits)
+  const [x, y] = geointToGrid(geoint, bits)
+  return pushDisk([], ObjectCreate(null), x, y, getGridSize(bits), k,
+    (neighborX, neighborY) => gridToGeoint(neighborX, neighborY, bits))
+}
+
+const getDiskBigInt = (geobigint, k, bits) => {
+  bits = toGeobigintBits(bits)
+  k = toRingDistance(k)
+  geobigint = toGeobigintWithBits(geobigint, bits)
+  const [x, y] = geobigintToGrid(geobigint, bits)
+  return pushDisk([], ObjectCreate(null), x, y, getGridSize(BigInt(bits)), k,
+    (neighborX, neighborY) => gridToGeobigint(neighborX, neighborY, bits))
+}
+
+const toGridBits = (latBits, lonBits, maxBits) => {
+  latBits = TypesToIntegerOrInfinity(latBits)
+  lonBits = TypesToIntegerOrInfinity(lonBits)
+  if (latBits < 0) {
+    throw new RangeError('The latitude bits must be greater than or equal to zero')
+  }
+  if (lonBits !== latBits && lonBits !== latBits + 1) {
+    throw new RangeError('The longitude bits must be equal to the latitude bits or one greater')
+  }
+  const bits = latBits + lonBits
+  if (bits <= 0) {
+    throw new RangeError('The bits must be greater than zero')
+  }
+  if (bits > maxBits) {
+    throw new RangeError(`The bits must be less than or equal to ${maxBits}`)
+  }
+  return bits
+}
+
+const toGridCoordinate = (value, bits, name) => {
+  value = TypesToIntegerOrInfinity(value)
+  if (value < 0) {
+    throw new RangeError(`The ${name} must be greater than or equal to zero`)
+  }
+  if (value >= 2 ** bits) {
+    throw new RangeError(`The ${name} must be less than 2^${bits}`)
+  }
+  return value
+}
+
+const toGridBigIntCoordinate = (value, bits, name) => {
+  value = TypesToBigInt(value)
+  if (value < 0n) {
+    throw new RangeError(`The ${name} must be greater than or equal to zero`)
+  }
+  if (value >= 2n ** BigInt(bits)) {
+    throw new RangeError(`The ${name} must be less than 2n^${bits}n`)
+  }
+  return value
+}
+
+const createGridCoordinates = (x, y, bits) => ({
+  x,
+  y,
+  latBits: MathFloor(bits / 2),
+  lonBits: MathCeil(bits / 2)
+})
+
+const toGridCoordinatesInt = (geoint, bits) => {
+  bits = toGeointBits(bits)
+  geoint = toGeointWithBits(geoint, bits)
+  const [x, y] = geointToGrid(geoint, bits)
+  return createGridCoordinates(x, y, bits)
+}
+
+const toGridCoordinatesBigInt = (geobigint, bits) => {
+  bits = toGeobigintBits(bits)
+  geobigint = toGeobigintWithBits(geobigint, bits)
+  const [x, y] = geobigintToGrid(geobigint, bits)
+  return createGridCoordinates(x, y, bits)
+}
+
+const fromGridCoordinatesInt = (x, y, latBits, lonBits) => {
+  const bits = toGridBits(latBits, lonBits, MAX_GEOINT_BITS)
+  x = toGridCoordinate(x, MathCeil(bits / 2), 'x')
+  y = toGridCoordinate(y, MathFloor(bits / 2), 'y')
+  return gridToGeoint(x, y, bits)
+}
+
+const fromGridCoordinatesBigInt = (x, y, latBits, lonBits) => {
+  const bits = toGridBits(latBits, lonBits, MAX_GEOBIGINT_BITS)
+  x = toGridBigIntCoordinate(x, MathCeil(bits / 2), 'x')
+  y = toGridBigIntCoordinate(y, MathFloor(bits / 2), 'y')
+  return gridToGeobigint(x, y, bits)
+}
+
+const geointToGeobigint = (geoint, bits) => {
+  bits = toGeointBits(bits)
+  geoint = toGeointWithBits(geoint, bits)
+  return BigInt(geoint)
+}
+
+const geobigintToGeoint = (geobigint, bits) => {
+  bits = toGeointBits(bits)
+  geobigint = toGeobigintWithBits(geobigint, bits)
+  return Number(geobigint)
+}
+
+const getParentInt = (geoint, bits) => {
+  bits = toGeointBits(bits)
+  geoint = toGeointWithBits(geoint, bits)
+  return bits > BITS_PER_CHAR ? MathFloor(geoint / BASE) : null
+}
+
+const getParentBigInt = (geobigint, bits) => {
+  bits = toGeobigintBits(bits)
+  geobigint = toGeobigintWithBits(geobigint, bits)
+  return bits > BITS_PER_CHAR ? geobigint >> BigInt(BITS_PER_CHAR) : null
+}
+
+const getChildrenInt = (geoint, bits) => {
+  bits = toGeointBits(bits)
+  if (bits > MAX_GEOINT_BITS - BITS_PER_CHAR) {
+    throw new RangeError(`The bits must be less than or equal to ${MAX_GEOINT_BITS - BITS_PER_CHAR}`)
+  }
+  geoint = toGeointWithBits(geoint, bits)
+  const result = []
+  for (let i = 0; i < BASE; i++) {
+    ArrayPrototypePush(result, geoint * BASE + i)
+  }
+  return result
+}
+
+const getChildrenBigInt = (geobigint, bits) => {
+  bits = toGeobigintBits(bits)
+  if (bits > MAX_GEOBIGINT_BITS - BITS_PER_CHAR) {
+    throw new RangeError(`The bits must be less than or equal to ${MAX_GEOBIGINT_BITS - BITS_PER_CHAR}`)
+  }
+  geobigint = toGeobigintWithBits(geobigint, bits)
+  const result = []
+  for (let i = 0n; i < BigInt(BASE); i++) {
+    ArrayPrototypePush(result, (geobigint << BigInt(BITS_PER_CHAR)) + i)
+  }
+  return result
+}
+
+const getAncestorsInt = (geoint, bits) => {
+  bits = toGeointBits(bits)
+  geoint = toGeointWithBits(geoint, bits)
+  const result = []
+  for (let ancestorBits = bits - BITS_PER_CHAR; ancestorBits > 0; ancestorBits -= BITS_PER_CHAR) {
+    geoint = MathFloor(geoint / BASE)
+    ArrayPrototypePush(result, [geoint, ancestorBits])
+  }
+  return result
+}
+
+const getAncestorsBigInt = (geobigint, bits) => {
+  bits = toGeobigintBits(bits)
+  geobigint = toGeobigintWithBits(geobigint, bits)
+  const result = []
+  for (let ancestorBits = bits - BITS_PER_CHAR; ancestorBits > 0; ancestorBits -= BITS_PER_CHAR) {
+    geobigint >>= BigInt(BITS_PER_CHAR)
+    ArrayPrototypePush(result, [geobigint, ancestorBits])
+  }
+  return result
+}
+
+function* descendantsIntGenerator(geoint, bits, descendantBits) {
+  bits = toGeointBits(bits)
+  descendantBits = toGeointBits(descendantBits)
+  if (descendantBits < bits) {
+    throw new RangeError('The descendant bits must be greater than or equal to the bits')
+  }
+  geoint = toGeointWithBits(geoint, bits)
+  const count = 2 ** (descendantBits - bits)
+  const start = geoint * count
+  for (let i = 0; i < count; i++) {
+    yield start + i
+  }
+}
+const getDescendantsInt = (geoint, bits, descendantBits) =>
+  new SafeGenerator(descendantsIntGenerator(geoint, bits, descendantBits))
+
+function* descendantsBigIntGenerator(geobigint, bits, descendantBits) {
+  bits = toGeobigintBits(bits)
+  descendantBits = toGeobigintBits(descendantBits)
+  if (descendantBits < bits) {
+    throw new RangeError('The descendant bits must be greater than or equal to the bits')
+  }
+  geobigint = toGeobigintWithBits(geobigint, bits)
+  const count = 2n ** BigInt(descendantBits - bits)
+  const start = geobigint * count
+  for (let i = 0n; i < count; i++) {
+    yield start + i
+  }
+}
+const getDescendantsBigInt = (geobigint, bits, descendantBits) =>
+  new SafeGenerator(descendantsBigIntGenerator(geobigint, bits, descendantBits))
+
+const isAncestorOfInt = (ancestor, ancestorBits, geoint, bits) => {
+  ancestorBits = toGeointBits(ancestorBits)
+  bits = toGeointBits(bits)
+  ancestor = toGeointWithBits(ancestor, ancestorBits)
+  geoint = toGeointWithBits(geoint, bits)
+  return ancestorBits < bits && MathFloor(geoint / 2 ** (bits - ancestorBits)) === ancestor
+}
+
+const isAncestorOfBigInt = (ancestor, ancestorBits, geobigint, bits) => {
+  ancestorBits = toGeobigintBits(ancestorBits)
+  bits = toGeobigintBits(bits)
+  ancestor = toGeobigintWithBits(ancestor, ancestorBits)
+  geobigint = toGeobigintWithBits(geobigint, bits)
+  return ancestorBits < bits && geobigint >> BigInt(bits - ancestorBits) === ancestor
+}
+
+const containsInt = (geoint, bits, latitude, longitude) => {
+  bits = toGeointBits(bits)
+  geoint = toGeointWithBits(geoint, bits)
+  latitude = toLatitude(latitude)
+  longitude = toLongitude(longitude)
+  return _encodeInt(latitude, longitude, bits) === geoint
+}
+
+const containsBigInt = (geobigint, bits, latitude, longitude) => {
+  bits = toGeobigintBits(bits)
+  geobigint = toGeobigintWithBits(geobigint, bits)
+  latitude = toLatitude(latitude)
+  longitude = toLongitude(longitude)
+  return _encodeBigInt(latitude, longitude, bits) === geobigint
+}
+
+const _boundingBoxesIntGenerator = (minLat, minLon, maxLat, maxLon, bits) => {
+  const southwest = geointToGrid(_encodeInt(minLat, minLon, bits), bits)
+  const northeast = geointToGrid(_encodeInt(maxLat, maxLon, bits), bits)
+  const [columns] = getGridSize(bits)
+  return gridBoxGenerator(southwest, northeast, columns, minLon > maxLon, (x, y) => gridToGeoint(x, y, bits))
+}
+
+const _boundingBoxesBigIntGenerator = (minLat, minLon, maxLat, maxLon, bits) => {
+  const southwest = geobigintToGrid(_encodeBigInt(minLat, minLon, bits), bits)
+  const northeast = geobigintToGrid(_encodeBigInt(maxLat, maxLon, bits), bits)
+  const [columns] = getGridSize(BigInt(bits))
+  return gridBoxGenerator(southwest, northeast, columns, minLon > maxLon, (x, y) => gridToGeobigint(x, y, bits))
+}
+
 const getBoundingBoxesInt = (minLat, minLon, maxLat, maxLon, bits) => {
   bits = toGeointBits(bits)
   minLat = toLatitude(minLat)
   minLon = toLongitude(minLon)
   maxLat = toLatitude(maxLat)
   maxLon = toLongitude(maxLon)
-  const southwestGeoint = _encodeInt(minLat, minLon, bits)
-  const northeastGeoint = _encodeInt(maxLat, maxLon, bits)
-  const [southwestMinLat, southwestMinLon, southwestMaxLat, southwestMaxLon] = _decodeBoundingBoxInt(southwestGeoint, bits)
-  const [northeastMinLat, northeastMinLon] = _decodeBoundingBoxInt(northeastGeoint, bits)
-  const latitude = (southwestMinLat + southwestMaxLat) / 2
-  const longitude = (southwestMinLon + southwestMaxLon) / 2
-  const latError = southwestMaxLat - latitude
-  const lonError = southwestMaxLon - longitude
-  const perLat = latError * 2
-  const perLon = lonError * 2
-  const latLength = MathRound((northeastMinLat - southwestMinLat) / perLat)
-  const lonLength = MathRound((northeastMinLon - southwestMinLon) / perLon)
   const result = []
-  if (NumberIsFinite(latLength) && NumberIsFinite(lonLength)) {
-    for (let latDir = 0; latDir <= latLength; latDir++) {
-      for (let lonDir = 0; lonDir <= lonLength; lonDir++) {
-        const neighborLat = _wrapLatitude(latitude + latDir * perLat)
-        const neighborLon = _wrapLongitude(longitude + lonDir * perLon)
-        ArrayPrototypePush(result, _encodeInt(neighborLat, neighborLon, bits))
-      }
-    }
+  for (const geoint of new SafeGenerator(_boundingBoxesIntGenerator(minLat, minLon, maxLat, maxLon, bits))) {
+    ArrayPrototypePush(result, geoint)
   }
   return result
 }
@@ -820,89 +1184,20 @@ const getBoundingBoxesBigInt = (minLat, minLon, maxLat, maxLon, bits) => {
   minLon = toLongitude(minLon)
   maxLat = toLatitude(maxLat)
   maxLon = toLongitude(maxLon)
-  const southwestGeobigint = _encodeBigInt(minLat, minLon, bits)
-  const northeastGeobigint = _encodeBigInt(maxLat, maxLon, bits)
-  const [southwestMinLat, southwestMinLon, southwestMaxLat, southwestMaxLon] = _decodeBoundingBoxBigInt(southwestGeobigint, bits)
-  const [northeastMinLat, northeastMinLon] = _decodeBoundingBoxBigInt(northeastGeobigint, bits)
-  const latitude = (southwestMinLat + southwestMaxLat) / 2
-  const longitude = (southwestMinLon + southwestMaxLon) / 2
-  const latError = southwestMaxLat - latitude
-  const lonError = southwestMaxLon - longitude
-  const perLat = latError * 2
-  const perLon = lonError * 2
-  const latLength = MathRound((northeastMinLat - southwestMinLat) / perLat)
-  const lonLength = MathRound((northeastMinLon - southwestMinLon) / perLon)
   const result = []
-  if (NumberIsFinite(latLength) && NumberIsFinite(lonLength)) {
-    for (let latDir = 0; latDir <= latLength; latDir++) {
-      for (let lonDir = 0; lonDir <= lonLength; lonDir++) {
-        const neighborLat = _wrapLatitude(latitude + latDir * perLat)
-        const neighborLon = _wrapLongitude(longitude + lonDir * perLon)
-        ArrayPrototypePush(result, _encodeBigInt(neighborLat, neighborLon, bits))
-      }
-    }
+  for (const geobigint of new SafeGenerator(_boundingBoxesBigIntGenerator(minLat, minLon, maxLat, maxLon, bits))) {
+    ArrayPrototypePush(result, geobigint)
   }
   return result
 }
 
-function* boundingBoxesGenerator(minLat, minLon, maxLat, maxLon, precision) {
-  precision = toGeohashPrecision(precision)
-  minLat = toLatitude(minLat)
-  minLon = toLongitude(minLon)
-  maxLat = toLatitude(maxLat)
-  maxLon = toLongitude(maxLon)
-  const southwestGeohash = _encode(minLat, minLon, precision)
-  const northeastGeohash = _encode(maxLat, maxLon, precision)
-  const [southwestMinLat, southwestMinLon, southwestMaxLat, southwestMaxLon] = _decodeBoundingBox(southwestGeohash)
-  const [northeastMinLat, northeastMinLon] = _decodeBoundingBox(northeastGeohash)
-  const latitude = (southwestMinLat + southwestMaxLat) / 2
-  const longitude = (southwestMinLon + southwestMaxLon) / 2
-  const latError = southwestMaxLat - latitude
-  const lonError = southwestMaxLon - longitude
-  const perLat = latError * 2
-  const perLon = lonError * 2
-  const latLength = MathRound((northeastMinLat - southwestMinLat) / perLat)
-  const lonLength = MathRound((northeastMinLon - southwestMinLon) / perLon)
-  if (NumberIsFinite(latLength) && NumberIsFinite(lonLength)) {
-    for (let latDir = 0; latDir <= latLength; latDir++) {
-      for (let lonDir = 0; lonDir <= lonLength; lonDir++) {
-        const neighborLat = _wrapLatitude(latitude + latDir * perLat)
-        const neighborLon = _wrapLongitude(longitude + lonDir * perLon)
-        yield _encode(neighborLat, neighborLon, precision)
-      }
-    }
-  }
-}
-const boundingBoxesSafeGenerator = (minLat, minLon, maxLat, maxLon, precision) =>
-  new SafeGenerator(boundingBoxesGenerator(minLat, minLon, maxLat, maxLon, precision))
-
 function* boundingBoxesIntGenerator(minLat, minLon, maxLat, maxLon, bits) {
   bits = toGeointBits(bits)
   minLat = toLatitude(minLat)
   minLon = toLongitude(minLon)
   maxLat = toLatitude(maxLat)
   maxLon = toLongitude(maxLon)
-  const southwestGeoint = _encodeInt(minLat, minLon, bits)
-  const northeastGeoint = _encodeInt(maxLat, maxLon, bits)
-  const [southwestMinLat, southwestMinLon, southwestMaxLat, southwestMaxLon] = _decodeBoundingBoxInt(southwestGeoint, bits)
-  const [northeastMinLat, northeastMinLon] = _decodeBoundingBoxInt(northeastGeoint, bits)
-  const latitude = (southwestMinLat + southwestMaxLat) / 2
-  const longitude = (southwestMinLon + southwestMaxLon) / 2
-  const latError = southwestMaxLat - latitude
-  const lonError = southwestMaxLon - longitude
-  const perLat = latError * 2
-  const perLon = lonError * 2
-  const latLength = MathRound((northeastMinLat - southwestMinLat) / perLat)
-  const lonLength = MathRound((northeastMinLon - southwestMinLon) / perLon)
-  if (NumberIsFinite(latLength) && NumberIsFinite(lonLength)) {
-    for (let latDir = 0; latDir <= latLength; latDir++) {
-      for (let lonDir = 0; lonDir <= lonLength; lonDir++) {
-        const neighborLat = _wrapLatitude(latitude + latDir * perLat)
-        const neighborLon = _wrapLongitude(longitude + lonDir * perLon)
-        yield _encodeInt(neighborLat, neighborLon, bits)
-      }
-    }
-  }
+  yield* new SafeGenerator(_boundingBoxesIntGenerator(minLat, minLon, maxLat, maxLon, bits))
 }
 const boundingBoxesIntSafeGenerator = (minLat, minLon, maxLat, maxLon, bits) =>
   new SafeGenerator(boundingBoxesIntGenerator(minLat, minLon, maxLat, maxLon, bits))
@@ -913,112 +1208,573 @@ function* boundingBoxesBigIntGenerator(minLat, minLon, maxLat, maxLon, bits) {
   minLon = toLongitude(minLon)
   maxLat = toLatitude(maxLat)
   maxLon = toLongitude(maxLon)
-  const southwestGeobigint = _encodeBigInt(minLat, minLon, bits)
-  const northeastGeobigint = _encodeBigInt(maxLat, maxLon, bits)
-  const [southwestMinLat, southwestMinLon, southwestMaxLat, southwestMaxLon] = _decodeBoundingBoxBigInt(southwestGeobigint, bits)
-  const [northeastMinLat, northeastMinLon] = _decodeBoundingBoxBigInt(northeastGeobigint, bits)
-  const latitude = (southwestMinLat + southwestMaxLat) / 2
-  const longitude = (southwestMinLon + southwestMaxLon) / 2
-  const latError = southwestMaxLat - latitude
-  const lonError = southwestMaxLon - longitude
-  const perLat = latError * 2
-  const perLon = lonError * 2
-  const latLength = MathRound((northeastMinLat - southwestMinLat) / perLat)
-  const lonLength = MathRound((northeastMinLon - southwestMinLon) / perLon)
-  if (NumberIsFinite(latLength) && NumberIsFinite(lonLength)) {
-    for (let latDir = 0; latDir <= latLength; latDir++) {
-      for (let lonDir = 0; lonDir <= lonLength; lonDir++) {
-        const neighborLat = _wrapLatitude(latitude + latDir * perLat)
-        const neighborLon = _wrapLongitude(longitude + lonDir * perLon)
-        yield _encodeBigInt(neighborLat, neighborLon, bits)
+  yield* new SafeGenerator(_boundingBoxesBigIntGenerator(minLat, minLon, maxLat, maxLon, bits))
+}
+const boundingBoxesBigIntSafeGenerator = (minLat, minLon, maxLat, maxLon, bits) =>
+  new SafeGenerator(boundingBoxesBigIntGenerator(minLat, minLon, maxLat, maxLon, bits))
+
+const getPolygonModes = () => [
+  'intersects',
+  'within',
+  'centroid'
+]
+const polygonModes = getPolygonModes()
+
+const polygonModeLookup = ObjectCreate(null)
+ArrayPrototypeForEach(polygonModes, mode => {
+  polygonModeLookup[mode] = mode
+})
+
+const POLYGON_MODE = 'intersects'
+
+const REGION_RELATION_DISJOINT = 0
+const REGION_RELATION_INTERSECTS = 1
+const REGION_RELATION_WITHIN = 2
+
+const isPolygonMode = value => PrimitivesIsString(value) && polygonModeLookup[value] !== undefined
+
+const toPolygonMode = options => {
+  if (options === undefined) {
+    return POLYGON_MODE
+  }
+  if (!TypesIsObject(options)) {
+    throw new TypeError('The options must be an object')
+  }
+  const {mode} = options
+  if (mode === undefined) {
+    return POLYGON_MODE
+  }
+  if (!PrimitivesIsString(mode)) {
+    throw new TypeError('The mode must be a string')
+  }
+  if (polygonModeLookup[mode] === undefined) {
+    throw new TypeError('The mode must be "intersects", "within" or "centroid"')
+  }
+  return mode
+}
+
+const toPolygonRings = rings => {
+  if (!ArrayIsArray(rings)) {
+    throw new TypeError('The polygon coordinates must be an array')
+  }
+  if (!rings.length) {
+    throw new RangeError('The polygon must contain at least one ring')
+  }
+  let minLat = MAX_LATITUDE
+  let minLon = MAX_LONGITUDE
+  let maxLat = MIN_LATITUDE
+  let maxLon = MIN_LONGITUDE
+  const edges = []
+  ArrayPrototypeForEach(rings, ring => {
+    if (!ArrayIsArray(ring)) {
+      throw new TypeError('The polygon ring must be an array')
+    }
+    const {length} = ring
+    if (length < 3) {
+      throw new RangeError('The polygon ring must contain at least 3 positions')
+    }
+    let prevLat = null
+    let prevLon = null
+    for (let i = 0; i <= length; i++) {
+      const position = ring[i % length]
+      if (!ArrayIsArray(position)) {
+        throw new TypeError('The polygon position must be an array')
       }
+      const longitude = toLongitude(position[0])
+      const latitude = toLatitude(position[1])
+      if (i > 0) {
+        ArrayPrototypePush(edges, [prevLat, prevLon, latitude, longitude])
+      }
+      minLat = MathMin(minLat, latitude)
+      minLon = MathMin(minLon, longitude)
+      maxLat = MathMax(maxLat, latitude)
+      maxLon = MathMax(maxLon, longitude)
+      prevLat = latitude
+      prevLon = longitude
     }
+  })
+  return {
+    boundingBox: [minLat, minLon, maxLat, maxLon],
+    edges
   }
 }
-const boundingBoxesBigIntSafeGenerator = (minLat, minLon, maxLat, maxLon, bits) =>
-  new SafeGenerator(boundingBoxesBigIntGenerator(minLat, minLon, maxLat, maxLon, bits))
 
-const _getDistance = (latitude1, longitude1, latitude2, longitude2) => {
-  const lat1 = _degreesToRadians(latitude1)
-  const lat2 = _degreesToRadians(latitude2)
-  const deltaLat = _degreesToRadians(latitude2 - latitude1)
-  const deltaLon = _degreesToRadians(longitude2 - longitude1)
-  const haversine = MathSin(deltaLat / 2) ** 2 + MathCos(lat1) * MathCos(lat2) * MathSin(deltaLon / 2) ** 2
-  return EARTH_RADIUS * 2 * MathAsin(MathSqrt(haversine))
+const toPolygons = polygon => {
+  if (!TypesIsObject(polygon)) {
+    throw new TypeError('The polygon must be a GeoJSON Polygon or MultiPolygon')
+  }
+  const {type, coordinates} = polygon
+  if (type === 'Polygon') {
+    return [toPolygonRings(coordinates)]
+  }
+  if (type === 'MultiPolygon') {
+    if (!ArrayIsArray(coordinates)) {
+      throw new TypeError('The polygon coordinates must be an array')
+    }
+    const result = []
+    ArrayPrototypeForEach(coordinates, rings => {
+      ArrayPrototypePush(result, toPolygonRings(rings))
+    })
+    return result
+  }
+  throw new TypeError('The polygon type must be "Polygon" or "MultiPolygon"')
 }
-const getDistance = (latitude1, longitude1, latitude2, longitude2) => {
-  latitude1 = toLatitude(latitude1)
-  longitude1 = toLongitude(longitude1)
-  latitude2 = toLatitude(latitude2)
-  longitude2 = toLongitude(longitude2)
-  return _getDistance(latitude1, longitude1, latitude2, longitude2)
+
+const isSegmentCrossingBoundingBox = (edge, minLat, minLon, maxLat, maxLon) => {
+  const [lat1, lon1, lat2, lon2] = edge
+  const deltaLat = lat2 - lat1
+  const deltaLon = lon2 - lon1
+  const clips = [
+    [-deltaLon, lon1 - minLon],
+    [deltaLon, maxLon - lon1],
+    [-deltaLat, lat1 - minLat],
+    [deltaLat, maxLat - lat1]
+  ]
+  let start = 0
+  let end = 1
+  for (let i = 0; i < 4; i++) {
+    const [p, q] = clips[i]
+    if (p === 0) {
+      if (q < 0) {
+        return false
+      }
+    } else {
+      const ratio = q / p
+      if (p < 0) {
+        if (ratio > end) {
+          return false
+        }
+        start = MathMax(start, ratio)
+      } else {
+        if (ratio < start) {
+          return false
+        }
+        end = MathMin(end, ratio)
+      }
+    }
+  }
+  const middle = (start + end) / 2
+  const latitude = lat1 + middle * deltaLat
+  const longitude = lon1 + middle * deltaLon
+  return latitude > minLat && latitude < maxLat && longitude > minLon && longitude < maxLon
 }
 
-const getDistanceInMeters = (latitude1, longitude1, latitude2, longitude2) =>
-  getDistance(latitude1, longitude1, latitude2, longitude2) * 1e3
+const isPointInPolygon = (polygon, latitude, longitude) => {
+  const {edges} = polygon
+  const {length} = edges
+  let inside = false
+  for (let i = 0; i < length; i++) {
+    const [lat1, lon1, lat2, lon2] = edges[i]
+    if ((lat1 > latitude) !== (lat2 > latitude) &&
+      longitude < (lon2 - lon1) * (latitude - lat1) / (lat2 - lat1) + lon1) {
+      inside = !inside
+    }
+  }
+  return inside
+}
 
-const getVincentyDistance = (latitude1, longitude1, latitude2, longitude2) => {
-  latitude1 = toLatitude(latitude1)
-  longitude1 = toLongitude(longitude1)
-  latitude2 = toLatitude(latitude2)
-  longitude2 = toLongitude(longitude2)
-  const lat1 = _degreesToRadians(latitude1)
-  const lat2 = _degreesToRadians(latitude2)
-  const a = EARTH_EQUATORIAL_RADIUS_IN_METERS
-  const b = EARTH_POLAR_RADIUS_IN_METERS
-  const f = EARTH_FLATTENING
-  const L = _degreesToRadians(longitude2 - longitude1)
-  const U1 = MathAtan((1 - f) * MathTan(lat1))
-  const U2 = MathAtan((1 - f) * MathTan(lat2))
-  const sinU1 = MathSin(U1)
-  const cosU1 = MathCos(U1)
-  const sinU2 = MathSin(U2)
-  const cosU2 = MathCos(U2)
-  let cosSqAlpha = null
-  let sinSigma = null
-  let cosSigma = null
-  let cos2SigmaM = null
-  let sigma = null
-  let lambda = L
-  let lambdaP = null
-  let index = 100
-  do {
-    const sinLambda = MathSin(lambda)
-    const cosLambda = MathCos(lambda)
-    sinSigma = MathSqrt((cosU2 * sinLambda) ** 2 + (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) ** 2)
-    if (sinSigma === 0) {
-      return 0
+const isPointInPolygons = (polygons, latitude, longitude) => {
+  const {length} = polygons
+  for (let i = 0; i < length; i++) {
+    const polygon = polygons[i]
+    const [minLat, minLon, maxLat, maxLon] = polygon.boundingBox
+    if (latitude >= minLat && latitude <= maxLat && longitude >= minLon && longitude <= maxLon &&
+      isPointInPolygon(polygon, latitude, longitude)) {
+      return true
     }
-    cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda
-    sigma = MathAtan2(sinSigma, cosSigma)
-    const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma
-    cosSqAlpha = 1 - sinAlpha ** 2
-    cos2SigmaM = cosSigma - sinU1 * 2 * sinU2 / cosSqAlpha
-    const C = f / 16 * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha))
-    lambdaP = lambda
-    lambda = L + (1 - C) * f * sinAlpha * (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + cos2SigmaM * 2 * cos2SigmaM)))
-  } while (--index > 0 && MathAbs(lambda - lambdaP) > EPSILON)
-  if (index === 0) {
-    return 0
   }
-  const uSq = cosSqAlpha * ((a ** 2 - b ** 2) / b ** 2)
-  const A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)))
-  const B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)))
-  const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (
-    cosSigma * (-1 + cos2SigmaM * 2 ** 2) - B / 6 * cos2SigmaM * (-3 + sinSigma * 4 ** 2) * (-3 + cos2SigmaM * 4 ** 2)
-  ))
-  return b * A * (sigma - deltaSigma)
+  return false
 }
 
-const getDestinationPoint = (latitude, longitude, distance, bearing) => {
-  latitude = toLatitude(latitude)
-  longitude = toLongitude(longitude)
-  distance = toDistance(distance)
-  bearing = toBearing(bearing)
-  const lat1 = _degreesToRadians(latitude)
-  const lon1 = _degreesToRadians(longitude)
-  const delta = distance / EARTH_RADIUS
-  const brng = _degreesToRadians(bearing)
+const getPolygonsRelation = (polygons, minLat, minLon, maxLat, maxLon) => {
+  const latitude = (minLat + maxLat) / 2
+  const longitude = (minLon + maxLon) / 2
+  const {length} = polygons
+  let relation = REGION_RELATION_DISJOINT
+  for (let i = 0; i < length; i++) {
+    const polygon = polygons[i]
+    const [polygonMinLat, polygonMinLon, polygonMaxLat, polygonMaxLon] = polygon.boundingBox
+    if (polygonMinLat >= maxLat || polygonMaxLat <= minLat || polygonMinLon >= maxLon || polygonMaxLon <= minLon) {
+      continue
+    }
+    const {edges} = polygon
+    const edgeCount = edges.length
+    for (let j = 0; j < edgeCount; j++) {
+      if (isSegmentCrossingBoundingBox(edges[j], minLat, minLon, maxLat, maxLon)) {
+        return REGION_RELATION_INTERSECTS
+      }
+    }
+    if (relation === REGION_RELATION_DISJOINT && isPointInPolygon(polygon, latitude, longitude)) {
+      relation = REGION_RELATION_WITHIN
+    }
+  }
+  return relation
+}
+
+const createPolygonsRelation = polygons => (minLat, minLon, maxLat, maxLon) =>
+  getPolygonsRelation(polygons, minLat, minLon, maxLat, maxLon)
+
+const createPolygonsCellMatcher = (polygons, mode) => {
+  if (mode === 'intersects') {
+    return () => true
+  }
+  if (mode === 'within') {
+    return () => false
+  }
+  return (minLat, minLon, maxLat, maxLon) => isPointInPolygons(polygons, (minLat + maxLat) / 2, (minLon + maxLon) / 2)
+}
+
+function* regionGeointsGenerator(relate, match, bits) {
+  const stack = [[0, 0, MIN_LATITUDE, MIN_LONGITUDE, MAX_LATITUDE, MAX_LONGITUDE]]
+  while (stack.length) {
+    const [geoint, bitCount, minLat, minLon, maxLat, maxLon] = ArrayPrototypePop(stack)
+    const relation = relate(minLat, minLon, maxLat, maxLon)
+    if (relation === REGION_RELATION_WITHIN) {
+      const count = 2 ** (bits - bitCount)
+      const start = geoint * count
+      for (let i = 0; i < count; i++) {
+        yield start + i
+      }
+    } else if (bitCount === bits) {
+      if (relation === REGION_RELATION_INTERSECTS && match(minLat, minLon, maxLat, maxLon)) {
+        yield geoint
+      }
+    } else if (relation === REGION_RELATION_INTERSECTS) {
+      const nextBitCount = bitCount + 1
+      if (bitCount % 2 === 0) {
+        const delta = (minLon + maxLon) / 2
+        ArrayPrototypePush(stack, [geoint * 2 + 1, nextBitCount, minLat, delta, maxLat, maxLon])
+        ArrayPrototypePush(stack, [geoint * 2, nextBitCount, minLat, minLon, maxLat, delta])
+      } else {
+        const delta = (minLat + maxLat) / 2
+        ArrayPrototypePush(stack, [geoint * 2 + 1, nextBitCount, delta, minLon, maxLat, maxLon])
+        ArrayPrototypePush(stack, [geoint * 2, nextBitCount, minLat, minLon, delta, maxLon])
+      }
+    }
+  }
+}
+
+function* regionGeobigintsGenerator(relate, match, bits) {
+  const stack = [[0n, 0, MIN_LATITUDE, MIN_LONGITUDE, MAX_LATITUDE, MAX_LONGITUDE]]
+  while (stack.length) {
+    const [geobigint, bitCount, minLat, minLon, maxLat, maxLon] = ArrayPrototypePop(stack)
+    const relation = relate(minLat, minLon, maxLat, maxLon)
+    if (relation === REGION_RELATION_WITHIN) {
+      const count = 2n ** BigInt(bits - bitCount)
+      const start = geobigint * count
+      for (let i = 0n; i < count; i++) {
+        yield start + i
+      }
+    } else if (bitCount === bits) {
+      if (relation === REGION_RELATION_INTERSECTS && match(minLat, minLon, maxLat, maxLon)) {
+        yield geobigint
+      }
+    } else if (relation === REGION_RELATION_INTERSECTS) {
+      const nextBitCount = bitCount + 1
+      if (bitCount % 2 === 0) {
+        const delta = (minLon + maxLon) / 2
+        ArrayPrototypePush(stack, [geobigint * 2n + 1n, nextBitCount, minLat, delta, maxLat, maxLon])
+        ArrayPrototypePush(stack, [geobigint * 2n, nextBitCount, minLat, minLon, maxLat, delta])
+      } else {
+        const delta = (minLat + maxLat) / 2
+        ArrayPrototypePush(stack, [geobigint * 2n + 1n, nextBitCount, delta, minLon, maxLat, maxLon])
+        ArrayPrototypePush(stack, [geobigint * 2n, nextBitCount, minLat, minLon, delta, maxLon])
+      }
+    }
+  }
+}
+
+const getPolygonGeohashesInt = (polygon, bits, options) => {
+  bits = toGeointBits(bits)
+  const mode = toPolygonMode(options)
+  const polygons = toPolygons(polygon)
+  const relate = createPolygonsRelation(polygons)
+  const match = createPolygonsCellMatcher(polygons, mode)
+  const result = []
+  for (const geoint of new SafeGenerator(regionGeointsGenerator(relate, match, bits))) {
+    ArrayPrototypePush(result, geoint)
+  }
+  return result
+}
+
+const getPolygonGeohashesBigInt = (polygon, bits, options) => {
+  bits = toGeobigintBits(bits)
+  const mode = toPolygonMode(options)
+  const polygons = toPolygons(polygon)
+  const relate = createPolygonsRelation(polygons)
+  const match = createPolygonsCellMatcher(polygons, mode)
+  const result = []
+  for (const geobigint of new SafeGenerator(regionGeobigintsGenerator(relate, match, bits))) {
+    ArrayPrototypePush(result, geobigint)
+  }
+  return result
+}
+
+function* polygonGeohashesIntGenerator(polygon, bits, options) {
+  bits = toGeointBits(bits)
+  const mode = toPolygonMode(options)
+  const polygons = toPolygons(polygon)
+  const relate = createPolygonsRelation(polygons)
+  const match = createPolygonsCellMatcher(polygons, mode)
+  yield* new SafeGenerator(regionGeointsGenerator(relate, match, bits))
+}
+const polygonGeohashesIntSafeGenerator = (polygon, bits, options) =>
+  new SafeGenerator(polygonGeohashesIntGenerator(polygon, bits, options))
+
+function* polygonGeohashesBigIntGenerator(polygon, bits, options) {
+  bits = toGeobigintBits(bits)
+  const mode = toPolygonMode(options)
+  const polygons = toPolygons(polygon)
+  const relate = createPolygonsRelation(polygons)
+  const match = createPolygonsCellMatcher(polygons, mode)
+  yield* new SafeGenerator(regionGeobigintsGenerator(relate, match, bits))
+}
+const polygonGeohashesBigIntSafeGenerator = (polygon, bits, options) =>
+  new SafeGenerator(polygonGeohashesBigIntGenerator(polygon, bits, options))
+
+const toGeointCells = value => {
+  if (!ArrayIsArray(value)) {
+    throw new TypeError('The cells must be an array')
+  }
+  return ArrayPrototypeMap(value, cell => {
+    if (!ArrayIsArray(cell)) {
+      throw new TypeError('The cell must be an array of geoint and bits')
+    }
+    const bits = toGeointBits(TypesToIntegerOrInfinity(cell[1]))
+    return [toGeointWithBits(cell[0], bits), bits]
+  })
+}
+
+const toGeobigintCells = value => {
+  if (!ArrayIsArray(value)) {
+    throw new TypeError('The cells must be an array')
+  }
+  return ArrayPrototypeMap(value, cell => {
+    if (!ArrayIsArray(cell)) {
+      throw new TypeError('The cell must be an array of geobigint and bits')
+    }
+    const bits = toGeobigintBits(TypesToIntegerOrInfinity(cell[1]))
+    return [toGeobigintWithBits(cell[0], bits), bits]
+  })
+}
+
+const compareGeointCells = ([geoint1, bits1], [geoint2, bits2]) => {
+  const maxBits = MathMax(bits1, bits2)
+  return geoint1 * 2 ** (maxBits - bits1) - geoint2 * 2 ** (maxBits - bits2) || bits1 - bits2
+}
+
+const compareGeobigintCells = ([geobigint1, bits1], [geobigint2, bits2]) => {
+  const maxBits = MathMax(bits1, bits2)
+  const start1 = geobigint1 * 2n ** BigInt(maxBits - bits1)
+  const start2 = geobigint2 * 2n ** BigInt(maxBits - bits2)
+  return start1 < start2 ? -1 : start1 > start2 ? 1 : bits1 - bits2
+}
+
+const compareGeobigints = (geobigint1, geobigint2) =>
+  geobigint1 < geobigint2 ? -1 : geobigint1 > geobigint2 ? 1 : 0
+
+const _compactGeohashesInt = (geoints, bits) => {
+  let lookup = ObjectCreate(null)
+  ArrayPrototypeForEach(geoints, geoint => {
+    lookup[geoint] = geoint
+  })
+  const result = []
+  for (let bitCount = bits; bitCount > 0; bitCount -= BITS_PER_CHAR) {
+    const childCountLookup = ObjectCreate(null)
+    const parentLookup = ObjectCreate(null)
+    for (const key in lookup) {
+      const parent = MathFloor(lookup[key] / BASE)
+      childCountLookup[parent] = (childCountLookup[parent] || 0) + 1
+    }
+    for (const key in lookup) {
+      const geoint = lookup[key]
+      const parent = MathFloor(geoint / BASE)
+      if (bitCount > BITS_PER_CHAR && childCountLookup[parent] === BASE) {
+        parentLookup[parent] = parent
+      } else {
+        ArrayPrototypePush(result, [geoint, bitCount])
+      }
+    }
+    lookup = parentLookup
+  }
+  return ArrayPrototypeSort(result, compareGeointCells)
+}
+const compactGeohashesInt = (geoints, bits) => {
+  bits = toGeointBits(bits)
+  if (!ArrayIsArray(geoints)) {
+    throw new TypeError('The geoints must be an array')
+  }
+  geoints = ArrayPrototypeMap(geoints, geoint => toGeointWithBits(geoint, bits))
+  return _compactGeohashesInt(geoints, bits)
+}
+
+const _compactGeohashesBigInt = (geobigints, bits) => {
+  const shift = BigInt(BITS_PER_CHAR)
+  let lookup = ObjectCreate(null)
+  ArrayPrototypeForEach(geobigints, geobigint => {
+    lookup[geobigint] = geobigint
+  })
+  const result = []
+  for (let bitCount = bits; bitCount > 0; bitCount -= BITS_PER_CHAR) {
+    const childCountLookup = ObjectCreate(null)
+    const parentLookup = ObjectCreate(null)
+    for (const key in lookup) {
+      const parent = lookup[key] >> shift
+      childCountLookup[parent] = (childCountLookup[parent] || 0) + 1
+    }
+    for (const key in lookup) {
+      const geobigint = lookup[key]
+      const parent = geobigint >> shift
+      if (bitCount > BITS_PER_CHAR && childCountLookup[parent] === BASE) {
+        parentLookup[parent] = parent
+      } else {
+        ArrayPrototypePush(result, [geobigint, bitCount])
+      }
+    }
+    lookup = parentLookup
+  }
+  return ArrayPrototypeSort(result, compareGeobigintCells)
+}
+const compactGeohashesBigInt = (geobigints, bits) => {
+  bits = toGeobigintBits(bits)
+  if (!ArrayIsArray(geobigints)) {
+    throw new TypeError('The geobigints must be an array')
+  }
+  geobigints = ArrayPrototypeMap(geobigints, geobigint => toGeobigintWithBits(geobigint, bits))
+  return _compactGeohashesBigInt(geobigints, bits)
+}
+
+const _uncompactGeohashesInt = (cells, bits) => {
+  const lookup = ObjectCreate(null)
+  const result = []
+  ArrayPrototypeForEach(cells, ([geoint, cellBits]) => {
+    if (cellBits > bits) {
+      throw new RangeError('The bits of the cell must be less than or equal to the bits')
+    }
+    const count = 2 ** (bits - cellBits)
+    const start = geoint * count
+    for (let i = 0; i < count; i++) {
+      const descendant = start + i
+      if (lookup[descendant] === undefined) {
+        ArrayPrototypePush(result, descendant)
+        lookup[descendant] = true
+      }
+    }
+  })
+  return ArrayPrototypeSort(result, (a, b) => a - b)
+}
+const uncompactGeohashesInt = (cells, bits) => {
+  bits = toGeointBits(bits)
+  cells = toGeointCells(cells)
+  return _uncompactGeohashesInt(cells, bits)
+}
+
+const _uncompactGeohashesBigInt = (cells, bits) => {
+  const lookup = ObjectCreate(null)
+  const result = []
+  ArrayPrototypeForEach(cells, ([geobigint, cellBits]) => {
+    if (cellBits > bits) {
+      throw new RangeError('The bits of the cell must be less than or equal to the bits')
+    }
+    const count = 2n ** BigInt(bits - cellBits)
+    const start = geobigint * count
+    for (let i = 0n; i < count; i++) {
+      const descendant = start + i
+      if (lookup[descendant] === undefined) {
+        ArrayPrototypePush(result, descendant)
+        lookup[descendant] = true
+      }
+    }
+  })
+  return ArrayPrototypeSort(result, compareGeobigints)
+}
+const uncompactGeohashesBigInt = (cells, bits) => {
+  bits = toGeobigintBits(bits)
+  cells = toGeobigintCells(cells)
+  return _uncompactGeohashesBigInt(cells, bits)
+}
+
+const _getDistance = (latitude1, longitude1, latitude2, longitude2) => {
+  const lat1 = _degreesToRadians(latitude1)
+  const lat2 = _degreesToRadians(latitude2)
+  const deltaLat = _degreesToRadians(latitude2 - latitude1)
+  const deltaLon = _degreesToRadians(longitude2 - longitude1)
+  const haversine = MathSin(deltaLat / 2) ** 2 + MathCos(lat1) * MathCos(lat2) * MathSin(deltaLon / 2) ** 2
+  return EARTH_RADIUS * 2 * MathAsin(MathSqrt(haversine))
+}
+const getDistance = (latitude1, longitude1, latitude2, longitude2) => {
+  latitude1 = toLatitude(latitude1)
+  longitude1 = toLongitude(longitude1)
+  latitude2 = toLatitude(latitude2)
+  longitude2 = toLongitude(longitude2)
+  return _getDistance(latitude1, longitude1, latitude2, longitude2)
+}
+
+const getDistanceInMeters = (latitude1, longitude1, latitude2, longitude2) =>
+  getDistance(latitude1, longitude1, latitude2, longitude2) * 1e3
+
+const getVincentyDistance = (latitude1, longitude1, latitude2, longitude2) => {
+  latitude1 = toLatitude(latitude1)
+  longitude1 = toLongitude(longitude1)
+  latitude2 = toLatitude(latitude2)
+  longitude2 = toLongitude(longitude2)
+  const lat1 = _degreesToRadians(latitude1)
+  const lat2 = _degreesToRadians(latitude2)
+  const a = EARTH_EQUATORIAL_RADIUS_IN_METERS
+  const b = EARTH_POLAR_RADIUS_IN_METERS
+  const f = EARTH_FLATTENING
+  const L = _degreesToRadians(longitude2 - longitude1)
+  const U1 = MathAtan((1 - f) * MathTan(lat1))
+  const U2 = MathAtan((1 - f) * MathTan(lat2))
+  const sinU1 = MathSin(U1)
+  const cosU1 = MathCos(U1)
+  const sinU2 = MathSin(U2)
+  const cosU2 = MathCos(U2)
+  let cosSqAlpha = null
+  let sinSigma = null
+  let cosSigma = null
+  let cos2SigmaM = null
+  let sigma = null
+  let lambda = L
+  let lambdaP = null
+  let index = 100
+  do {
+    const sinLambda = MathSin(lambda)
+    const cosLambda = MathCos(lambda)
+    sinSigma = MathSqrt((cosU2 * sinLambda) ** 2 + (cosU1 * sinU2 - sinU1 * cosU2 * cosLambda) ** 2)
+    if (sinSigma === 0) {
+      return 0
+    }
+    cosSigma = sinU1 * sinU2 + cosU1 * cosU2 * cosLambda
+    sigma = MathAtan2(sinSigma, cosSigma)
+    const sinAlpha = cosU1 * cosU2 * sinLambda / sinSigma
+    cosSqAlpha = 1 - sinAlpha ** 2
+    cos2SigmaM = cosSigma - sinU1 * 2 * sinU2 / cosSqAlpha
+    const C = f / 16 * cosSqAlpha * (4 + f * (4 - 3 * cosSqAlpha))
+    lambdaP = lambda
+    lambda = L + (1 - C) * f * sinAlpha * (sigma + C * sinSigma * (cos2SigmaM + C * cosSigma * (-1 + cos2SigmaM * 2 * cos2SigmaM)))
+  } while (--index > 0 && MathAbs(lambda - lambdaP) > EPSILON)
+  if (index === 0) {
+    return 0
+  }
+  const uSq = cosSqAlpha * ((a ** 2 - b ** 2) / b ** 2)
+  const A = 1 + uSq / 16384 * (4096 + uSq * (-768 + uSq * (320 - 175 * uSq)))
+  const B = uSq / 1024 * (256 + uSq * (-128 + uSq * (74 - 47 * uSq)))
+  const deltaSigma = B * sinSigma * (cos2SigmaM + B / 4 * (
+    cosSigma * (-1 + cos2SigmaM * 2 ** 2) - B / 6 * cos2SigmaM * (-3 + sinSigma * 4 ** 2) * (-3 + cos2SigmaM * 4 ** 2)
+  ))
+  return b * A * (sigma - deltaSigma)
+}
+
+const getDestinationPoint = (latitude, longitude, distance, bearing) => {
+  latitude = toLatitude(latitude)
+  longitude = toLongitude(longitude)
+  distance = toDistance(distance)
+  bearing = toBearing(bearing)
+  const lat1 = _degreesToRadians(latitude)
+  const lon1 = _degreesToRadians(longitude)
+  const delta = distance / EARTH_RADIUS
+  const brng = _degreesToRadians(bearing)
   const sinLat1 = MathSin(lat1)
   const cosLat1 = MathCos(lat1)
   const sinDelta = MathSin(delta)
@@ -1065,30 +1821,6 @@ const getBoundingBox = (latitude, longitude, distance) => {
   ]
 }
 
-const _getBoundingBoxQuery = (geohash, bits) => {
-  const {length} = geohash
-  const precision = MathCeil(bits / BITS_PER_CHAR)
-  if (length < precision) {
-    return [geohash, `${geohash}${LIMITER_CHAR}`]
-  }
-  const lastIndex = precision - 1
-  const lastChar = geohash[lastIndex]
-  const lastCharIndex = alphabetLookup[lastChar]
-  const result = StringPrototypeSlice(geohash, 0, lastIndex)
-  const significantBits = bits - lastIndex * BITS_PER_CHAR
-  const shift = BITS_PER_CHAR - significantBits
-  const startLastCharIndex = (lastCharIndex >> shift) << shift
-  const endLastCharIndex = startLastCharIndex + (1 << shift)
-  const startLastChar = ALPHABET[startLastCharIndex]
-  const endLastChar = endLastCharIndex > 0x1f ? LIMITER_CHAR : ALPHABET[endLastCharIndex]
-  return [`${result}${startLastChar}`, `${result}${endLastChar}`]
-}
-const getBoundingBoxQuery = (geohash, bits) => {
-  bits = toGeohashPrecisionBits(bits)
-  validateGeohash(geohash)
-  return _getBoundingBoxQuery(geohash, bits)
-}
-
 const _getBoundingCirclePoints = (latitude, longitude, radius) => {
   const deltaLat = radius / EARTH_LATITUDE_DEGREE
   const northLat = MathMin(latitude + deltaLat, MAX_LATITUDE)
@@ -1117,334 +1849,5142 @@ const getBoundingCirclePoints = (latitude, longitude, radius) => {
   return _getBoundingCirclePoints(latitude, longitude, radius)
 }
 
-const getBoundingCircleQueries = (latitude, longitude, radius) => {
-  latitude = toLatitude(latitude)
-  longitude = toLongitude(longitude)
-  radius = toRadius(radius)
-  const bits = MathMax(1, _getBoundingBoxBits(latitude, longitude, radius))
-  const precision = MathCeil(bits / BITS_PER_CHAR)
-  const points = _getBoundingCirclePoints(latitude, longitude, radius)
+const isLongitudeInBoundingBox = (longitude, minLon, maxLon) => (longitude >= minLon && longitude <= maxLon) ||
+  (longitude === MAX_LONGITUDE && minLon === MIN_LONGITUDE) ||
+  (longitude === MIN_LONGITUDE && maxLon === MAX_LONGITUDE)
+
+const getLongitudeDelta = (longitude1, longitude2) => {
+  const delta = MathAbs(longitude2 - longitude1)
+  return delta > MAX_LONGITUDE ? CIRCUMFERENCE - delta : delta
+}
+
+const getBoundingBoxMinDistance = (latitude, longitude, minLat, minLon, maxLat, maxLon) => {
+  if (isLongitudeInBoundingBox(longitude, minLon, maxLon)) {
+    if (latitude < minLat) {
+      return _getDistance(latitude, longitude, minLat, longitude)
+    }
+    if (latitude > maxLat) {
+      return _getDistance(latitude, longitude, maxLat, longitude)
+    }
+    return 0
+  }
+  const edgeLon = getLongitudeDelta(longitude, minLon) < getLongitudeDelta(longitude, maxLon) ? minLon : maxLon
+  const lat = _degreesToRadians(latitude)
+  const deltaLon = _degreesToRadians(edgeLon - longitude)
+  const closestLat = _radiansToDegrees(MathAtan2(MathSin(lat), MathCos(lat) * MathCos(deltaLon)))
+  return _getDistance(latitude, longitude, MathMin(MathMax(minLat, closestLat), maxLat), edgeLon)
+}
+
+const getBoundingBoxMaxDistance = (latitude, longitude, minLat, minLon, maxLat, maxLon) => {
+  let distance = MathMax(
+    _getDistance(latitude, longitude, minLat, minLon),
+    _getDistance(latitude, longitude, minLat, maxLon),
+    _getDistance(latitude, longitude, maxLat, minLon),
+    _getDistance(latitude, longitude, maxLat, maxLon)
+  )
+  const antipodalLon = _wrapLongitude(longitude + MAX_LONGITUDE)
+  if (isLongitudeInBoundingBox(antipodalLon, minLon, maxLon)) {
+    distance = MathMax(
+      distance,
+      _getDistance(latitude, longitude, minLat, antipodalLon),
+      _getDistance(latitude, longitude, maxLat, antipodalLon)
+    )
+  }
+  return distance
+}
+
+const getCircleRelation = (latitude, longitude, radius, minLat, minLon, maxLat, maxLon) => {
+  if (getBoundingBoxMinDistance(latitude, longitude, minLat, minLon, maxLat, maxLon) > radius) {
+    return REGION_RELATION_DISJOINT
+  }
+  if (getBoundingBoxMaxDistance(latitude, longitude, minLat, minLon, maxLat, maxLon) <= radius) {
+    return REGION_RELATION_WITHIN
+  }
+  return REGION_RELATION_INTERSECTS
+}
+
+const createCircleRelation = (latitude, longitude, radius) => (minLat, minLon, maxLat, maxLon) =>
+  getCircleRelation(latitude, longitude, radius, minLat, minLon, maxLat, maxLon)
+
+const matchIntersectingCell = () => true
+
+const getGeointsQueries = geoints => {
   const result = []
-  const uniqueQueriesLookup = ObjectCreate(null)
-  ArrayPrototypeForEach(points, ([pointLat, pointLon], index) => {
-    const geohash = _encode(pointLat, pointLon, precision)
-    const boundingBoxQuery = _getBoundingBoxQuery(geohash, bits)
-    const [startQuery, endQuery] = boundingBoxQuery
-    const key = `${startQuery},${endQuery}`
-    if (uniqueQueriesLookup[key] === undefined) {
-      ArrayPrototypePush(result, boundingBoxQuery)
-      uniqueQueriesLookup[key] = index
+  let query = null
+  ArrayPrototypeForEach(geoints, geoint => {
+    if (query !== null && query[1] === geoint) {
+      query[1]++
+    } else {
+      query = [geoint, geoint + 1]
+      ArrayPrototypePush(result, query)
     }
   })
   return result
 }
 
-const Geohash = {}
-ObjectDefineProperties(Geohash, {
-  BASE: {
-    value: BASE
-  },
-  ALPHABET: {
-    value: ALPHABET
-  },
-  BITS_PER_CHAR: {
-    value: BITS_PER_CHAR
-  },
-  LIMITER_CHAR: {
-    value: LIMITER_CHAR
-  },
-  MAX_GEOHASH_PRECISION: {
-    value: MAX_GEOHASH_PRECISION
-  },
-  MAX_GEOHASH_PRECISION_BITS: {
-    value: MAX_GEOHASH_PRECISION_BITS
-  },
-  MAX_GEOINT_BITS: {
-    value: MAX_GEOINT_BITS
-  },
-  MAX_GEOBIGINT_BITS: {
-    value: MAX_GEOBIGINT_BITS
-  },
-  MAX_GEOINT: {
-    value: MAX_GEOINT
-  },
-  MAX_GEOBIGINT: {
-    value: MAX_GEOBIGINT
-  },
-  GEOHASH_PRECISION: {
-    value: GEOHASH_PRECISION
-  },
-  GEOINT_BITS: {
-    value: GEOINT_BITS
-  },
-  GEOBIGINT_BITS: {
-    value: GEOBIGINT_BITS
-  },
-  MAX_LATITUDE: {
-    value: MAX_LATITUDE
-  },
-  MAX_LATITUDE_IN_RADIANS: {
-    value: MAX_LATITUDE_IN_RADIANS
-  },
-  MIN_LATITUDE: {
-    value: MIN_LATITUDE
-  },
-  MIN_LATITUDE_IN_RADIANS: {
-    value: MIN_LATITUDE_IN_RADIANS
-  },
-  MAX_LONGITUDE: {
-    value: MAX_LONGITUDE
-  },
-  MAX_LONGITUDE_IN_RADIANS: {
-    value: MAX_LONGITUDE_IN_RADIANS
-  },
-  MIN_LONGITUDE: {
-    value: MIN_LONGITUDE
-  },
-  MIN_LONGITUDE_IN_RADIANS: {
-    value: MIN_LONGITUDE_IN_RADIANS
-  },
-  CIRCUMFERENCE: {
-    value: CIRCUMFERENCE
-  },
-  CIRCUMFERENCE_IN_RADIANS: {
-    value: CIRCUMFERENCE_IN_RADIANS
-  },
-  MAX_BEARING: {
-    value: MAX_BEARING
-  },
-  MIN_BEARING: {
-    value: MIN_BEARING
-  },
-  EARTH_EQUATORIAL_RADIUS: {
-    value: EARTH_EQUATORIAL_RADIUS
-  },
-  EARTH_EQUATORIAL_RADIUS_IN_METERS: {
-    value: EARTH_EQUATORIAL_RADIUS_IN_METERS
-  },
-  EARTH_POLAR_RADIUS: {
-    value: EARTH_POLAR_RADIUS
-  },
-  EARTH_POLAR_RADIUS_IN_METERS: {
-    value: EARTH_POLAR_RADIUS_IN_METERS
-  },
-  EARTH_RADIUS: {
-    value: EARTH_RADIUS
-  },
-  EARTH_RADIUS_IN_METERS: {
-    value: EARTH_RADIUS_IN_METERS
-  },
-  EARTH_EQUATORIAL_CIRCUMFERENCE: {
-    value: EARTH_EQUATORIAL_CIRCUMFERENCE
-  },
-  EARTH_EQUATORIAL_CIRCUMFERENCE_IN_METERS: {
-    value: EARTH_EQUATORIAL_CIRCUMFERENCE_IN_METERS
-  },
-  EARTH_MERIDIAN: {
-    value: EARTH_MERIDIAN
-  },
-  EARTH_MERIDIAN_IN_METERS: {
-    value: EARTH_MERIDIAN_IN_METERS
-  },
-  EARTH_MERIDIONAL_CIRCUMFERENCE: {
-    value: EARTH_MERIDIONAL_CIRCUMFERENCE
-  },
-  EARTH_MERIDIONAL_CIRCUMFERENCE_IN_METERS: {
-    value: EARTH_MERIDIONAL_CIRCUMFERENCE_IN_METERS
-  },
-  EARTH_FLATTENING: {
-    value: EARTH_FLATTENING
-  },
-  EARTH_ECCENTRICITY2: {
-    value: EARTH_ECCENTRICITY2
-  },
-  EARTH_LATITUDE_DEGREE: {
-    value: EARTH_LATITUDE_DEGREE
-  },
-  EARTH_LATITUDE_DEGREE_IN_METERS: {
-    value: EARTH_LATITUDE_DEGREE_IN_METERS
-  },
-  EARTH_LONGITUDE_DEGREE: {
-    value: EARTH_LONGITUDE_DEGREE
-  },
-  EARTH_LONGITUDE_DEGREE_IN_METERS: {
-    value: EARTH_LONGITUDE_DEGREE_IN_METERS
-  },
-  EPSILON: {
-    value: EPSILON
-  },
-  getDirections: {
-    value: getDirections
-  },
-  isDirection: {
-    value: isDirection
-  },
-  isGeohash: {
-    value: isGeohash
-  },
-  isGeoint: {
-    value: isGeoint
-  },
-  toGeoint: {
-    value: toGeoint
-  },
-  isGeobigint: {
-    value: isGeobigint
-  },
-  toGeobigint: {
-    value: toGeobigint
-  },
-  isLatitude: {
-    value: isLatitude
-  },
-  toLatitude: {
-    value: toLatitude
-  },
-  isLongitude: {
-    value: isLongitude
-  },
-  toLongitude: {
-    value: toLongitude
-  },
-  toBearing: {
-    value: toBearing
-  },
-  toDistance: {
-    value: toDistance
-  },
-  toRadius: {
-    value: toRadius
-  },
-  degreesToRadians: {
-    value: degreesToRadians
-  },
-  radiansToDegrees: {
-    value: radiansToDegrees
-  },
-  wrapLatitude: {
-    value: wrapLatitude
-  },
-  wrapLongitude: {
-    value: wrapLongitude
-  },
-  wrapBearing: {
-    value: wrapBearing
-  },
-  getBoundingBoxBits: {
-    value: getBoundingBoxBits
-  },
-  encode: {
-    value: encode
-  },
-  encodeInt: {
-    value: encodeInt
-  },
-  encodeBigInt: {
-    value: encodeBigInt
-  },
-  decodeBoundingBox: {
-    value: decodeBoundingBox
-  },
-  decodeBoundingBoxInt: {
-    value: decodeBoundingBoxInt
-  },
-  decodeBoundingBoxBigInt: {
-    value: decodeBoundingBoxBigInt
-  },
-  decode: {
-    value: decode
-  },
-  decodeInt: {
-    value: decodeInt
-  },
-  decodeBigInt: {
-    value: decodeBigInt
-  },
-  getNeighbor: {
-    value: getNeighbor
-  },
-  getNeighborInt: {
-    value: getNeighborInt
-  },
-  getNeighborBigInt: {
-    value: getNeighborBigInt
-  },
-  getNeighbors: {
-    value: getNeighbors
-  },
-  getNeighborsInt: {
-    value: getNeighborsInt
-  },
-  getNeighborsBigInt: {
-    value: getNeighborsBigInt
-  },
-  getBoundingBoxes: {
-    value: getBoundingBoxes
-  },
-  getBoundingBoxesInt: {
-    value: getBoundingBoxesInt
-  },
-  getBoundingBoxesBigInt: {
-    value: getBoundingBoxesBigInt
-  },
-  boundingBoxesGenerator: {
-    value: boundingBoxesGenerator
-  },
-  boundingBoxesSafeGenerator: {
-    value: boundingBoxesSafeGenerator
-  },
-  boundingBoxesIntGenerator: {
-    value: boundingBoxesIntGenerator
-  },
-  boundingBoxesIntSafeGenerator: {
-    value: boundingBoxesIntSafeGenerator
-  },
-  boundingBoxesBigIntGenerator: {
-    value: boundingBoxesBigIntGenerator
-  },
-  boundingBoxesBigIntSafeGenerator: {
-    value: boundingBoxesBigIntSafeGenerator
-  },
-  getDistance: {
-    value: getDistance
-  },
-  getDistanceInMeters: {
-    value: getDistanceInMeters
-  },
-  getVincentyDistance: {
-    value: getVincentyDistance
-  },
-  getDestinationPoint: {
-    value: getDestinationPoint
-  },
-  getBoundingBox: {
-    value: getBoundingBox
-  },
-  getBoundingBoxQuery: {
-    value: getBoundingBoxQuery
-  },
-  getBoundingCirclePoints: {
-    value: getBoundingCirclePoints
-  },
-  getBoundingCircleQueries: {
-    value: getBoundingCircleQueries
-  },
-  [SymbolToStringTag]: {
-    value: 'Geohash'
+const getGeobigintsQueries = geobigints => {
+  const result = []
+  let query = null
+  ArrayPrototypeForEach(geobigints, geobigint => {
+    if (query !== null && query[1] === geobigint) {
+      query[1]++
+    } else {
+      query = [geobigint, geobigint + 1n]
+      ArrayPrototypePush(result, query)
+    }
+  })
+  return result
+}
+
+const _getCircleGeohashesInt = (latitude, longitude, radius, bits) => {
+  const relate = createCircleRelation(latitude, longitude, radius)
+  const result = []
+  for (const geoint of new SafeGenerator(regionGeointsGenerator(relate, matchIntersectingCell, bits))) {
+    ArrayPrototypePush(result, geoint)
   }
-})
+  return result
+}
+const getCircleGeohashesInt = (latitude, longitude, radius, bits) => {
+  bits = toGeointBits(bits)
+  latitude = toLatitude(latitude)
+  longitude = toLongitude(longitude)
+  radius = toRadius(radius)
+  return _getCircleGeohashesInt(latitude, longitude, radius, bits)
+}
+
+const _getCircleGeohashesBigInt = (latitude, longitude, radius, bits) => {
+  const relate = createCircleRelation(latitude, longitude, radius)
+  const result = []
+  for (const geobigint of new SafeGenerator(regionGeobigintsGenerator(relate, matchIntersectingCell, bits))) {
+    ArrayPrototypePush(result, geobigint)
+  }
+  return result
+}
+const getCircleGeohashesBigInt = (latitude, longitude, radius, bits) => {
+  bits = toGeobigintBits(bits)
+  latitude = toLatitude(latitude)
+  longitude = toLongitude(longitude)
+  radius = toRadius(radius)
+  return _getCircleGeohashesBigInt(latitude, longitude, radius, bits)
+}
+
+const getCircleQueriesInt = (latitude, longitude, radius, bits) => {
+  bits = toGeointBits(bits)
+  latitude = toLatitude(latitude)
+  longitude = toLongitude(longitude)
+  radius = toRadius(radius)
+  return getGeointsQueries(_getCircleGeohashesInt(latitude, longitude, radius, bits))
+}
+
+const getCircleQueriesBigInt = (latitude, longitude, radius, bits) => {
+  bits = toGeobigintBits(bits)
+  latitude = toLatitude(latitude)
+  longitude = toLongitude(longitude)
+  radius = toRadius(radius)
+  return getGeobigintsQueries(_getCircleGeohashesBigInt(latitude, longitude, radius, bits))
+}
+
+const COVERER_MIN_PRECISION = 1
+const COVERER_MAX_CELLS = 8
+const COVERER_LEVEL_MOD = 1
+const MAX_COVERER_LEVEL_MOD = 3
+
+const isRangeOverlapping = (min1, max1, min2, max2) =>
+  min2 === max2 ? min1 <= min2 && max1 >= min2 : min1 < max2 && max1 > min2
+
+const getBoundingBoxRelation = (boundingBox, minLat, minLon, maxLat, maxLon) => {
+  const [boxMinLat, boxMinLon, boxMaxLat, boxMaxLon] = boundingBox
+  if (!isRangeOverlapping(minLat, maxLat, boxMinLat, boxMaxLat) ||
+    !isRangeOverlapping(minLon, maxLon, boxMinLon, boxMaxLon)) {
+    return REGION_RELATION_DISJOINT
+  }
+  if (minLat >= boxMinLat && maxLat <= boxMaxLat && minLon >= boxMinLon && maxLon <= boxMaxLon) {
+    return REGION_RELATION_WITHIN
+  }
+  return REGION_RELATION_INTERSECTS
+}
+
+const splitBoundingBox = (minLat, minLon, maxLat, maxLon) => minLon > maxLon ? [
+  [minLat, minLon, maxLat, MAX_LONGITUDE],
+  [minLat, MIN_LONGITUDE, maxLat, maxLon]
+] : [
+  [minLat, minLon, maxLat, maxLon]
+]
+
+const toBoundingBoxRegion = boundingBox => {
+  const minLat = toLatitude(boundingBox[0])
+  const minLon = toLongitude(boundingBox[1])
+  const maxLat = toLatitude(boundingBox[2])
+  const maxLon = toLongitude(boundingBox[3])
+  if (minLat > maxLat) {
+    throw new RangeError('The minimum latitude must be less than or equal to the maximum latitude')
+  }
+  const boundingBoxes = splitBoundingBox(minLat, minLon, maxLat, maxLon)
+  return (cellMinLat, cellMinLon, cellMaxLat, cellMaxLon) => {
+    let relation = REGION_RELATION_DISJOINT
+    ArrayPrototypeForEach(boundingBoxes, boundingBox => {
+      relation = MathMax(relation, getBoundingBoxRelation(boundingBox, cellMinLat, cellMinLon, cellMaxLat, cellMaxLon))
+    })
+    return relation
+  }
+}
+
+const toRegion = region => {
+  if (ArrayIsArray(region)) {
+    return toBoundingBoxRegion(region)
+  }
+  if (!TypesIsObject(region)) {
+    throw new TypeError('The region must be a bounding box, Circle, Polygon or MultiPolygon')
+  }
+  const {type} = region
+  if (type === 'Circle') {
+    const latitude = toLatitude(region.latitude)
+    const longitude = toLongitude(region.longitude)
+    const radius = toRadius(region.radius)
+    return (minLat, minLon, maxLat, maxLon) =>
+      getCircleRelation(latitude, longitude, radius, minLat, minLon, maxLat, maxLon)
+  }
+  if (type === 'Polygon' || type === 'MultiPolygon') {
+    return createPolygonsRelation(toPolygons(region))
+  }
+  throw new TypeError('The region type must be "Circle", "Polygon" or "MultiPolygon"')
+}
+
+const toMaxCells = value => {
+  if (value === undefined) {
+    return COVERER_MAX_CELLS
+  }
+  value = TypesToIntegerOrInfinity(value)
+  if (value <= 0) {
+    throw new RangeError('The maximum cells must be greater than zero')
+  }
+  if (value > NumberMAX_SAFE_INTEGER) {
+    throw new RangeError('The maximum cells must be less than or equal to the maximum safe integer')
+  }
+  return value
+}
+
+const toLevelMod = value => {
+  if (value === undefined) {
+    return COVERER_LEVEL_MOD
+  }
+  value = TypesToIntegerOrInfinity(value)
+  if (value <= 0) {
+    throw new RangeError('The level mod must be greater than zero')
+  }
+  if (value > MAX_COVERER_LEVEL_MOD) {
+    throw new RangeError('The level mod must be less than or equal to 3')
+  }
+  return value
+}
+
+const compareCoveringCandidates = (candidate1, candidate2) =>
+  candidate1.geohash.length - candidate2.geohash.length ||
+  candidate1.children.length - candidate2.children.length ||
+  candidate1.terminalCount - candidate2.terminalCount
+
+const MAX_MERCATOR_LATITUDE = 85.05112877980659
+const MIN_MERCATOR_LATITUDE = -MAX_MERCATOR_LATITUDE
+const MAX_TILE_ZOOM = 30
+
+const toTileZoom = value => {
+  value = TypesToIntegerOrInfinity(value)
+  if (value < 0) {
+    throw new RangeError('The zoom must be greater than or equal to zero')
+  }
+  if (value > MAX_TILE_ZOOM) {
+    throw new RangeError('The zoom must be less than or equal to 30')
+  }
+  return value
+}
+
+const toTileCoordinate = (value, zoom, name) => {
+  value = TypesToIntegerOrInfinity(value)
+  if (value < 0) {
+    throw new RangeError(`The ${name} must be greater than or equal to zero`)
+  }
+  if (value >= 2 ** zoom) {
+    throw new RangeError(`The ${name} must be less than 2^${zoom}`)
+  }
+  return value
+}
+
+const validateQuadkey = value => {
+  if (!PrimitivesIsString(value)) {
+    throw new TypeError('The quadkey must be a string')
+  }
+  const {length} = value
+  if (length > MAX_TILE_ZOOM) {
+    throw new RangeError('The length of the quadkey must be less than or equal to 30')
+  }
+  for (let i = 0; i < length; i++) {
+    const char = value[i]
+    if (char !== '0' && char !== '1' && char !== '2' && char !== '3') {
+      throw new SyntaxError(`Invalid character "${char}" at index ${i} for quadkey encoding`)
+    }
+  }
+}
+
+const tileXToLongitude = (x, zoom) => x / 2 ** zoom * CIRCUMFERENCE + MIN_LONGITUDE
+
+const tileYToLatitude = (y, zoom) => _radiansToDegrees(MathAtan(MathSinh(MathPI * (1 - y / 2 ** zoom * 2))))
+
+const longitudeToTileX = (longitude, zoom) => (longitude - MIN_LONGITUDE) / CIRCUMFERENCE * 2 ** zoom
+
+const latitudeToTileY = (latitude, zoom) => {
+  const lat = _degreesToRadians(MathMin(MathMax(MIN_MERCATOR_LATITUDE, latitude), MAX_MERCATOR_LATITUDE))
+  return (1 - MathLog(MathTan(lat) + 1 / MathCos(lat)) / MathPI) / 2 * 2 ** zoom
+}
+
+const clampIndex = (value, size) => MathMin(MathMax(0, value), size - 1)
+
+const _tileToBoundingBox = (zoom, x, y) => [
+  tileYToLatitude(y + 1, zoom),
+  tileXToLongitude(x, zoom),
+  tileYToLatitude(y, zoom),
+  tileXToLongitude(x + 1, zoom)
+]
+const tileToBoundingBox = (zoom, x, y) => {
+  zoom = toTileZoom(zoom)
+  x = toTileCoordinate(x, zoom, 'x')
+  y = toTileCoordinate(y, zoom, 'y')
+  return _tileToBoundingBox(zoom, x, y)
+}
+
+const _boundingBoxToTiles = (minLat, minLon, maxLat, maxLon, zoom) => {
+  const size = 2 ** zoom
+  const minX = clampIndex(MathFloor(longitudeToTileX(minLon, zoom)), size)
+  const maxX = MathMax(minX, clampIndex(MathCeil(longitudeToTileX(maxLon, zoom)) - 1, size))
+  const minY = clampIndex(MathFloor(latitudeToTileY(maxLat, zoom)), size)
+  const maxY = MathMax(minY, clampIndex(MathCeil(latitudeToTileY(minLat, zoom)) - 1, size))
+  const result = []
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
+      ArrayPrototypePush(result, [x, y])
+    }
+  }
+  return result
+}
+
+const gridCellToBoundingBox = (x, y, columns, rows) => [
+  MIN_LATITUDE + y * MAX_LATITUDE * 2 / rows,
+  MIN_LONGITUDE + x * CIRCUMFERENCE / columns,
+  MIN_LATITUDE + (y + 1) * MAX_LATITUDE * 2 / rows,
+  MIN_LONGITUDE + (x + 1) * CIRCUMFERENCE / columns
+]
+
+const getBoundingBoxGridCells = (boundingBox, gridSize, encoder) => {
+  const [columns, rows] = gridSize
+  const isBigInt = PrimitivesIsBigInt(columns)
+  const lonCells = Number(columns)
+  const latCells = Number(rows)
+  const result = []
+  ArrayPrototypeForEach(splitBoundingBox(...boundingBox), ([minLat, minLon, maxLat, maxLon]) => {
+    const minX = clampIndex(MathFloor((minLon - MIN_LONGITUDE) / CIRCUMFERENCE * lonCells), lonCells)
+    const maxX = clampIndex(MathCeil((maxLon - MIN_LONGITUDE) / CIRCUMFERENCE * lonCells) - 1, lonCells)
+    const minY = clampIndex(MathFloor((minLat - MIN_LATITUDE) / MAX_LATITUDE / 2 * latCells), latCells)
+    const maxY = clampIndex(MathCeil((maxLat - MIN_LATITUDE) / MAX_LATITUDE / 2 * latCells) - 1, latCells)
+    let southwest = [minX, minY]
+    let northeast = [MathMax(minX, maxX), MathMax(minY, maxY)]
+    if (isBigInt) {
+      southwest = [BigInt(southwest[0]), BigInt(southwest[1])]
+      northeast = [BigInt(northeast[0]), BigInt(northeast[1])]
+    }
+    for (const cell of new SafeGenerator(gridBoxGenerator(southwest, northeast, columns, false, encoder))) {
+      ArrayPrototypePush(result, cell)
+    }
+  })
+  return result
+}
+
+const geohashesForTileInt = (zoom, x, y, bits) => {
+  bits = toGeointBits(bits)
+  zoom = toTileZoom(zoom)
+  x = toTileCoordinate(x, zoom, 'x')
+  y = toTileCoordinate(y, zoom, 'y')
+  return getBoundingBoxGridCells(_tileToBoundingBox(zoom, x, y), getGridSize(bits),
+    (cellX, cellY) => gridToGeoint(cellX, cellY, bits))
+}
+
+const geohashesForTileBigInt = (zoom, x, y, bits) => {
+  bits = toGeobigintBits(bits)
+  zoom = toTileZoom(zoom)
+  x = toTileCoordinate(x, zoom, 'x')
+  y = toTileCoordinate(y, zoom, 'y')
+  return getBoundingBoxGridCells(_tileToBoundingBox(zoom, x, y), getGridSize(BigInt(bits)),
+    (cellX, cellY) => gridToGeobigint(cellX, cellY, bits))
+}
+
+const tilesForGeohashInt = (geoint, zoom, bits) => {
+  bits = toGeointBits(bits)
+  zoom = toTileZoom(zoom)
+  geoint = toGeointWithBits(geoint, bits)
+  const [minLat, minLon, maxLat, maxLon] = _decodeBoundingBoxInt(geoint, bits)
+  return _boundingBoxToTiles(minLat, minLon, maxLat, maxLon, zoom)
+}
+
+const tilesForGeohashBigInt = (geobigint, zoom, bits) => {
+  bits = toGeobigintBits(bits)
+  zoom = toTileZoom(zoom)
+  geobigint = toGeobigintWithBits(geobigint, bits)
+  const [minLat, minLon, maxLat, maxLon] = _decodeBoundingBoxBigInt(geobigint, bits)
+  return _boundingBoxToTiles(minLat, minLon, maxLat, maxLon, zoom)
+}
+
+const quadkeyToTile = quadkey => {
+  validateQuadkey(quadkey)
+  const {length} = quadkey
+  let x = 0
+  let y = 0
+  for (let i = 0; i < length; i++) {
+    const digit = StringPrototypeCharCodeAt(quadkey, i) - 48
+    x = x * 2 + (digit & 1)
+    y = y * 2 + (digit >> 1)
+  }
+  return [length, x, y]
+}
+
+const tileToQuadkey = (zoom, x, y) => {
+  zoom = toTileZoom(zoom)
+  x = toTileCoordinate(x, zoom, 'x')
+  y = toTileCoordinate(y, zoom, 'y')
+  let result = ''
+  for (let i = 0; i < zoom; i++) {
+    const xBit = x % 2
+    const yBit = y % 2
+    result = `${xBit + yBit * 2}${result}`
+    x = (x - xBit) / 2
+    y = (y - yBit) / 2
+  }
+  return result
+}
+
+const PLUS_CODE_ALPHABET = '23456789CFGHJMPQRVWX'
+const PLUS_CODE_BASE = 20
+const PLUS_CODE_SEPARATOR = '+'
+const PLUS_CODE_SEPARATOR_POSITION = 8
+const PLUS_CODE_PADDING_CHAR = '0'
+const PLUS_CODE_PAIR_LENGTH = 10
+const PLUS_CODE_GRID_LENGTH = 5
+const PLUS_CODE_GRID_ROWS = 5
+const PLUS_CODE_GRID_COLUMNS = 4
+const PLUS_CODE_LAT_PRECISION = PLUS_CODE_BASE ** 3 * PLUS_CODE_GRID_ROWS ** PLUS_CODE_GRID_LENGTH
+const PLUS_CODE_LON_PRECISION = PLUS_CODE_BASE ** 3 * PLUS_CODE_GRID_COLUMNS ** PLUS_CODE_GRID_LENGTH
+const PLUS_CODE_PAIR_RESOLUTIONS = [20, 1, 0.05, 0.0025, 0.000125]
+const MIN_PLUS_CODE_LENGTH = 2
+const MAX_PLUS_CODE_LENGTH = PLUS_CODE_PAIR_LENGTH + PLUS_CODE_GRID_LENGTH
+const MIN_TRIMMABLE_PLUS_CODE_LENGTH = 6
+const PLUS_CODE_LENGTH = 10
+
+const plusCodeAlphabetLookup = createAlphabetLookup(PLUS_CODE_ALPHABET)
+
+const isPlusCode = value => {
+  if (!PrimitivesIsString(value)) {
+    return false
+  }
+  const code = StringPrototypeToUpperCase(value)
+  const {length} = code
+  const separatorIndex = StringPrototypeIndexOf(code, PLUS_CODE_SEPARATOR)
+  if (
+    length === 1 ||
+    separatorIndex === -1 ||
+    separatorIndex !== StringPrototypeLastIndexOf(code, PLUS_CODE_SEPARATOR) ||
+    separatorIndex > PLUS_CODE_SEPARATOR_POSITION ||
+    separatorIndex % 2 === 1 ||
+    length - separatorIndex - 1 === 1
+  ) {
+    return false
+  }
+  let end = separatorIndex
+  const paddingIndex = StringPrototypeIndexOf(code, PLUS_CODE_PADDING_CHAR)
+  if (paddingIndex !== -1) {
+    const paddingLength = separatorIndex - paddingIndex
+    if (
+      paddingIndex === 0 ||
+      separatorIndex < PLUS_CODE_SEPARATOR_POSITION ||
+      separatorIndex !== length - 1 ||
+      paddingLength % 2 === 1 ||
+      paddingLength > PLUS_CODE_SEPARATOR_POSITION - 2
+    ) {
+      return false
+    }
+    for (let i = paddingIndex; i < separatorIndex; i++) {
+      if (code[i] !== PLUS_CODE_PADDING_CHAR) {
+        return false
+      }
+    }
+    end = paddingIndex
+  }
+  for (let i = 0; i < length; i++) {
+    if ((i < end || i > separatorIndex) && plusCodeAlphabetLookup[code[i]] === undefined) {
+      return false
+    }
+  }
+  return true
+}
+
+const isShortPlusCode = value => isPlusCode(value) &&
+  StringPrototypeIndexOf(value, PLUS_CODE_SEPARATOR) < PLUS_CODE_SEPARATOR_POSITION
+
+const isFullPlusCode = value => {
+  if (!isPlusCode(value) || isShortPlusCode(value)) {
+    return false
+  }
+  const code = StringPrototypeToUpperCase(value)
+  return plusCodeAlphabetLookup[code[0]] * PLUS_CODE_BASE < MAX_LATITUDE * 2 &&
+    plusCodeAlphabetLookup[code[1]] * PLUS_CODE_BASE < CIRCUMFERENCE
+}
+
+const toFullPlusCode = value => {
+  if (!PrimitivesIsString(value)) {
+    throw new TypeError('The plus code must be a string')
+  }
+  if (!isFullPlusCode(value)) {
+    throw new SyntaxError(`Invalid full Plus Code "${value}"`)
+  }
+  return StringPrototypeToUpperCase(value)
+}
+
+const toPlusCodeLength = value => {
+  if (value === undefined) {
+    return PLUS_CODE_LENGTH
+  }
+  value = TypesToIntegerOrInfinity(value)
+  if (value < MIN_PLUS_CODE_LENGTH) {
+    throw new RangeError('The plus code length must be greater than or equal to 2')
+  }
+  if (value > MAX_PLUS_CODE_LENGTH) {
+    throw new RangeError('The plus code length must be less than or equal to 15')
+  }
+  if (value < PLUS_CODE_PAIR_LENGTH && value % 2 === 1) {
+    throw new RangeError('The plus code length must be even when less than 10')
+  }
+  return value
+}
+
+const _encodePlusCode = (latitude, longitude, length) => {
+  const latValues = (MAX_LATITUDE - MIN_LATITUDE) * PLUS_CODE_LAT_PRECISION
+  const lonValues = CIRCUMFERENCE * PLUS_CODE_LON_PRECISION
+  let latValue = MathFloor(MathRound((latitude - MIN_LATITUDE) * PLUS_CODE_LAT_PRECISION * 1e6) / 1e6)
+  let lonValue = MathFloor(MathRound((longitude - MIN_LONGITUDE) * PLUS_CODE_LON_PRECISION * 1e6) / 1e6)
+  latValue = MathMin(MathMax(0, latValue), latValues - 1)
+  lonValue = (lonValue % lonValues + lonValues) % lonValues
+  let code = ''
+  if (length > PLUS_CODE_PAIR_LENGTH) {
+    for (let i = 0; i < PLUS_CODE_GRID_LENGTH; i++) {
+      const latDigit = latValue % PLUS_CODE_GRID_ROWS
+      const lonDigit = lonValue % PLUS_CODE_GRID_COLUMNS
+      code = `${PLUS_CODE_ALPHABET[latDigit * PLUS_CODE_GRID_COLUMNS + lonDigit]}${code}`
+      latValue = (latValue - latDigit) / PLUS_CODE_GRID_ROWS
+      lonValue = (lonValue - lonDigit) / PLUS_CODE_GRID_COLUMNS
+    }
+  } else {
+    latValue = MathFloor(latValue / PLUS_CODE_GRID_ROWS ** PLUS_CODE_GRID_LENGTH)
+    lonValue = MathFloor(lonValue / PLUS_CODE_GRID_COLUMNS ** PLUS_CODE_GRID_LENGTH)
+  }
+  for (let i = 0; i < PLUS_CODE_PAIR_LENGTH / 2; i++) {
+    const latDigit = latValue % PLUS_CODE_BASE
+    const lonDigit = lonValue % PLUS_CODE_BASE
+    code = `${PLUS_CODE_ALPHABET[latDigit]}${PLUS_CODE_ALPHABET[lonDigit]}${code}`
+    latValue = (latValue - latDigit) / PLUS_CODE_BASE
+    lonValue = (lonValue - lonDigit) / PLUS_CODE_BASE
+  }
+  const prefix = StringPrototypeSlice(code, 0, PLUS_CODE_SEPARATOR_POSITION)
+  if (length >= PLUS_CODE_SEPARATOR_POSITION) {
+    return `${prefix}${PLUS_CODE_SEPARATOR}${StringPrototypeSlice(code, PLUS_CODE_SEPARATOR_POSITION, length)}`
+  }
+  const padding = StringPrototypeRepeat(PLUS_CODE_PADDING_CHAR, PLUS_CODE_SEPARATOR_POSITION - length)
+  return `${StringPrototypeSlice(code, 0, length)}${padding}${PLUS_CODE_SEPARATOR}`
+}
+const encodePlusCode = (latitude, longitude, length) => {
+  length = toPlusCodeLength(length)
+  latitude = toLatitude(latitude)
+  longitude = toLongitude(longitude)
+  return _encodePlusCode(latitude, longitude, length)
+}
+
+const getPlusCodeDigits = code => {
+  let result = ''
+  const {length} = code
+  for (let i = 0; i < length; i++) {
+    const char = code[i]
+    if (char !== PLUS_CODE_SEPARATOR && char !== PLUS_CODE_PADDING_CHAR) {
+      result += char
+    }
+  }
+  return StringPrototypeSlice(result, 0, MAX_PLUS_CODE_LENGTH)
+}
+
+const _decodePlusCodeBoundingBox = code => {
+  const digits = getPlusCodeDigits(code)
+  const {length} = digits
+  const pairLength = MathMin(length, PLUS_CODE_PAIR_LENGTH)
+  const gridLength = length - pairLength
+  let latValue = 0
+  let lonValue = 0
+  for (let i = 0; i < pairLength; i += 2) {
+    latValue = latValue * PLUS_CODE_BASE + plusCodeAlphabetLookup[digits[i]]
+    lonValue = lonValue * PLUS_CODE_BASE + plusCodeAlphabetLookup[digits[i + 1]]
+  }
+  for (let i = pairLength; i < length; i++) {
+    const index = plusCodeAlphabetLookup[digits[i]]
+    const row = MathFloor(index / PLUS_CODE_GRID_COLUMNS)
+    latValue = latValue * PLUS_CODE_GRID_ROWS + row
+    lonValue = lonValue * PLUS_CODE_GRID_COLUMNS + index - row * PLUS_CODE_GRID_COLUMNS
+  }
+  const pairScale = PLUS_CODE_BASE ** ((PLUS_CODE_PAIR_LENGTH - pairLength) / 2)
+  const latSize = pairScale * PLUS_CODE_GRID_ROWS ** (PLUS_CODE_GRID_LENGTH - gridLength)
+  const lonSize = pairScale * PLUS_CODE_GRID_COLUMNS ** (PLUS_CODE_GRID_LENGTH - gridLength)
+  latValue *= latSize
+  lonValue *= lonSize
+  return [
+    latValue / PLUS_CODE_LAT_PRECISION + MIN_LATITUDE,
+    lonValue / PLUS_CODE_LON_PRECISION + MIN_LONGITUDE,
+    MathMin((latValue + latSize) / PLUS_CODE_LAT_PRECISION + MIN_LATITUDE, MAX_LATITUDE),
+    MathMin((lonValue + lonSize) / PLUS_CODE_LON_PRECISION + MIN_LONGITUDE, MAX_LONGITUDE)
+  ]
+}
+const decodePlusCodeBoundingBox = code => _decodePlusCodeBoundingBox(toFullPlusCode(code))
+
+const decodePlusCode = (code, error) => {
+  const boundingBox = decodePlusCodeBoundingBox(code)
+  return boundingBoxToLocation(boundingBox, error)
+}
+
+const _shortenPlusCode = (code, latitude, longitude) => {
+  const [minLat, minLon, maxLat, maxLon] = _decodePlusCodeBoundingBox(code)
+  const range = MathMax(MathAbs((minLat + maxLat) / 2 - latitude), MathAbs((minLon + maxLon) / 2 - longitude))
+  for (let i = PLUS_CODE_PAIR_RESOLUTIONS.length - 2; i >= 1; i--) {
+    if (range < PLUS_CODE_PAIR_RESOLUTIONS[i] * 0.3) {
+      return StringPrototypeSlice(code, (i + 1) * 2)
+    }
+  }
+  return code
+}
+const shortenPlusCode = (code, latitude, longitude) => {
+  code = toFullPlusCode(code)
+  if (StringPrototypeIndexOf(code, PLUS_CODE_PADDING_CHAR) !== -1) {
+    throw new RangeError('The plus code must not be padded')
+  }
+  if (getPlusCodeDigits(code).length < MIN_TRIMMABLE_PLUS_CODE_LENGTH) {
+    throw new RangeError('The plus code length must be greater than or equal to 6')
+  }
+  latitude = toLatitude(latitude)
+  longitude = toLongitude(longitude)
+  return _shortenPlusCode(code, latitude, longitude)
+}
+
+const _recoverPlusCode = (code, latitude, longitude) => {
+  const paddingLength = PLUS_CODE_SEPARATOR_POSITION - StringPrototypeIndexOf(code, PLUS_CODE_SEPARATOR)
+  const resolution = PLUS_CODE_BASE ** (2 - paddingLength / 2)
+  const halfResolution = resolution / 2
+  const referenceCode = _encodePlusCode(latitude, longitude, PLUS_CODE_LENGTH)
+  const recoveredCode = `${StringPrototypeSlice(referenceCode, 0, paddingLength)}${code}`
+  const [minLat, minLon, maxLat, maxLon] = _decodePlusCodeBoundingBox(recoveredCode)
+  let centerLat = (minLat + maxLat) / 2
+  let centerLon = (minLon + maxLon) / 2
+  if (latitude + halfResolution < centerLat && centerLat - resolution >= MIN_LATITUDE) {
+    centerLat -= resolution
+  } else if (latitude - halfResolution > centerLat && centerLat + resolution <= MAX_LATITUDE) {
+    centerLat += resolution
+  }
+  if (longitude + halfResolution < centerLon) {
+    centerLon -= resolution
+  } else if (longitude - halfResolution > centerLon) {
+    centerLon += resolution
+  }
+  return _encodePlusCode(centerLat, _wrapLongitude(centerLon), getPlusCodeDigits(recoveredCode).length)
+}
+const recoverPlusCode = (code, latitude, longitude) => {
+  if (!PrimitivesIsString(code)) {
+    throw new TypeError('The plus code must be a string')
+  }
+  latitude = toLatitude(latitude)
+  longitude = toLongitude(longitude)
+  if (isShortPlusCode(code)) {
+    return _recoverPlusCode(StringPrototypeToUpperCase(code), latitude, longitude)
+  }
+  return toFullPlusCode(code)
+}
+
+const getPlusCodeGeohashesInt = (code, bits) => {
+  bits = toGeointBits(bits)
+  const boundingBox = decodePlusCodeBoundingBox(code)
+  return getBoundingBoxGridCells(boundingBox, getGridSize(bits), (x, y) => gridToGeoint(x, y, bits))
+}
+
+const getPlusCodeGeohashesBigInt = (code, bits) => {
+  bits = toGeobigintBits(bits)
+  const boundingBox = decodePlusCodeBoundingBox(code)
+  return getBoundingBoxGridCells(boundingBox, getGridSize(BigInt(bits)), (x, y) => gridToGeobigint(x, y, bits))
+}
+
+const MAIDENHEAD_BASES = [18, 10, 24, 10, 24, 10]
+const MAX_MAIDENHEAD_PAIRS = MAIDENHEAD_BASES.length
+const MAIDENHEAD_PAIRS = 3
+
+const getMaidenheadDigit = (char, pair) => {
+  const code = StringPrototypeCharCodeAt(char, 0)
+  let digit = -1
+  if (pair % 2 === 1) {
+    digit = code - 48
+  } else if (code >= 97) {
+    digit = code - 97
+  } else {
+    digit = code - 65
+  }
+  return digit >= 0 && digit < MAIDENHEAD_BASES[pair] ? digit : -1
+}
+
+const getMaidenheadChar = (digit, pair) => {
+  if (pair % 2 === 1) {
+    return StringFromCharCode(48 + digit)
+  }
+  return StringFromCharCode((pair ? 97 : 65) + digit)
+}
+
+const getMaidenheadSize = pairs => {
+  let size = 1
+  for (let i = 0; i < pairs; i++) {
+    size *= MAIDENHEAD_BASES[i]
+  }
+  return size
+}
+
+const isMaidenhead = value => {
+  if (!PrimitivesIsString(value)) {
+    return false
+  }
+  const {length} = value
+  if (!length || length % 2 === 1 || length > MAX_MAIDENHEAD_PAIRS * 2) {
+    return false
+  }
+  for (let i = 0; i < length; i++) {
+    if (getMaidenheadDigit(value[i], i >> 1) === -1) {
+      return false
+    }
+  }
+  return true
+}
+
+const validateMaidenhead = value => {
+  if (!PrimitivesIsString(value)) {
+    throw new TypeError('The Maidenhead locator must be a string')
+  }
+  const {length} = value
+  if (!length) {
+    throw new RangeError('The length of the Maidenhead locator must be greater than zero')
+  }
+  if (length > MAX_MAIDENHEAD_PAIRS * 2) {
+    throw new RangeError(`The length of the Maidenhead locator must be less than or equal to ${MAX_MAIDENHEAD_PAIRS * 2}`)
+  }
+  if (length % 2 === 1) {
+    throw new RangeError('The length of the Maidenhead locator must be even')
+  }
+  for (let i = 0; i < length; i++) {
+    const char = value[i]
+    if (getMaidenheadDigit(char, i >> 1) === -1) {
+      throw new SyntaxError(`Invalid character "${char}" at index ${i} for Maidenhead encoding`)
+    }
+  }
+}
+
+const toMaidenheadPairs = value => {
+  if (value === undefined) {
+    return MAIDENHEAD_PAIRS
+  }
+  value = TypesToIntegerOrInfinity(value)
+  if (value <= 0) {
+    throw new RangeError('The pairs must be greater than zero')
+  }
+  if (value > MAX_MAIDENHEAD_PAIRS) {
+    throw new RangeError(`The pairs must be less than or equal to ${MAX_MAIDENHEAD_PAIRS}`)
+  }
+  return value
+}
+
+const maidenheadToGrid = locator => {
+  const pairs = locator.length / 2
+  let x = 0
+  let y = 0
+  for (let i = 0; i < pairs; i++) {
+    const base = MAIDENHEAD_BASES[i]
+    x = x * base + getMaidenheadDigit(locator[i * 2], i)
+    y = y * base + getMaidenheadDigit(locator[i * 2 + 1], i)
+  }
+  return [x, y]
+}
+
+const gridToMaidenhead = (x, y, pairs) => {
+  let locator = ''
+  for (let i = pairs - 1; i >= 0; i--) {
+    const base = MAIDENHEAD_BASES[i]
+    const lonDigit = x % base
+    const latDigit = y % base
+    locator = `${getMaidenheadChar(lonDigit, i)}${getMaidenheadChar(latDigit, i)}${locator}`
+    x = (x - lonDigit) / base
+    y = (y - latDigit) / base
+  }
+  return locator
+}
+
+const _encodeMaidenhead = (latitude, longitude, pairs) => {
+  const size = getMaidenheadSize(pairs)
+  const x = clampIndex(MathFloor((longitude - MIN_LONGITUDE) / CIRCUMFERENCE * size), size)
+  const y = clampIndex(MathFloor((latitude - MIN_LATITUDE) / MAX_LATITUDE / 2 * size), size)
+  return gridToMaidenhead(x, y, pairs)
+}
+const encodeMaidenhead = (latitude, longitude, pairs) => {
+  pairs = toMaidenheadPairs(pairs)
+  latitude = toLatitude(latitude)
+  longitude = toLongitude(longitude)
+  return _encodeMaidenhead(latitude, longitude, pairs)
+}
+
+const _decodeMaidenheadBoundingBox = locator => {
+  const size = getMaidenheadSize(locator.length / 2)
+  const [x, y] = maidenheadToGrid(locator)
+  const latDelta = MAX_LATITUDE * 2 / size
+  const lonDelta = CIRCUMFERENCE / size
+  return [
+    y * latDelta + MIN_LATITUDE,
+    x * lonDelta + MIN_LONGITUDE,
+    (y + 1) * latDelta + MIN_LATITUDE,
+    (x + 1) * lonDelta + MIN_LONGITUDE
+  ]
+}
+const decodeMaidenheadBoundingBox = locator => {
+  validateMaidenhead(locator)
+  return _decodeMaidenheadBoundingBox(locator)
+}
+
+const decodeMaidenhead = (locator, error) => {
+  const boundingBox = decodeMaidenheadBoundingBox(locator)
+  return boundingBoxToLocation(boundingBox, error)
+}
+
+const getMaidenheadNeighbor = (locator, direction, options) => {
+  validateMaidenhead(locator)
+  validateDirection(direction)
+  const poles = toPoles(options)
+  const pairs = locator.length / 2
+  const size = getMaidenheadSize(pairs)
+  const [x, y] = maidenheadToGrid(locator)
+  const neighbor = getGridNeighbor(x, y, size, size, direction, poles)
+  return neighbor === null ? null : gridToMaidenhead(neighbor[0], neighbor[1], pairs)
+}
+
+const getMaidenheadNeighbors = (locator, options) => {
+  validateMaidenhead(locator)
+  const poles = toPoles(options)
+  const pairs = locator.length / 2
+  const size = getMaidenheadSize(pairs)
+  const [x, y] = maidenheadToGrid(locator)
+  const neighbors = {}
+  ArrayPrototypeForEach(directions, direction => {
+    const neighbor = getGridNeighbor(x, y, size, size, direction, poles)
+    neighbors[direction] = neighbor === null ? null : gridToMaidenhead(neighbor[0], neighbor[1], pairs)
+  })
+  return neighbors
+}
+
+const _boundingBoxToMaidenheads = (minLat, minLon, maxLat, maxLon, pairs) => {
+  const size = getMaidenheadSize(pairs)
+  const minX = clampIndex(MathFloor((minLon - MIN_LONGITUDE) / CIRCUMFERENCE * size), size)
+  const maxX = MathMax(minX, clampIndex(MathCeil((maxLon - MIN_LONGITUDE) / CIRCUMFERENCE * size) - 1, size))
+  const minY = clampIndex(MathFloor((minLat - MIN_LATITUDE) / MAX_LATITUDE / 2 * size), size)
+  const maxY = MathMax(minY, clampIndex(MathCeil((maxLat - MIN_LATITUDE) / MAX_LATITUDE / 2 * size) - 1, size))
+  const result = []
+  for (let y = minY; y <= maxY; y++) {
+    for (let x = minX; x <= maxX; x++) {
+      ArrayPrototypePush(result, gridToMaidenhead(x, y, pairs))
+    }
+  }
+  return result
+}
+
+const geohashesForMaidenheadInt = (locator, bits) => {
+  bits = toGeointBits(bits)
+  const boundingBox = decodeMaidenheadBoundingBox(locator)
+  return getBoundingBoxGridCells(boundingBox, getGridSize(bits), (x, y) => gridToGeoint(x, y, bits))
+}
+
+const geohashesForMaidenheadBigInt = (locator, bits) => {
+  bits = toGeobigintBits(bits)
+  const boundingBox = decodeMaidenheadBoundingBox(locator)
+  return getBoundingBoxGridCells(boundingBox, getGridSize(BigInt(bits)), (x, y) => gridToGeobigint(x, y, bits))
+}
+
+const maidenheadsForGeohashInt = (geoint, pairs, bits) => {
+  bits = toGeointBits(bits)
+  pairs = toMaidenheadPairs(pairs)
+  geoint = toGeointWithBits(geoint, bits)
+  const [minLat, minLon, maxLat, maxLon] = _decodeBoundingBoxInt(geoint, bits)
+  return _boundingBoxToMaidenheads(minLat, minLon, maxLat, maxLon, pairs)
+}
+
+const maidenheadsForGeohashBigInt = (geobigint, pairs, bits) => {
+  bits = toGeobigintBits(bits)
+  pairs = toMaidenheadPairs(pairs)
+  geobigint = toGeobigintWithBits(geobigint, bits)
+  const [minLat, minLon, maxLat, maxLon] = _decodeBoundingBoxBigInt(geobigint, bits)
+  return _boundingBoxToMaidenheads(minLat, minLon, maxLat, maxLon, pairs)
+}
+
+const UTM_SCALE_FACTOR = 0.9996
+const UTM_FALSE_EASTING = 5e5
+const UTM_FALSE_NORTHING = 1e7
+const UTM_ZONE_WIDTH = 6
+const MAX_UTM_ZONE = 60
+const MIN_UTM_LATITUDE = -80
+const MAX_UTM_LATITUDE = 84
+const UPS_SCALE_FACTOR = 0.994
+const UPS_FALSE_EASTING = 2e6
+const UPS_FALSE_NORTHING = 2e6
+
+const WGS84_FLATTENING = 1 / 298.257223563
+const WGS84_ECCENTRICITY2 = WGS84_FLATTENING * 2 - WGS84_FLATTENING ** 2
+const WGS84_ECCENTRICITY = MathSqrt(WGS84_ECCENTRICITY2)
+const TRANSVERSE_MERCATOR_N = WGS84_FLATTENING / (2 - WGS84_FLATTENING)
+const TRANSVERSE_MERCATOR_RADIUS = EARTH_EQUATORIAL_RADIUS_IN_METERS / (1 + TRANSVERSE_MERCATOR_N) *
+  (1 + TRANSVERSE_MERCATOR_N ** 2 / 4 + TRANSVERSE_MERCATOR_N ** 4 / 64 + TRANSVERSE_MERCATOR_N ** 6 / 256)
+const TRANSVERSE_MERCATOR_ALPHA = (n => [
+  n / 2 - n ** 2 * 2 / 3 + n ** 3 * 5 / 16 + n ** 4 * 41 / 180 - n ** 5 * 127 / 288 + n ** 6 * 7891 / 37800,
+  n ** 2 * 13 / 48 - n ** 3 * 3 / 5 + n ** 4 * 557 / 1440 + n ** 5 * 281 / 630 - n ** 6 * 1983433 / 1935360,
+  n ** 3 * 61 / 240 - n ** 4 * 103 / 140 + n ** 5 * 15061 / 26880 + n ** 6 * 167603 / 181440,
+  n ** 4 * 49561 / 161280 - n ** 5 * 179 / 168 + n ** 6 * 6601661 / 7257600,
+  n ** 5 * 34729 / 80640 - n ** 6 * 3418889 / 1995840,
+  n ** 6 * 212378941 / 319334400
+])(TRANSVERSE_MERCATOR_N)
+const TRANSVERSE_MERCATOR_BETA = (n => [
+  n / 2 - n ** 2 * 2 / 3 + n ** 3 * 37 / 96 - n ** 4 / 360 - n ** 5 * 81 / 512 + n ** 6 * 96199 / 604800,
+  n ** 2 / 48 + n ** 3 / 15 - n ** 4 * 437 / 1440 + n ** 5 * 46 / 105 - n ** 6 * 1118711 / 3870720,
+  n ** 3 * 17 / 480 - n ** 4 * 37 / 840 - n ** 5 * 209 / 4480 + n ** 6 * 5569 / 90720,
+  n ** 4 * 4397 / 161280 - n ** 5 * 11 / 504 - n ** 6 * 830251 / 7257600,
+  n ** 5 * 4583 / 161280 - n ** 6 * 108847 / 3991680,
+  n ** 6 * 20648693 / 638668800
+])(TRANSVERSE_MERCATOR_N)
+const POLAR_STEREOGRAPHIC_FACTOR = MathSqrt(
+  (1 + WGS84_ECCENTRICITY) ** (1 + WGS84_ECCENTRICITY) * (1 - WGS84_ECCENTRICITY) ** (1 - WGS84_ECCENTRICITY)
+)
+
+const MGRS_LATITUDE_BANDS = 'CDEFGHJKLMNPQRSTUVWX'
+const MGRS_COLUMN_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ'
+const MGRS_ROW_LETTERS = 'ABCDEFGHJKLMNPQRSTUV'
+const MGRS_POLAR_BANDS = 'ABYZ'
+const MGRS_POLAR_COLUMN_LETTERS = ['JKLPQRSTUXYZ', 'ABCFGHJKLPQR', 'RSTUXYZ', 'ABCFGHJ']
+const MGRS_POLAR_ROW_LETTERS = ['ABCDEFGHJKLMNPQRSTUVWXYZ', 'ABCDEFGHJKLMNP']
+const MGRS_POLAR_MIN_INDEXES = [8, 13]
+const MGRS_POLAR_FALSE_INDEX = 20
+const MGRS_SQUARE_SIZE = 1e5
+const MGRS_LATITUDE_BAND_HEIGHT = 8
+const MAX_MGRS_PRECISION = 5
+const MGRS_PRECISION = 5
+
+const mgrsLatitudeBandLookup = createAlphabetLookup(MGRS_LATITUDE_BANDS)
+const mgrsColumnLetterLookup = createAlphabetLookup(MGRS_COLUMN_LETTERS)
+const mgrsRowLetterLookup = createAlphabetLookup(MGRS_ROW_LETTERS)
+const mgrsPolarBandLookup = createAlphabetLookup(MGRS_POLAR_BANDS)
+const mgrsPolarColumnLetterLookups = ArrayPrototypeMap(MGRS_POLAR_COLUMN_LETTERS, createAlphabetLookup)
+const mgrsPolarRowLetterLookups = ArrayPrototypeMap(MGRS_POLAR_ROW_LETTERS, createAlphabetLookup)
+
+const toUTMZone = value => {
+  value = TypesToIntegerOrInfinity(value)
+  if (value < 0) {
+    throw new RangeError('The zone must be greater than or equal to zero')
+  }
+  if (value > MAX_UTM_ZONE) {
+    throw new RangeError('The zone must be less than or equal to 60')
+  }
+  return value
+}
+
+const toHemisphere = value => {
+  if (!PrimitivesIsString(value)) {
+    throw new TypeError('The hemisphere must be a string')
+  }
+  value = StringPrototypeToUpperCase(value)
+  if (value !== 'N' && value !== 'S') {
+    throw new TypeError('The hemisphere must be "N" or "S"')
+  }
+  return value
+}
+
+const toUTMCoordinate = (value, name) => {
+  value = TypesToNumber(value)
+  if (!NumberIsFinite(value)) {
+    throw new RangeError(`The ${name} must be a finite number`)
+  }
+  return value
+}
+
+const toMGRSPrecision = value => {
+  if (value === undefined) {
+    return MGRS_PRECISION
+  }
+  value = TypesToIntegerOrInfinity(value)
+  if (value < 0) {
+    throw new RangeError('The precision must be greater than or equal to zero')
+  }
+  if (value > MAX_MGRS_PRECISION) {
+    throw new RangeError('The precision must be less than or equal to 5')
+  }
+  return value
+}
+
+const getUTMZone = (latitude, longitude) => {
+  const zone = MathMin(MathFloor((longitude - MIN_LONGITUDE) / UTM_ZONE_WIDTH) + 1, MAX_UTM_ZONE)
+  if (latitude >= 56 && latitude < 64 && longitude >= 3 && longitude < 12) {
+    return 32
+  }
+  if (latitude >= 72 && longitude >= 0 && longitude < 42) {
+    if (longitude < 9) {
+      return 31
+    }
+    if (longitude < 21) {
+      return 33
+    }
+    if (longitude < 33) {
+      return 35
+    }
+    return 37
+  }
+  return zone
+}
+
+const getUTMCentralMeridian = zone => (zone - 1) * UTM_ZONE_WIDTH + MIN_LONGITUDE + UTM_ZONE_WIDTH / 2
+
+const _toTransverseMercator = (lat, lon) => {
+  const tau = MathTan(lat)
+  const sigma = MathSinh(WGS84_ECCENTRICITY * MathAtanh(WGS84_ECCENTRICITY * tau / MathSqrt(1 + tau ** 2)))
+  const conformalTau = tau * MathSqrt(1 + sigma ** 2) - sigma * MathSqrt(1 + tau ** 2)
+  const cosLon = MathCos(lon)
+  const conformalXi = MathAtan2(conformalTau, cosLon)
+  const conformalEta = MathAsinh(MathSin(lon) / MathSqrt(conformalTau ** 2 + cosLon ** 2))
+  let xi = conformalXi
+  let eta = conformalEta
+  for (let i = 0; i < TRANSVERSE_MERCATOR_ALPHA.length; i++) {
+    const j = (i + 1) * 2
+    xi += TRANSVERSE_MERCATOR_ALPHA[i] * MathSin(j * conformalXi) * MathCosh(j * conformalEta)
+    eta += TRANSVERSE_MERCATOR_ALPHA[i] * MathCos(j * conformalXi) * MathSinh(j * conformalEta)
+  }
+  return [
+    UTM_SCALE_FACTOR * TRANSVERSE_MERCATOR_RADIUS * eta,
+    UTM_SCALE_FACTOR * TRANSVERSE_MERCATOR_RADIUS * xi
+  ]
+}
+
+const _fromTransverseMercator = (x, y) => {
+  const xi = y / (UTM_SCALE_FACTOR * TRANSVERSE_MERCATOR_RADIUS)
+  const eta = x / (UTM_SCALE_FACTOR * TRANSVERSE_MERCATOR_RADIUS)
+  let conformalXi = xi
+  let conformalEta = eta
+  for (let i = 0; i < TRANSVERSE_MERCATOR_BETA.length; i++) {
+    const j = (i + 1) * 2
+    conformalXi -= TRANSVERSE_MERCATOR_BETA[i] * MathSin(j * xi) * MathCosh(j * eta)
+    conformalEta -= TRANSVERSE_MERCATOR_BETA[i] * MathCos(j * xi) * MathSinh(j * eta)
+  }
+  const sinhConformalEta = MathSinh(conformalEta)
+  const cosConformalXi = MathCos(conformalXi)
+  const conformalTau = MathSin(conformalXi) / MathSqrt(sinhConformalEta ** 2 + cosConformalXi ** 2)
+  let tau = conformalTau
+  for (let i = 0; i < 10; i++) {
+    const sigma = MathSinh(WGS84_ECCENTRICITY * MathAtanh(WGS84_ECCENTRICITY * tau / MathSqrt(1 + tau ** 2)))
+    const tauPrime = tau * MathSqrt(1 + sigma ** 2) - sigma * MathSqrt(1 + tau ** 2)
+    const delta = (conformalTau - tauPrime) / MathSqrt(1 + tauPrime ** 2) *
+      (1 + (1 - WGS84_ECCENTRICITY2) * tau ** 2) / ((1 - WGS84_ECCENTRICITY2) * MathSqrt(1 + tau ** 2))
+    tau += delta
+    if (MathAbs(delta) < EPSILON) {
+      break
+    }
+  }
+  return [MathAtan(tau), MathAtan2(sinhConformalEta, cosConformalXi)]
+}
+
+const _toUPS = (latitude, longitude) => {
+  const isNorth = latitude >= 0
+  const lat = _degreesToRadians(MathAbs(latitude))
+  const lon = _degreesToRadians(longitude)
+  const eSinLat = WGS84_ECCENTRICITY * MathSin(lat)
+  const t = MathTan(MathPI / 4 - lat / 2) / ((1 - eSinLat) / (1 + eSinLat)) ** (WGS84_ECCENTRICITY / 2)
+  const rho = EARTH_EQUATORIAL_RADIUS_IN_METERS * UPS_SCALE_FACTOR * t * 2 / POLAR_STEREOGRAPHIC_FACTOR
+  return {
+    zone: 0,
+    hemisphere: isNorth ? 'N' : 'S',
+    easting: UPS_FALSE_EASTING + rho * MathSin(lon),
+    northing: UPS_FALSE_NORTHING + (isNorth ? -rho : rho) * MathCos(lon)
+  }
+}
+
+const _fromUPS = (hemisphere, easting, northing) => {
+  const isNorth = hemisphere === 'N'
+  const x = easting - UPS_FALSE_EASTING
+  const y = isNorth ? UPS_FALSE_NORTHING - northing : northing - UPS_FALSE_NORTHING
+  const rho = MathSqrt(x ** 2 + y ** 2)
+  const t = rho * POLAR_STEREOGRAPHIC_FACTOR / (EARTH_EQUATORIAL_RADIUS_IN_METERS * UPS_SCALE_FACTOR * 2)
+  let lat = MAX_LATITUDE_IN_RADIANS - MathAtan(t) * 2
+  for (let i = 0; i < 10; i++) {
+    const eSinLat = WGS84_ECCENTRICITY * MathSin(lat)
+    const nextLat = MAX_LATITUDE_IN_RADIANS -
+      MathAtan(t * ((1 - eSinLat) / (1 + eSinLat)) ** (WGS84_ECCENTRICITY / 2)) * 2
+    const delta = nextLat - lat
+    lat = nextLat
+    if (MathAbs(delta) < EPSILON) {
+      break
+    }
+  }
+  const latitude = _radiansToDegrees(lat)
+  return {
+    latitude: isNorth ? latitude : -latitude,
+    longitude: rho ? _radiansToDegrees(MathAtan2(x, y)) : 0
+  }
+}
+
+const _toUTM = (latitude, longitude) => {
+  if (latitude < MIN_UTM_LATITUDE || latitude > MAX_UTM_LATITUDE) {
+    return _toUPS(latitude, longitude)
+  }
+  const zone = getUTMZone(latitude, longitude)
+  const [x, y] = _toTransverseMercator(
+    _degreesToRadians(latitude),
+    _degreesToRadians(_wrapLongitude(longitude - getUTMCentralMeridian(zone)))
+  )
+  const isNorth = latitude >= 0
+  return {
+    zone,
+    hemisphere: isNorth ? 'N' : 'S',
+    easting: x + UTM_FALSE_EASTING,
+    northing: isNorth ? y : y + UTM_FALSE_NORTHING
+  }
+}
+const toUTM = (latitude, longitude) => {
+  latitude = toLatitude(latitude)
+  longitude = toLongitude(longitude)
+  return _toUTM(latitude, longitude)
+}
+
+const _fromUTM = (zone, hemisphere, easting, northing) => {
+  if (!zone) {
+    return _fromUPS(hemisphere, easting, northing)
+  }
+  const [lat, lon] = _fromTransverseMercator(
+    easting - UTM_FALSE_EASTING,
+    hemisphere === 'N' ? northing : northing - UTM_FALSE_NORTHING
+  )
+  return {
+    latitude: _radiansToDegrees(lat),
+    longitude: _wrapLongitude(_radiansToDegrees(lon) + getUTMCentralMeridian(zone))
+  }
+}
+const fromUTM = (zone, hemisphere, easting, northing) => {
+  zone = toUTMZone(zone)
+  hemisphere = toHemisphere(hemisphere)
+  easting = toUTMCoordinate(easting, 'easting')
+  northing = toUTMCoordinate(northing, 'northing')
+  return _fromUTM(zone, hemisphere, easting, northing)
+}
+
+const formatMGRSDigits = (value, precision) => {
+  if (!precision) {
+    return ''
+  }
+  const digits = `${MathFloor(value % MGRS_SQUARE_SIZE / 10 ** (MAX_MGRS_PRECISION - precision))}`
+  return `${StringPrototypeRepeat('0', precision - digits.length)}${digits}`
+}
+
+const _toMGRS = (latitude, longitude, precision) => {
+  const {zone, hemisphere, easting, northing} = _toUTM(latitude, longitude)
+  const column = MathFloor(easting / MGRS_SQUARE_SIZE)
+  const row = MathFloor(northing / MGRS_SQUARE_SIZE)
+  const digits = `${formatMGRSDigits(easting, precision)}${formatMGRSDigits(northing, precision)}`
+  if (!zone) {
+    const isNorth = hemisphere === 'N'
+    const isEast = column >= MGRS_POLAR_FALSE_INDEX
+    const band = (isNorth ? 2 : 0) + (isEast ? 1 : 0)
+    const minIndex = MGRS_POLAR_MIN_INDEXES[isNorth ? 1 : 0]
+    const columnLetter = MGRS_POLAR_COLUMN_LETTERS[band][column - (isEast ? MGRS_POLAR_FALSE_INDEX : minIndex)]
+    const rowLetter = MGRS_POLAR_ROW_LETTERS[isNorth ? 1 : 0][row - minIndex]
+    return `${MGRS_POLAR_BANDS[band]}${columnLetter}${rowLetter}${digits}`
+  }
+  const band = MGRS_LATITUDE_BANDS[MathMin(
+    MathFloor((latitude - MIN_UTM_LATITUDE) / MGRS_LATITUDE_BAND_HEIGHT),
+    MGRS_LATITUDE_BANDS.length - 1
+  )]
+  const columnLetter = MGRS_COLUMN_LETTERS[((zone - 1) % 3 * 8 + column - 1) % MGRS_COLUMN_LETTERS.length]
+  const rowLetter = MGRS_ROW_LETTERS[(row + (zone % 2 ? 0 : 5)) % MGRS_ROW_LETTERS.length]
+  return `${zone}${band}${columnLetter}${rowLetter}${digits}`
+}
+const toMGRS = (latitude, longitude, precision) => {
+  precision = toMGRSPrecision(precision)
+  latitude = toLatitude(latitude)
+  longitude = toLongitude(longitude)
+  return _toMGRS(latitude, longitude, precision)
+}
+
+const throwMGRSSyntaxError = (value, index) => {
+  throw new SyntaxError(`Invalid character "${value[index]}" at index ${index} for MGRS encoding`)
+}
+
+const fromMGRS = value => {
+  if (!PrimitivesIsString(value)) {
+    throw new TypeError('The MGRS reference must be a string')
+  }
+  const chars = []
+  const indexes = []
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] !== ' ') {
+      ArrayPrototypePush(chars, StringPrototypeToUpperCase(value[i]))
+      ArrayPrototypePush(indexes, i)
+    }
+  }
+  const {length} = chars
+  const getDigit = i => i < length ? StringPrototypeCharCodeAt(chars[i], 0) - 48 : -1
+  const isDigit = i => {
+    const digit = getDigit(i)
+    return digit >= 0 && digit <= 9
+  }
+  const getChar = i => {
+    if (i >= length) {
+      throw new SyntaxError(`Incomplete MGRS reference "${value}"`)
+    }
+    return chars[i]
+  }
+  let i = 0
+  let zone = 0
+  while (i < 2 && isDigit(i)) {
+    zone = zone * 10 + getDigit(i++)
+  }
+  if (i && !zone) {
+    throw new RangeError('The zone must be greater than zero')
+  }
+  if (zone > MAX_UTM_ZONE) {
+    throw new RangeError('The zone must be less than or equal to 60')
+  }
+  const bandIndex = i
+  const band = getChar(bandIndex)
+  const columnLetter = getChar(bandIndex + 1)
+  const rowLetter = getChar(bandIndex + 2)
+  const digitsIndex = bandIndex + 3
+  for (let j = digitsIndex; j < length; j++) {
+    if (!isDigit(j)) {
+      throwMGRSSyntaxError(value, indexes[j])
+    }
+  }
+  const digitsLength = length - digitsIndex
+  if (digitsLength % 2 === 1) {
+    throw new RangeError('The number of MGRS digits must be even')
+  }
+  if (digitsLength > MAX_MGRS_PRECISION * 2) {
+    throw new RangeError('The number of MGRS digits must be less than or equal to 10')
+  }
+  const precision = digitsLength / 2
+  const resolution = 10 ** (MAX_MGRS_PRECISION - precision)
+  let easting = resolution / 2
+  let northing = resolution / 2
+  for (let j = 0; j < precision; j++) {
+    easting += getDigit(digitsIndex + j) * 10 ** (MAX_MGRS_PRECISION - 1 - j)
+    northing += getDigit(digitsIndex + precision + j) * 10 ** (MAX_MGRS_PRECISION - 1 - j)
+  }
+  if (!zone) {
+    const polarBand = mgrsPolarBandLookup[band]
+    if (polarBand === undefined) {
+      throwMGRSSyntaxError(value, indexes[bandIndex])
+    }
+    const isNorth = polarBand >= 2
+    const isEast = polarBand % 2 === 1
+    const minIndex = MGRS_POLAR_MIN_INDEXES[isNorth ? 1 : 0]
+    const column = mgrsPolarColumnLetterLookups[polarBand][columnLetter]
+    if (column === undefined) {
+      throwMGRSSyntaxError(value, indexes[bandIndex + 1])
+    }
+    const row = mgrsPolarRowLetterLookups[isNorth ? 1 : 0][rowLetter]
+    if (row === undefined) {
+      throwMGRSSyntaxError(value, indexes[bandIndex + 2])
+    }
+    easting += (column + (isEast ? MGRS_POLAR_FALSE_INDEX : minIndex)) * MGRS_SQUARE_SIZE
+    northing += (row + minIndex) * MGRS_SQUARE_SIZE
+    return _fromUPS(isNorth ? 'N' : 'S', easting, northing)
+  }
+  const latitudeBand = mgrsLatitudeBandLookup[band]
+  if (latitudeBand === undefined) {
+    throwMGRSSyntaxError(value, indexes[bandIndex])
+  }
+  const columnIndex = mgrsColumnLetterLookup[columnLetter]
+  const column = columnIndex === undefined ? -1 :
+    (columnIndex - (zone - 1) % 3 * 8 + MGRS_COLUMN_LETTERS.length) % MGRS_COLUMN_LETTERS.length + 1
+  if (column < 1 || column > 8) {
+    throwMGRSSyntaxError(value, indexes[bandIndex + 1])
+  }
+  const rowIndex = mgrsRowLetterLookup[rowLetter]
+  if (rowIndex === undefined) {
+    throwMGRSSyntaxError(value, indexes[bandIndex + 2])
+  }
+  const row = (rowIndex - (zone % 2 ? 0 : 5) + MGRS_ROW_LETTERS.length) % MGRS_ROW_LETTERS.length
+  const isNorth = latitudeBand >= mgrsLatitudeBandLookup.N
+  const bandLatitude = MIN_UTM_LATITUDE + (latitudeBand + 0.5) * MGRS_LATITUDE_BAND_HEIGHT
+  const bandNorthing = _toTransverseMercator(_degreesToRadians(bandLatitude), 0)[1] +
+    (isNorth ? 0 : UTM_FALSE_NORTHING)
+  const cycle = MGRS_ROW_LETTERS.length * MGRS_SQUARE_SIZE
+  easting += column * MGRS_SQUARE_SIZE
+  northing += row * MGRS_SQUARE_SIZE
+  northing += MathRound((bandNorthing - northing) / cycle) * cycle
+  return _fromUTM(zone, isNorth ? 'N' : 'S', easting, northing)
+}
+
+const S2_FACES = 6
+const MAX_S2_LEVEL = 30
+const S2_LEVEL = MAX_S2_LEVEL
+const S2_MAX_SIZE = 2 ** MAX_S2_LEVEL
+const S2_FACE_BITS = 61n
+const MAX_S2_CELL_ID = (6n << S2_FACE_BITS) - 1n
+const S2_SWAP_MASK = 1
+const S2_INVERT_MASK = 2
+const S2_IJ_TO_POS = [
+  [0, 1, 3, 2],
+  [0, 3, 1, 2],
+  [2, 3, 1, 0],
+  [2, 1, 3, 0]
+]
+const S2_POS_TO_IJ = [
+  [0, 1, 3, 2],
+  [0, 2, 3, 1],
+  [3, 2, 0, 1],
+  [3, 1, 0, 2]
+]
+const S2_POS_TO_ORIENTATION = [S2_SWAP_MASK, 0, 0, S2_SWAP_MASK | S2_INVERT_MASK]
+
+const getS2CellLevel = id => {
+  let level = MAX_S2_LEVEL
+  while (level >= 0 && !(id & 1n << BigInt((MAX_S2_LEVEL - level) * 2))) {
+    level--
+  }
+  return level
+}
+
+const isS2CellId = value => PrimitivesIsBigInt(value) && value > 0n && value <= MAX_S2_CELL_ID &&
+  getS2CellLevel(value) >= 0
+
+const toS2CellId = value => {
+  value = TypesToBigInt(value)
+  if (value <= 0n) {
+    throw new RangeError('The S2 cell id must be greater than zero')
+  }
+  if (value > MAX_S2_CELL_ID) {
+    throw new RangeError('The S2 cell id must be less than 6n << 61n')
+  }
+  if (getS2CellLevel(value) < 0) {
+    throw new RangeError('The S2 cell id must have its lowest set bit at an even position')
+  }
+  return value
+}
+
+const toS2Level = value => {
+  if (value === undefined) {
+    return S2_LEVEL
+  }
+  value = TypesToIntegerOrInfinity(value)
+  if (value < 0) {
+    throw new RangeError('The level must be greater than or equal to zero')
+  }
+  if (value > MAX_S2_LEVEL) {
+    throw new RangeError('The level must be less than or equal to 30')
+  }
+  return value
+}
+
+const s2STToUV = s => s >= 0.5 ? (4 * s ** 2 - 1) / 3 : (1 - 4 * (1 - s) ** 2) / 3
+const s2UVToST = u => u >= 0 ? MathSqrt(1 + 3 * u) / 2 : 1 - MathSqrt(1 - 3 * u) / 2
+
+const s2FaceUVToXYZ = (face, u, v) => {
+  switch (face) {
+    case 0:
+      return [1, u, v]
+    case 1:
+      return [-u, 1, v]
+    case 2:
+      return [-u, -v, 1]
+    case 3:
+      return [-1, -v, -u]
+    case 4:
+      return [v, -1, -u]
+    default:
+      return [v, u, -1]
+  }
+}
+
+const s2XYZToFaceUV = (x, y, z) => {
+  const absX = MathAbs(x)
+  const absY = MathAbs(y)
+  const absZ = MathAbs(z)
+  let face = absX >= absY ? (absX >= absZ ? 0 : 2) : (absY >= absZ ? 1 : 2)
+  if ((face === 0 && x < 0) || (face === 1 && y < 0) || (face === 2 && z < 0)) {
+    face += 3
+  }
+  switch (face) {
+    case 0:
+      return [face, y / x, z / x]
+    case 1:
+      return [face, -x / y, z / y]
+    case 2:
+      return [face, -x / z, -y / z]
+    case 3:
+      return [face, z / x, y / x]
+    case 4:
+      return [face, z / y, -x / y]
+    default:
+      return [face, -y / z, -x / z]
+  }
+}
+
+const s2XYZToLocation = (x, y, z) => ({
+  latitude: _radiansToDegrees(MathAtan2(z, MathSqrt(x ** 2 + y ** 2))),
+  longitude: _radiansToDegrees(MathAtan2(y, x))
+})
+
+const s2FaceIJToCellId = (face, i, j, level) => {
+  let orientation = face & S2_SWAP_MASK
+  let high = 0
+  let low = 0
+  for (let k = 0; k < level; k++) {
+    const bit = MAX_S2_LEVEL - 1 - k
+    const pos = S2_IJ_TO_POS[orientation][(MathFloor(i / 2 ** bit) % 2) * 2 + MathFloor(j / 2 ** bit) % 2]
+    if (k < MAX_S2_LEVEL / 2) {
+      high = high * 4 + pos
+    } else {
+      low = low * 4 + pos
+    }
+    orientation ^= S2_POS_TO_ORIENTATION[pos]
+  }
+  const lowLevels = MathMax(level - MAX_S2_LEVEL / 2, 0)
+  const pos = (BigInt(high) << BigInt(lowLevels * 2)) + BigInt(low)
+  const lsb = BigInt((MAX_S2_LEVEL - level) * 2)
+  return (BigInt(face) << S2_FACE_BITS) + (pos << lsb + 1n) + (1n << lsb)
+}
+
+const s2CellIdToFaceIJ = id => {
+  const face = Number(id >> S2_FACE_BITS)
+  const level = getS2CellLevel(id)
+  let orientation = face & S2_SWAP_MASK
+  let i = 0
+  let j = 0
+  for (let k = 0; k < level; k++) {
+    const pos = Number(id >> BigInt((MAX_S2_LEVEL - k) * 2 - 1) & 3n)
+    const ij = S2_POS_TO_IJ[orientation][pos]
+    i = i * 2 + (ij >> 1)
+    j = j * 2 + (ij & 1)
+    orientation ^= S2_POS_TO_ORIENTATION[pos]
+  }
+  const size = 2 ** (MAX_S2_LEVEL - level)
+  return [face, i * size, j * size, level]
+}
+
+const _latLonToS2CellId = (latitude, longitude, level) => {
+  const lat = _degreesToRadians(latitude)
+  const lon = _degreesToRadians(longitude)
+  const cosLat = MathCos(lat)
+  const [face, u, v] = s2XYZToFaceUV(cosLat * MathCos(lon), cosLat * MathSin(lon), MathSin(lat))
+  const i = clampIndex(MathFloor(s2UVToST(u) * S2_MAX_SIZE), S2_MAX_SIZE)
+  const j = clampIndex(MathFloor(s2UVToST(v) * S2_MAX_SIZE), S2_MAX_SIZE)
+  return s2FaceIJToCellId(face, i, j, level)
+}
+const latLonToS2CellId = (latitude, longitude, level) => {
+  level = toS2Level(level)
+  latitude = toLatitude(latitude)
+  longitude = toLongitude(longitude)
+  return _latLonToS2CellId(latitude, longitude, level)
+}
+
+const s2CellIdToLatLon = id => {
+  id = toS2CellId(id)
+  const [face, i, j, level] = s2CellIdToFaceIJ(id)
+  const half = 2 ** (MAX_S2_LEVEL - level) / 2
+  const [x, y, z] = s2FaceUVToXYZ(face, s2STToUV((i + half) / S2_MAX_SIZE), s2STToUV((j + half) / S2_MAX_SIZE))
+  return s2XYZToLocation(x, y, z)
+}
+
+const getArcMaxZ = (a, b) => {
+  const nx = a[1] * b[2] - a[2] * b[1]
+  const ny = a[2] * b[0] - a[0] * b[2]
+  const nz = a[0] * b[1] - a[1] * b[0]
+  const n2 = nx ** 2 + ny ** 2 + nz ** 2
+  const px = -nz * nx / n2
+  const py = -nz * ny / n2
+  const pz = 1 - nz * nz / n2
+  const isOnArc = (x, y, z) =>
+    (a[1] * z - a[2] * y) * nx + (a[2] * x - a[0] * z) * ny + (a[0] * y - a[1] * x) * nz > 0 &&
+    (y * b[2] - z * b[1]) * nx + (z * b[0] - x * b[2]) * ny + (x * b[1] - y * b[0]) * nz > 0
+  const length = MathSqrt(px ** 2 + py ** 2 + pz ** 2)
+  let maxZ = -1
+  let minZ = 1
+  if (length > EPSILON && isOnArc(px, py, pz)) {
+    maxZ = pz / length
+  }
+  if (length > EPSILON && isOnArc(-px, -py, -pz)) {
+    minZ = -pz / length
+  }
+  return [minZ, maxZ]
+}
+
+const _s2CellBoundingBox = (face, i, j, level) => {
+  const size = 2 ** (MAX_S2_LEVEL - level)
+  const minU = s2STToUV(i / S2_MAX_SIZE)
+  const maxU = s2STToUV((i + size) / S2_MAX_SIZE)
+  const minV = s2STToUV(j / S2_MAX_SIZE)
+  const maxV = s2STToUV((j + size) / S2_MAX_SIZE)
+  const vertices = [
+    s2FaceUVToXYZ(face, minU, minV),
+    s2FaceUVToXYZ(face, maxU, minV),
+    s2FaceUVToXYZ(face, maxU, maxV),
+    s2FaceUVToXYZ(face, minU, maxV)
+  ]
+  let minLat = MAX_LATITUDE
+  let maxLat = MIN_LATITUDE
+  const longitudes = []
+  for (let k = 0; k < 4; k++) {
+    const vertex = vertices[k]
+    const {latitude, longitude} = s2XYZToLocation(vertex[0], vertex[1], vertex[2])
+    const [minZ, maxZ] = getArcMaxZ(vertex, vertices[(k + 1) % 4])
+    minLat = MathMin(minLat, latitude, _radiansToDegrees(MathAsin(minZ)))
+    maxLat = MathMax(maxLat, latitude, _radiansToDegrees(MathAsin(maxZ)))
+    if (MathAbs(latitude) < MAX_LATITUDE) {
+      ArrayPrototypePush(longitudes, longitude)
+    }
+  }
+  const containsPole = (face === 2 || face === 5) && minU < 0 && maxU > 0 && minV < 0 && maxV > 0
+  if (containsPole) {
+    return [
+      face === 5 ? MIN_LATITUDE : minLat,
+      MIN_LONGITUDE,
+      face === 2 ? MAX_LATITUDE : maxLat,
+      MAX_LONGITUDE
+    ]
+  }
+  const center = longitudes[0]
+  let minDelta = 0
+  let maxDelta = 0
+  ArrayPrototypeForEach(longitudes, longitude => {
+    const delta = _wrapLongitude(longitude - center)
+    minDelta = MathMin(minDelta, delta)
+    maxDelta = MathMax(maxDelta, delta)
+  })
+  const minLon = _wrapLongitude(center + minDelta)
+  const maxLon = _wrapLongitude(center + maxDelta)
+  return [
+    minLat,
+    minLon === MAX_LONGITUDE ? MIN_LONGITUDE : minLon,
+    maxLat,
+    maxLon === MIN_LONGITUDE ? MAX_LONGITUDE : maxLon
+  ]
+}
+const s2CellBoundingBox = id => {
+  id = toS2CellId(id)
+  const [face, i, j, level] = s2CellIdToFaceIJ(id)
+  return _s2CellBoundingBox(face, i, j, level)
+}
+
+const _boundingBoxToS2Cells = (minLat, minLon, maxLat, maxLon, level) => {
+  const stack = []
+  for (let face = S2_FACES - 1; face >= 0; face--) {
+    ArrayPrototypePush(stack, [face, 0, 0, 0])
+  }
+  const result = []
+  while (stack.length) {
+    const [face, i, j, cellLevel] = ArrayPrototypePop(stack)
+    const [cellMinLat, cellMinLon, cellMaxLat, cellMaxLon] = _s2CellBoundingBox(face, i, j, cellLevel)
+    let isIntersecting = false
+    ArrayPrototypeForEach(splitBoundingBox(cellMinLat, cellMinLon, cellMaxLat, cellMaxLon), boundingBox => {
+      isIntersecting = isIntersecting || (isRangeOverlapping(minLat, maxLat, boundingBox[0], boundingBox[2]) &&
+        isRangeOverlapping(minLon, maxLon, boundingBox[1], boundingBox[3]))
+    })
+    if (isIntersecting) {
+      if (cellLevel === level) {
+        ArrayPrototypePush(result, s2FaceIJToCellId(face, i, j, level))
+      } else {
+        const size = 2 ** (MAX_S2_LEVEL - cellLevel - 1)
+        ArrayPrototypePush(stack, [face, i, j, cellLevel + 1])
+        ArrayPrototypePush(stack, [face, i + size, j, cellLevel + 1])
+        ArrayPrototypePush(stack, [face, i, j + size, cellLevel + 1])
+        ArrayPrototypePush(stack, [face, i + size, j + size, cellLevel + 1])
+      }
+    }
+  }
+  return ArrayPrototypeSort(result, (a, b) => a < b ? -1 : 1)
+}
+
+const geohashesForS2CellInt = (id, bits) => {
+  bits = toGeointBits(bits)
+  const boundingBox = s2CellBoundingBox(id)
+  return getBoundingBoxGridCells(boundingBox, getGridSize(bits), (x, y) => gridToGeoint(x, y, bits))
+}
+
+const geohashesForS2CellBigInt = (id, bits) => {
+  bits = toGeobigintBits(bits)
+  const boundingBox = s2CellBoundingBox(id)
+  return getBoundingBoxGridCells(boundingBox, getGridSize(BigInt(bits)), (x, y) => gridToGeobigint(x, y, bits))
+}
+
+const s2CellsForGeohashInt = (geoint, level, bits) => {
+  bits = toGeointBits(bits)
+  level = toS2Level(level)
+  geoint = toGeointWithBits(geoint, bits)
+  const [minLat, minLon, maxLat, maxLon] = _decodeBoundingBoxInt(geoint, bits)
+  return _boundingBoxToS2Cells(minLat, minLon, maxLat, maxLon, level)
+}
+
+const s2CellsForGeohashBigInt = (geobigint, level, bits) => {
+  bits = toGeobigintBits(bits)
+  level = toS2Level(level)
+  geobigint = toGeobigintWithBits(geobigint, bits)
+  const [minLat, minLon, maxLat, maxLon] = _decodeBoundingBoxBigInt(geobigint, bits)
+  return _boundingBoxToS2Cells(minLat, minLon, maxLat, maxLon, level)
+}
+
+const toHilbertWithBits = (value, bits) => {
+  value = TypesToIntegerOrInfinity(value)
+  if (value < 0) {
+    throw new RangeError('The Hilbert index must be greater than or equal to zero')
+  }
+  if (value >= 2 ** bits) {
+    throw new RangeError(`The Hilbert index must be less than 2^${bits}`)
+  }
+  return value
+}
+
+const gridToHilbert = (x, y, bits) => {
+  const levels = bits >> 1
+  const size = 2 ** levels
+  const top = bits % 2 ? MathFloor(x / size) : 0
+  let hilbert = 0
+  x %= size
+  for (let s = size / 2; s >= 1; s /= 2) {
+    const rx = x & s ? 1 : 0
+    const ry = y & s ? 1 : 0
+    hilbert += s * s * ((3 * rx) ^ ry)
+    if (!ry) {
+      if (rx) {
+        x = size - 1 - x
+        y = size - 1 - y
+      }
+      const swap = x
+      x = y
+      y = swap
+    }
+  }
+  return top * size * size + hilbert
+}
+
+const hilbertToGrid = (hilbert, bits) => {
+  const levels = bits >> 1
+  const size = 2 ** levels
+  const area = size * size
+  const top = MathFloor(hilbert / area)
+  let t = hilbert % area
+  let x = 0
+  let y = 0
+  for (let s = 1; s < size; s *= 2) {
+    const rx = MathFloor(t / 2) % 2
+    const ry = (t % 2) ^ rx
+    if (!ry) {
+      if (rx) {
+        x = s - 1 - x
+        y = s - 1 - y
+      }
+      const swap = x
+      x = y
+      y = swap
+    }
+    x += s * rx
+    y += s * ry
+    t = MathFloor(t / 4)
+  }
+  return [top * size + x, y]
+}
+
+const _geointToHilbert = (geoint, bits) => {
+  const [x, y] = geointToGrid(geoint, bits)
+  return gridToHilbert(x, y, bits)
+}
+const geointToHilbert = (geoint, bits) => {
+  bits = toGeointBits(bits)
+  geoint = toGeointWithBits(geoint, bits)
+  return _geointToHilbert(geoint, bits)
+}
+
+const _hilbertToGeoint = (hilbert, bits) => {
+  const [x, y] = hilbertToGrid(hilbert, bits)
+  return gridToGeoint(x, y, bits)
+}
+const hilbertToGeoint = (hilbert, bits) => {
+  bits = toGeointBits(bits)
+  hilbert = toHilbertWithBits(hilbert, bits)
+  return _hilbertToGeoint(hilbert, bits)
+}
+
+const encodeHilbert = (latitude, longitude, bits) => {
+  bits = toGeointBits(bits)
+  latitude = toLatitude(latitude)
+  longitude = toLongitude(longitude)
+  return _geointToHilbert(_encodeInt(latitude, longitude, bits), bits)
+}
+
+const decodeHilbertBoundingBox = (hilbert, bits) => {
+  bits = toGeointBits(bits)
+  hilbert = toHilbertWithBits(hilbert, bits)
+  return _decodeBoundingBoxInt(_hilbertToGeoint(hilbert, bits), bits)
+}
+
+const decodeHilbert = (hilbert, bits, error) => {
+  const boundingBox = decodeHilbertBoundingBox(hilbert, bits)
+  return boundingBoxToLocation(boundingBox, error)
+}
+
+const getHilbertNeighbor = (hilbert, direction, bits, options) => {
+  bits = toGeointBits(bits)
+  validateDirection(direction)
+  const poles = toPoles(options)
+  hilbert = toHilbertWithBits(hilbert, bits)
+  const [x, y] = hilbertToGrid(hilbert, bits)
+  const [columns, rows] = getGridSize(bits)
+  const neighbor = getGridNeighbor(x, y, columns, rows, direction, poles)
+  return neighbor === null ? null : gridToHilbert(neighbor[0], neighbor[1], bits)
+}
+
+const getHilbertNeighbors = (hilbert, bits, options) => {
+  bits = toGeointBits(bits)
+  const poles = toPoles(options)
+  hilbert = toHilbertWithBits(hilbert, bits)
+  const [x, y] = hilbertToGrid(hilbert, bits)
+  const [columns, rows] = getGridSize(bits)
+  const neighbors = {}
+  ArrayPrototypeForEach(directions, direction => {
+    const neighbor = getGridNeighbor(x, y, columns, rows, direction, poles)
+    neighbors[direction] = neighbor === null ? null : gridToHilbert(neighbor[0], neighbor[1], bits)
+  })
+  return neighbors
+}
+
+const getHilbertQueries = (geoints, bits) => {
+  const hilberts = ArrayPrototypeMap(geoints, geoint => _geointToHilbert(geoint, bits))
+  ArrayPrototypeSort(hilberts, (a, b) => a - b)
+  return getGeointsQueries(hilberts)
+}
+
+const getHilbertBoundingBoxQueries = (minLat, minLon, maxLat, maxLon, bits) => {
+  const geoints = getBoundingBoxesInt(minLat, minLon, maxLat, maxLon, bits)
+  return getHilbertQueries(geoints, toGeointBits(bits))
+}
+
+const getHilbertCircleQueries = (latitude, longitude, radius, bits) => {
+  const geoints = getCircleGeohashesInt(latitude, longitude, radius, bits)
+  return getHilbertQueries(geoints, toGeointBits(bits))
+}
+
+const REDIS_MAX_LATITUDE = 85.05112878
+const REDIS_MIN_LATITUDE = -REDIS_MAX_LATITUDE
+const REDIS_STEP = 26
+const REDIS_BITS = REDIS_STEP * 2
+const REDIS_EARTH_RADIUS_IN_METERS = 6372797.560856
+const REDIS_MERCATOR_MAX = 20037726.37
+
+const toRedisLatitude = value => {
+  value = TypesToNumberOrInfinity(value)
+  if (value < REDIS_MIN_LATITUDE) {
+    throw new RangeError('The latitude must be greater than or equal to -85.05112878')
+  }
+  if (value > REDIS_MAX_LATITUDE) {
+    throw new RangeError('The latitude must be less than or equal to 85.05112878')
+  }
+  return value
+}
+
+const toRedisScore = value => {
+  value = TypesToIntegerOrInfinity(value)
+  if (value < 0) {
+    throw new RangeError('The score must be greater than or equal to zero')
+  }
+  if (value >= 2 ** REDIS_BITS) {
+    throw new RangeError('The score must be less than 2^52')
+  }
+  return value
+}
+
+const redisLocationToGrid = (latitude, longitude, step) => {
+  const size = 2 ** step
+  const latOffset = (latitude - REDIS_MIN_LATITUDE) / (REDIS_MAX_LATITUDE - REDIS_MIN_LATITUDE) * size
+  const lonOffset = (longitude - MIN_LONGITUDE) / CIRCUMFERENCE * size
+  return [MathFloor(lonOffset), MathFloor(latOffset)]
+}
+
+const redisGridToBoundingBox = (x, y, step) => {
+  const size = 2 ** step
+  const latScale = REDIS_MAX_LATITUDE - REDIS_MIN_LATITUDE
+  return [
+    REDIS_MIN_LATITUDE + y / size * latScale,
+    MIN_LONGITUDE + x / size * CIRCUMFERENCE,
+    REDIS_MIN_LATITUDE + (y + 1) / size * latScale,
+    MIN_LONGITUDE + (x + 1) / size * CIRCUMFERENCE
+  ]
+}
+
+const getRedisGridNeighbor = (x, y, step, direction) => {
+  const size = 2 ** step
+  const [latDir, lonDir] = directionLookup[direction]
+  return [(x + lonDir + size) % size, (y + latDir + size) % size]
+}
+
+const encodeRedis = (latitude, longitude) => {
+  latitude = toRedisLatitude(latitude)
+  longitude = toLongitude(longitude)
+  const [x, y] = redisLocationToGrid(latitude, longitude, REDIS_STEP)
+  return gridToGeoint(x, y, REDIS_BITS)
+}
+
+const decodeRedisBoundingBox = score => {
+  score = toRedisScore(score)
+  const [x, y] = geointToGrid(score, REDIS_BITS)
+  return redisGridToBoundingBox(x, y, REDIS_STEP)
+}
+
+const decodeRedis = score => {
+  const [minLat, minLon, maxLat, maxLon] = decodeRedisBoundingBox(score)
+  return {
+    latitude: MathMin(MathMax(REDIS_MIN_LATITUDE, (minLat + maxLat) / 2), REDIS_MAX_LATITUDE),
+    longitude: MathMin(MathMax(MIN_LONGITUDE, (minLon + maxLon) / 2), MAX_LONGITUDE)
+  }
+}
+
+const getRedisNeighbor = (score, direction) => {
+  validateDirection(direction)
+  score = toRedisScore(score)
+  const [x, y] = geointToGrid(score, REDIS_BITS)
+  const [neighborX, neighborY] = getRedisGridNeighbor(x, y, REDIS_STEP, direction)
+  return gridToGeoint(neighborX, neighborY, REDIS_BITS)
+}
+
+const getRedisNeighbors = score => {
+  score = toRedisScore(score)
+  const [x, y] = geointToGrid(score, REDIS_BITS)
+  const neighbors = {}
+  ArrayPrototypeForEach(directions, direction => {
+    const [neighborX, neighborY] = getRedisGridNeighbor(x, y, REDIS_STEP, direction)
+    neighbors[direction] = gridToGeoint(neighborX, neighborY, REDIS_BITS)
+  })
+  return neighbors
+}
+
+const getRedisSearchStep = (radius, latitude) => {
+  if (!radius) {
+    return REDIS_STEP
+  }
+  let step = 1
+  while (radius < REDIS_MERCATOR_MAX) {
+    radius *= 2
+    step++
+  }
+  step -= 2
+  if (latitude > 66 || latitude < -66) {
+    step--
+    if (latitude > 80 || latitude < -80) {
+      step--
+    }
+  }
+  return MathMin(MathMax(1, step), REDIS_STEP)
+}
+
+const getRedisSearchCells = (latitude, longitude, step) => {
+  const [x, y] = redisLocationToGrid(latitude, longitude, step)
+  const cells = {
+    center: [x, y]
+  }
+  ArrayPrototypeForEach(directions, direction => {
+    cells[direction] = getRedisGridNeighbor(x, y, step, direction)
+  })
+  return cells
+}
+
+const _getRedisSearchQueries = (latitude, longitude, width, height, radius) => {
+  const latDelta = _radiansToDegrees(height / REDIS_EARTH_RADIUS_IN_METERS)
+  const topLonDelta = _radiansToDegrees(width / REDIS_EARTH_RADIUS_IN_METERS /
+    MathCos(_degreesToRadians(latitude + latDelta)))
+  const bottomLonDelta = _radiansToDegrees(width / REDIS_EARTH_RADIUS_IN_METERS /
+    MathCos(_degreesToRadians(latitude - latDelta)))
+  const lonDelta = latitude < 0 ? bottomLonDelta : topLonDelta
+  const minLat = latitude - latDelta
+  const minLon = longitude - lonDelta
+  const maxLat = latitude + latDelta
+  const maxLon = longitude + lonDelta
+  let step = getRedisSearchStep(radius, latitude)
+  let cells = getRedisSearchCells(latitude, longitude, step)
+  const getBoundingBox = cell => redisGridToBoundingBox(cell[0], cell[1], step)
+  if (step > 1 && (
+    getBoundingBox(cells.north)[2] < maxLat ||
+    getBoundingBox(cells.south)[0] > minLat ||
+    getBoundingBox(cells.east)[3] < maxLon ||
+    getBoundingBox(cells.west)[1] > minLon
+  )) {
+    step--
+    cells = getRedisSearchCells(latitude, longitude, step)
+  }
+  if (step >= 2) {
+    const [areaMinLat, areaMinLon, areaMaxLat, areaMaxLon] = getBoundingBox(cells.center)
+    if (areaMinLat < minLat) {
+      cells.south = cells.southwest = cells.southeast = null
+    }
+    if (areaMaxLat > maxLat) {
+      cells.north = cells.northeast = cells.northwest = null
+    }
+    if (areaMinLon < minLon) {
+      cells.west = cells.southwest = cells.northwest = null
+    }
+    if (areaMaxLon > maxLon) {
+      cells.east = cells.southeast = cells.northeast = null
+    }
+  }
+  const scale = 2 ** (REDIS_BITS - step * 2)
+  const searchCells = [
+    cells.center,
+    cells.north,
+    cells.south,
+    cells.east,
+    cells.west,
+    cells.northeast,
+    cells.northwest,
+    cells.southeast,
+    cells.southwest
+  ]
+  const result = []
+  let lastIndex = 0
+  for (let i = 0; i < searchCells.length; i++) {
+    const cell = searchCells[i]
+    if (cell === null) {
+      continue
+    }
+    const lastCell = searchCells[lastIndex]
+    if (lastIndex && cell[0] === lastCell[0] && cell[1] === lastCell[1]) {
+      continue
+    }
+    const bits = gridToGeoint(cell[0], cell[1], step * 2)
+    ArrayPrototypePush(result, [bits * scale, (bits + 1) * scale])
+    lastIndex = i
+  }
+  return result
+}
+
+const getRedisRadiusQueries = (latitude, longitude, radius) => {
+  latitude = toRedisLatitude(latitude)
+  longitude = toLongitude(longitude)
+  radius = toRadius(radius) * 1e3
+  return _getRedisSearchQueries(latitude, longitude, radius, radius, radius)
+}
+
+const getRedisBoxQueries = (latitude, longitude, width, height) => {
+  latitude = toRedisLatitude(latitude)
+  longitude = toLongitude(longitude)
+  width = toDistance(width) * 1e3 / 2
+  height = toDistance(height) * 1e3 / 2
+  return _getRedisSearchQueries(latitude, longitude, width, height, MathSqrt(width ** 2 + height ** 2))
+}
+
+const POINT_INDEX_BITS = 30
+const POINT_INDEX_NEAREST_COUNT = 1
+const HALF_EARTH_CIRCUMFERENCE = EARTH_RADIUS * MathPI
+
+const getBoundingBoxSearchBits = (minLat, minLon, maxLat, maxLon, bits) => {
+  const latSpan = maxLat - minLat
+  const lonSpan = minLon > maxLon ? maxLon - minLon + CIRCUMFERENCE : maxLon - minLon
+  return MathMin(bits, MathMax(1,
+    MathFloor(MathLog2(MAX_LATITUDE * 2 / latSpan)) * 2,
+    MathFloor(MathLog2(CIRCUMFERENCE / lonSpan)) * 2 + 1
+  ))
+}
+
+const getCircleSearchBits = (latitude, longitude, radius, bits) =>
+  MathMin(bits, MathMax(1, _getBoundingBoxBits(latitude, longitude, radius)))
+
+const isInBoundingBoxes = (boundingBoxes, latitude, longitude) => {
+  let isInside = false
+  ArrayPrototypeForEach(boundingBoxes, boundingBox => {
+    isInside = isInside || (latitude >= boundingBox[0] && latitude <= boundingBox[2] &&
+      longitude >= boundingBox[1] && longitude <= boundingBox[3])
+  })
+  return isInside
+}
+
+const pointsSymbol = Symbol('points')
+const bucketsSymbol = Symbol('buckets')
+const bitsSymbol = Symbol('bits')
+
+const toPointIndexBits = options => {
+  if (options === undefined) {
+    return POINT_INDEX_BITS
+  }
+  if (!TypesIsObject(options)) {
+    throw new TypeError('The options must be an object')
+  }
+  const {bits} = options
+  return bits === undefined ? POINT_INDEX_BITS : toGeointBits(bits)
+}
+
+const toNearestCount = value => {
+  if (value === undefined) {
+    return POINT_INDEX_NEAREST_COUNT
+  }
+  value = TypesToIntegerOrInfinity(value)
+  if (value <= 0) {
+    throw new RangeError('The count must be greater than zero')
+  }
+  return value
+}
+
+const toMaxDistance = options => {
+  if (options === undefined) {
+    return HALF_EARTH_CIRCUMFERENCE
+  }
+  if (!TypesIsObject(options)) {
+    throw new TypeError('The options must be an object')
+  }
+  const {maxDistance} = options
+  if (maxDistance === undefined) {
+    return HALF_EARTH_CIRCUMFERENCE
+  }
+  return MathMin(toDistance(maxDistance), HALF_EARTH_CIRCUMFERENCE)
+}
+
+const comparePointsByDistance = (a, b) => a.distance - b.distance
+
+class GeohashPointIndex {
+  constructor(options) {
+    this[bitsSymbol] = toPointIndexBits(options)
+    this[pointsSymbol] = new SafeMap()
+    this[bucketsSymbol] = new SafeMap()
+  }
+
+  get bits() {
+    return this[bitsSymbol]
+  }
+
+  get size() {
+    return this[pointsSymbol].size
+  }
+
+  has(id) {
+    return this[pointsSymbol].has(id)
+  }
+
+  get(id) {
+    const point = this[pointsSymbol].get(id)
+    return point === undefined ? undefined : {
+      id,
+      latitude: point.latitude,
+      longitude: point.longitude,
+      data: point.data
+    }
+  }
+
+  insert(id, latitude, longitude, data) {
+    latitude = toLatitude(latitude)
+    longitude = toLongitude(longitude)
+    if (this[pointsSymbol].has(id)) {
+      throw new RangeError('The point id already exists')
+    }
+    const geoint = _encodeInt(latitude, longitude, this[bitsSymbol])
+    this[pointsSymbol].set(id, {
+      latitude,
+      longitude,
+      data,
+      geoint
+    })
+    let bucket = this[bucketsSymbol].get(geoint)
+    if (bucket === undefined) {
+      bucket = new SafeSet()
+      this[bucketsSymbol].set(geoint, bucket)
+    }
+    bucket.add(id)
+    return this
+  }
+
+  remove(id) {
+    const point = this[pointsSymbol].get(id)
+    if (point === undefined) {
+      return false
+    }
+    this[pointsSymbol].delete(id)
+    const bucket = this[bucketsSymbol].get(point.geoint)
+    bucket.delete(id)
+    if (!bucket.size) {
+      this[bucketsSymbol].delete(point.geoint)
+    }
+    return true
+  }
+
+  update(id, latitude, longitude, data) {
+    latitude = toLatitude(latitude)
+    longitude = toLongitude(longitude)
+    const point = this[pointsSymbol].get(id)
+    if (point === undefined) {
+      return false
+    }
+    this.remove(id)
+    this.insert(id, latitude, longitude, data === undefined ? point.data : data)
+    return true
+  }
+
+  clear() {
+    this[pointsSymbol].clear()
+    this[bucketsSymbol].clear()
+  }
+
+  searchRadius(latitude, longitude, radius) {
+    latitude = toLatitude(latitude)
+    longitude = toLongitude(longitude)
+    radius = toRadius(radius)
+    return searchPointIndexRadius(this, latitude, longitude, radius)
+  }
+
+  searchBox(minLat, minLon, maxLat, maxLon) {
+    minLat = toLatitude(minLat)
+    minLon = toLongitude(minLon)
+    maxLat = toLatitude(maxLat)
+    maxLon = toLongitude(maxLon)
+    if (minLat > maxLat) {
+      throw new RangeError('The minimum latitude must be less than or equal to the maximum latitude')
+    }
+    const coarseBits = getBoundingBoxSearchBits(minLat, minLon, maxLat, maxLon, this[bitsSymbol])
+    const lonSpan = minLon > maxLon ? maxLon - minLon + CIRCUMFERENCE : maxLon - minLon
+    const centerLat = (minLat + maxLat) / 2
+    const centerLon = _wrapLongitude(minLon + lonSpan / 2)
+    const boundingBoxes = splitBoundingBox(minLat, minLon, maxLat, maxLon)
+    const result = []
+    const coarseGeoints = new SafeGenerator(_boundingBoxesIntGenerator(minLat, minLon, maxLat, maxLon, coarseBits))
+    forEachPointIndexCandidate(this, coarseGeoints, coarseBits, (id, point) => {
+      if (isInBoundingBoxes(boundingBoxes, point.latitude, point.longitude)) {
+        ArrayPrototypePush(result, createPointIndexResult(id, point, centerLat, centerLon))
+      }
+    })
+    return ArrayPrototypeSort(result, comparePointsByDistance)
+  }
+
+  nearest(latitude, longitude, count, options) {
+    latitude = toLatitude(latitude)
+    longitude = toLongitude(longitude)
+    count = toNearestCount(count)
+    const maxDistance = toMaxDistance(options)
+    const bits = this[bitsSymbol]
+    const [minLat, minLon, maxLat, maxLon] = _decodeBoundingBoxInt(_encodeInt(latitude, longitude, bits), bits)
+    let radius = MathMin(MathMax(
+      (maxLat - minLat) * EARTH_LATITUDE_DEGREE,
+      (maxLon - minLon) * EARTH_LONGITUDE_DEGREE * MathCos(_degreesToRadians(latitude))
+    ), maxDistance)
+    let result = searchPointIndexRadius(this, latitude, longitude, radius)
+    while (result.length < count && radius < maxDistance && result.length < this.size) {
+      radius = MathMin(radius * 2, maxDistance)
+      result = searchPointIndexRadius(this, latitude, longitude, radius)
+    }
+    ArrayPrototypeSplice(result, count)
+    return result
+  }
+}
+ObjectDefineProperties(GeohashPointIndex.prototype, {
+  [SymbolToStringTag]: {
+    value: 'GeohashPointIndex'
+  }
+})
+
+const createPointIndexResult = (id, point, latitude, longitude) => ({
+  id,
+  latitude: point.latitude,
+  longitude: point.longitude,
+  data: point.data,
+  distance: _getDistance(latitude, longitude, point.latitude, point.longitude)
+})
+
+const forEachPointIndexCandidate = (index, coarseGeoints, coarseBits, callback) => {
+  const points = index[pointsSymbol]
+  const buckets = index[bucketsSymbol]
+  const span = 2 ** (index[bitsSymbol] - coarseBits)
+  const coarseCells = []
+  for (const geoint of coarseGeoints) {
+    ArrayPrototypePush(coarseCells, geoint)
+  }
+  const visitBucket = bucket => {
+    for (const id of bucket.values()) {
+      callback(id, points.get(id))
+    }
+  }
+  if (coarseCells.length * span <= buckets.size) {
+    ArrayPrototypeForEach(coarseCells, geoint => {
+      const start = geoint * span
+      for (let i = 0; i < span; i++) {
+        const bucket = buckets.get(start + i)
+        if (bucket !== undefined) {
+          visitBucket(bucket)
+        }
+      }
+    })
+  } else {
+    const coarseLookup = new SafeSet(coarseCells)
+    for (const [geoint, bucket] of buckets.entries()) {
+      if (coarseLookup.has(MathFloor(geoint / span))) {
+        visitBucket(bucket)
+      }
+    }
+  }
+}
+
+const searchPointIndexRadius = (index, latitude, longitude, radius) => {
+  const coarseBits = getCircleSearchBits(latitude, longitude, radius, index[bitsSymbol])
+  const result = []
+  const coarseGeoints = _getCircleGeohashesInt(latitude, longitude, radius, coarseBits)
+  forEachPointIndexCandidate(index, coarseGeoints, coarseBits, (id, point) => {
+    const item = createPointIndexResult(id, point, latitude, longitude)
+    if (item.distance <= radius) {
+      ArrayPrototypePush(result, item)
+    }
+  })
+  return ArrayPrototypeSort(result, comparePointsByDistance)
+}
+
+const PACKED_INDEX_MAGIC = 'GHPI'
+const PACKED_INDEX_VERSION = 1
+const PACKED_INDEX_BYTE_ORDER_MARK = 0xfeff
+const PACKED_INDEX_HEADER_SIZE = 16
+const PACKED_INDEX_POINT_SIZE = 28
+const MAX_PACKED_INDEX_BITS = 64
+
+const toPackedIndexBits = value => {
+  if (value === undefined) {
+    return GEOINT_BITS
+  }
+  value = TypesToIntegerOrInfinity(value)
+  if (value <= 0) {
+    throw new RangeError('The bits must be greater than zero')
+  }
+  if (value > MAX_PACKED_INDEX_BITS) {
+    throw new RangeError('The bits must be less than or equal to 64')
+  }
+  return value
+}
+
+const toPoints = value => {
+  if (!ArrayIsArray(value)) {
+    throw new TypeError('The points must be an array')
+  }
+  return ArrayPrototypeMap(value, point => {
+    if (!TypesIsObject(point)) {
+      throw new TypeError('The point must be an object')
+    }
+    return [toLatitude(point.latitude), toLongitude(point.longitude)]
+  })
+}
+
+const toPackedIndexPoints = value => {
+  if (ArrayIsArray(value) && value.length > 0xffffffff) {
+    throw new RangeError('The number of points must be less than 2^32')
+  }
+  return toPoints(value)
+}
+
+const lowerBound = (keys, value) => {
+  let low = 0
+  let high = keys.length
+  while (low < high) {
+    const middle = (low + high) >>> 1
+    if (keys[middle] < value) {
+      low = middle + 1
+    } else {
+      high = middle
+    }
+  }
+  return low
+}
+
+const getPackedIndexArrays = (buffer, bits, size) => {
+  const keysOffset = PACKED_INDEX_HEADER_SIZE
+  const latitudesOffset = keysOffset + size * 8
+  const longitudesOffset = latitudesOffset + size * 8
+  const indexesOffset = longitudesOffset + size * 8
+  return [
+    bits > MAX_GEOINT_BITS ? new BigUint64Array(buffer, keysOffset, size) : new Float64Array(buffer, keysOffset, size),
+    new Float64Array(buffer, latitudesOffset, size),
+    new Float64Array(buffer, longitudesOffset, size),
+    new Uint32Array(buffer, indexesOffset, size)
+  ]
+}
+
+const createPackedIndex = (buffer, bits, size) => {
+  const isBigInt = bits > MAX_GEOINT_BITS
+  const [keys, latitudes, longitudes, indexes] = getPackedIndexArrays(buffer, bits, size)
+  const forEachCandidate = (coarseGeoints, coarseBits, callback) => {
+    const span = isBigInt ? 2n ** BigInt(bits - coarseBits) : 2 ** (bits - coarseBits)
+    const sortedGeoints = []
+    for (const geoint of coarseGeoints) {
+      ArrayPrototypePush(sortedGeoints, geoint)
+    }
+    ArrayPrototypeSort(sortedGeoints, (a, b) => a - b)
+    ArrayPrototypeForEach(getGeointsQueries(sortedGeoints), ([start, end]) => {
+      const startKey = isBigInt ? BigInt(start) * span : start * span
+      const endKey = isBigInt ? BigInt(end) * span : end * span
+      for (let i = lowerBound(keys, startKey); i < size && keys[i] < endKey; i++) {
+        callback(i)
+      }
+    })
+  }
+  const searchBox = (minLat, minLon, maxLat, maxLon) => {
+    minLat = toLatitude(minLat)
+    minLon = toLongitude(minLon)
+    maxLat = toLatitude(maxLat)
+    maxLon = toLongitude(maxLon)
+    if (minLat > maxLat) {
+      throw new RangeError('The minimum latitude must be less than or equal to the maximum latitude')
+    }
+    const coarseBits = getBoundingBoxSearchBits(minLat, minLon, maxLat, maxLon, MathMin(bits, MAX_GEOINT_BITS))
+    const boundingBoxes = splitBoundingBox(minLat, minLon, maxLat, maxLon)
+    const result = []
+    const coarseGeoints = new SafeGenerator(_boundingBoxesIntGenerator(minLat, minLon, maxLat, maxLon, coarseBits))
+    forEachCandidate(coarseGeoints, coarseBits, i => {
+      if (isInBoundingBoxes(boundingBoxes, latitudes[i], longitudes[i])) {
+        ArrayPrototypePush(result, indexes[i])
+      }
+    })
+    return result
+  }
+  const searchRadius = (latitude, longitude, radius) => {
+    latitude = toLatitude(latitude)
+    longitude = toLongitude(longitude)
+    radius = toRadius(radius)
+    const coarseBits = getCircleSearchBits(latitude, longitude, radius, MathMin(bits, MAX_GEOINT_BITS))
+    const matches = []
+    const coarseGeoints = _getCircleGeohashesInt(latitude, longitude, radius, coarseBits)
+    forEachCandidate(coarseGeoints, coarseBits, i => {
+      const distance = _getDistance(latitude, longitude, latitudes[i], longitudes[i])
+      if (distance <= radius) {
+        ArrayPrototypePush(matches, [indexes[i], distance])
+      }
+    })
+    ArrayPrototypeSort(matches, (a, b) => a[1] - b[1])
+    return ArrayPrototypeMap(matches, match => match[0])
+  }
+  const getLocation = position => {
+    position = TypesToIntegerOrInfinity(position)
+    if (position < 0 || position >= size) {
+      throw new RangeError(`The position must be greater than or equal to zero and less than ${size}`)
+    }
+    return {
+      index: indexes[position],
+      latitude: latitudes[position],
+      longitude: longitudes[position]
+    }
+  }
+  const toArrayBuffer = () => buffer
+  const packedIndex = {}
+  ObjectDefineProperties(packedIndex, {
+    bits: {
+      value: bits
+    },
+    size: {
+      value: size
+    },
+    searchBox: {
+      value: searchBox
+    },
+    searchRadius: {
+      value: searchRadius
+    },
+    getLocation: {
+      value: getLocation
+    },
+    toArrayBuffer: {
+      value: toArrayBuffer
+    },
+    [SymbolToStringTag]: {
+      value: 'GeohashPackedIndex'
+    }
+  })
+  return packedIndex
+}
+
+const buildPackedIndex = (points, bits) => {
+  bits = toPackedIndexBits(bits)
+  points = toPackedIndexPoints(points)
+  const size = points.length
+  const isBigInt = bits > MAX_GEOINT_BITS
+  const pointKeys = ArrayPrototypeMap(points, ([latitude, longitude]) => isBigInt ?
+    _encodeBigInt(latitude, longitude, bits) : _encodeInt(latitude, longitude, bits))
+  const order = new Uint32Array(size)
+  for (let i = 0; i < size; i++) {
+    order[i] = i
+  }
+  TypedArrayPrototypeSort(order, (a, b) => pointKeys[a] < pointKeys[b] ? -1 : pointKeys[a] > pointKeys[b] ? 1 : a - b)
+  const buffer = new ArrayBuffer(PACKED_INDEX_HEADER_SIZE + size * PACKED_INDEX_POINT_SIZE)
+  const header = new Uint8Array(buffer, 0, PACKED_INDEX_HEADER_SIZE)
+  for (let i = 0; i < PACKED_INDEX_MAGIC.length; i++) {
+    header[i] = StringPrototypeCharCodeAt(PACKED_INDEX_MAGIC, i)
+  }
+  header[4] = PACKED_INDEX_VERSION
+  header[5] = bits
+  new Uint16Array(buffer, 6, 1)[0] = PACKED_INDEX_BYTE_ORDER_MARK
+  new Uint32Array(buffer, 8, 1)[0] = size
+  const [keys, latitudes, longitudes, indexes] = getPackedIndexArrays(buffer, bits, size)
+  for (let i = 0; i < size; i++) {
+    const index = order[i]
+    keys[i] = pointKeys[index]
+    latitudes[i] = points[index][0]
+    longitudes[i] = points[index][1]
+    indexes[i] = index
+  }
+  return createPackedIndex(buffer, bits, size)
+}
+
+const loadPackedIndex = buffer => {
+  if (!TypesIsArrayBuffer(buffer)) {
+    throw new TypeError('The buffer must be an ArrayBuffer')
+  }
+  const byteLength = ArrayBufferPrototypeGetByteLength(buffer)
+  if (byteLength < PACKED_INDEX_HEADER_SIZE) {
+    throw new RangeError('The buffer is too small to contain a packed index')
+  }
+  const header = new Uint8Array(buffer, 0, PACKED_INDEX_HEADER_SIZE)
+  for (let i = 0; i < PACKED_INDEX_MAGIC.length; i++) {
+    if (header[i] !== StringPrototypeCharCodeAt(PACKED_INDEX_MAGIC, i)) {
+      throw new SyntaxError('The buffer does not contain a packed index')
+    }
+  }
+  if (header[4] !== PACKED_INDEX_VERSION) {
+    throw new RangeError(`Unsupported packed index version ${header[4]}`)
+  }
+  if (new Uint16Array(buffer, 6, 1)[0] !== PACKED_INDEX_BYTE_ORDER_MARK) {
+    throw new RangeError('The packed index byte order does not match this platform')
+  }
+  const bits = toPackedIndexBits(header[5])
+  const size = new Uint32Array(buffer, 8, 1)[0]
+  if (byteLength !== PACKED_INDEX_HEADER_SIZE + size * PACKED_INDEX_POINT_SIZE) {
+    throw new RangeError('The buffer length does not match the packed index size')
+  }
+  return createPackedIndex(buffer, bits, size)
+}
+
+const rootSymbol = Symbol('root')
+const configSymbol = Symbol('config')
+
+const toTrieValue = value => {
+  if (value === undefined) {
+    return 1
+  }
+  value = TypesToNumber(value)
+  if (!NumberIsFinite(value)) {
+    throw new RangeError('The value must be a finite number')
+  }
+  return value
+}
+
+const toTopCount = value => {
+  value = TypesToIntegerOrInfinity(value)
+  if (value <= 0) {
+    throw new RangeError('The k must be greater than zero')
+  }
+  return value
+}
+
+const toTrieAggregate = options => {
+  if (options === undefined) {
+    return 'count'
+  }
+  if (!TypesIsObject(options)) {
+    throw new TypeError('The options must be an object')
+  }
+  const {by} = options
+  if (by === undefined) {
+    return 'count'
+  }
+  if (by !== 'count' && by !== 'sum' && by !== 'min' && by !== 'max') {
+    throw new TypeError('The by must be "count", "sum", "min" or "max"')
+  }
+  return by
+}
+
+const createTrieNode = () => ({
+  count: 0,
+  sum: 0,
+  min: Infinity,
+  max: -Infinity,
+  children: ObjectCreate(null)
+})
+
+const getTrieNodeAggregate = node => ({
+  count: node.count,
+  sum: node.sum,
+  min: node.min,
+  max: node.max
+})
+
+const addTrieNodeValue = (node, value) => {
+  node.count++
+  node.sum += value
+  node.min = MathMin(node.min, value)
+  node.max = MathMax(node.max, value)
+}
+
+const PARTITION_MIN_LEVEL = 1
+const PARTITION_MAX_POINTS_PER_CELL = 1000
+
+const toPartitionOptions = options => {
+  if (options === undefined) {
+    return {}
+  }
+  if (!TypesIsObject(options)) {
+    throw new TypeError('The options must be an object')
+  }
+  return options
+}
+
+const toMaxPointsPerCell = value => {
+  if (value === undefined) {
+    return PARTITION_MAX_POINTS_PER_CELL
+  }
+  value = TypesToIntegerOrInfinity(value)
+  if (value <= 0) {
+    throw new RangeError('The maximum points per cell must be greater than zero')
+  }
+  return value
+}
+
+const partitionCellByDensity = (partition, cell, level, keys, result) => {
+  const {minLevel, maxLevel, maxPointsPerCell, base, getBranch, getChild} = partition
+  if (level >= minLevel && (keys.length <= maxPointsPerCell || level === maxLevel)) {
+    ArrayPrototypePush(result, cell)
+    return
+  }
+  const buckets = []
+  for (let i = 0; i < base; i++) {
+    ArrayPrototypePush(buckets, [])
+  }
+  ArrayPrototypeForEach(keys, key => {
+    ArrayPrototypePush(buckets[getBranch(key, level)], key)
+  })
+  for (let i = 0; i < base; i++) {
+    const bucket = buckets[i]
+    if (bucket.length || level >= minLevel) {
+      partitionCellByDensity(partition, getChild(cell, i), level + 1, bucket, result)
+    }
+  }
+}
+
+const partitionByDensityCells = (partition, root, keys) => {
+  const result = []
+  if (keys.length) {
+    partitionCellByDensity(partition, root, 0, keys, result)
+  }
+  return result
+}
+
+const toPartitionBits = (options, toBits) => {
+  const minBits = options.minBits === undefined ? PARTITION_MIN_LEVEL : toBits(options.minBits)
+  const maxBits = toBits(options.maxBits)
+  if (minBits > maxBits) {
+    throw new RangeError('The minimum bits must be less than or equal to the maximum bits')
+  }
+  return [minBits, maxBits]
+}
+
+const partitionByDensityInt = (points, options) => {
+  options = toPartitionOptions(options)
+  const [minBits, maxBits] = toPartitionBits(options, toGeointBits)
+  const maxPointsPerCell = toMaxPointsPerCell(options.maxPointsPerCell)
+  points = toPoints(points)
+  const keys = ArrayPrototypeMap(points, ([latitude, longitude]) => _encodeInt(latitude, longitude, maxBits))
+  return partitionByDensityCells({
+    minLevel: minBits,
+    maxLevel: maxBits,
+    maxPointsPerCell,
+    base: 2,
+    getBranch: (geoint, bits) => MathFloor(geoint / 2 ** (maxBits - bits - 1)) % 2,
+    getChild: ([geoint, bits], bit) => [geoint * 2 + bit, bits + 1]
+  }, [0, 0], keys)
+}
+
+const partitionByDensityBigInt = (points, options) => {
+  options = toPartitionOptions(options)
+  const [minBits, maxBits] = toPartitionBits(options, toGeobigintBits)
+  const maxPointsPerCell = toMaxPointsPerCell(options.maxPointsPerCell)
+  points = toPoints(points)
+  const keys = ArrayPrototypeMap(points, ([latitude, longitude]) => _encodeBigInt(latitude, longitude, maxBits))
+  return partitionByDensityCells({
+    minLevel: minBits,
+    maxLevel: maxBits,
+    maxPointsPerCell,
+    base: 2,
+    getBranch: (geobigint, bits) => Number((geobigint >> BigInt(maxBits - bits - 1)) & 1n),
+    getChild: ([geobigint, bits], bit) => [geobigint * 2n + BigInt(bit), bits + 1]
+  }, [0n, 0], keys)
+}
+
+const SHARD_ROUTER_STRATEGY = 'range'
+const MAX_SHARDS = 65536
+const MAX_SHARD_SEARCH_CELLS = 1024
+
+const toShards = value => {
+  if (!ArrayIsArray(value)) {
+    value = TypesToIntegerOrInfinity(value)
+    if (value <= 0) {
+      throw new RangeError('The shards must be greater than zero')
+    }
+    if (value > MAX_SHARDS) {
+      throw new RangeError(`The shards must be less than or equal to ${MAX_SHARDS}`)
+    }
+    const result = []
+    for (let i = 0; i < value; i++) {
+      ArrayPrototypePush(result, i)
+    }
+    return result
+  }
+  if (!value.length) {
+    throw new RangeError('The shards must not be empty')
+  }
+  const lookup = new SafeSet()
+  return ArrayPrototypeMap(value, shard => {
+    if (!PrimitivesIsString(shard) && !PrimitivesIsNumber(shard)) {
+      throw new TypeError('The shard must be a string or a number')
+    }
+    if (lookup.has(shard)) {
+      throw new RangeError('The shards must be unique')
+    }
+    lookup.add(shard)
+    return shard
+  })
+}
+
+const toShardStrategy = value => {
+  if (value === undefined) {
+    return SHARD_ROUTER_STRATEGY
+  }
+  if (value !== 'prefix' && value !== 'rendezvous' && value !== 'range') {
+    throw new TypeError('The strategy must be "prefix", "rendezvous" or "range"')
+  }
+  return value
+}
+
+const toShardIndex = (shardIndexes, value) => {
+  const index = shardIndexes.get(value)
+  if (index === undefined) {
+    throw new RangeError('The shard does not exist')
+  }
+  return index
+}
+
+const getRendezvousScore = key => {
+  let hash = 0x811c9dc5
+  const {length} = key
+  for (let i = 0; i < length; i++) {
+    hash = MathImul(hash ^ StringPrototypeCharCodeAt(key, i), 0x01000193)
+  }
+  hash = MathImul(hash ^ (hash >>> 16), 0x85ebca6b)
+  hash = MathImul(hash ^ (hash >>> 13), 0xc2b2ae35)
+  return (hash ^ (hash >>> 16)) >>> 0
+}
+
+const toBitsPerChar = (value, alphabet) => {
+  if (value === undefined) {
+    if (alphabet === undefined) {
+      return BITS_PER_CHAR
+    }
+    if (!PrimitivesIsString(alphabet)) {
+      throw new TypeError('The alphabet must be a string')
+    }
+    if (alphabet.length === GEOHASH36_BASE) {
+      return null
+    }
+    value = MathLog2(alphabet.length)
+    if (!NumberIsInteger(value) || value <= 0 || value > MAX_BITS_PER_CHAR) {
+      throw new RangeError('The length of the alphabet must be 2, 4, 8, 16, 32 or 36')
+    }
+    return value
+  }
+  value = TypesToIntegerOrInfinity(value)
+  if (value <= 0) {
+    throw new RangeError('The bits per char must be greater than zero')
+  }
+  if (value > MAX_BITS_PER_CHAR) {
+    throw new RangeError('The bits per char must be less than or equal to 5')
+  }
+  return value
+}
+
+const toAlphabet = (value, bitsPerChar) => {
+  if (bitsPerChar === null) {
+    const lookup = createAlphabetLookup(value)
+    for (let i = 0; i < GEOHASH36_BASE; i++) {
+      if (lookup[value[i]] !== i) {
+        throw new RangeError('The alphabet characters must be unique')
+      }
+    }
+    return value
+  }
+  const base = 2 ** bitsPerChar
+  if (value === undefined) {
+    return StringPrototypeSlice(ALPHABET, 0, base)
+  }
+  if (!PrimitivesIsString(value)) {
+    throw new TypeError('The alphabet must be a string')
+  }
+  if (value.length !== base) {
+    throw new RangeError(`The length of the alphabet must be ${base}`)
+  }
+  for (let i = 1; i < base; i++) {
+    if (value[i] <= value[i - 1]) {
+      throw new RangeError('The alphabet characters must be unique and in ascending order')
+    }
+  }
+  if (value[base - 1] >= LIMITER_CHAR) {
+    throw new RangeError(`The alphabet characters must precede "${LIMITER_CHAR}"`)
+  }
+  return value
+}
+
+const toMaxGeohashPrecision = (value, bitsPerChar) => {
+  const maxPrecision = bitsPerChar === null ? MAX_GEOHASH36_PRECISION : MathFloor(MAX_GEOBIGINT_BITS / bitsPerChar)
+  if (value === undefined) {
+    return maxPrecision
+  }
+  value = TypesToIntegerOrInfinity(value)
+  if (value <= 0) {
+    throw new RangeError('The maximum precision must be greater than zero')
+  }
+  if (value > maxPrecision) {
+    throw new RangeError(`The maximum precision must be less than or equal to ${maxPrecision}`)
+  }
+  return value
+}
+
+const createCodecConfig = options => {
+  if (options === undefined) {
+    options = {}
+  } else if (!TypesIsObject(options)) {
+    throw new TypeError('The options must be an object')
+  }
+  const bitsPerChar = toBitsPerChar(options.bitsPerChar, options.alphabet)
+  const alphabet = toAlphabet(options.alphabet, bitsPerChar)
+  const maxGeohashPrecision = toMaxGeohashPrecision(options.maxPrecision, bitsPerChar)
+  const base = alphabet.length
+  const charBits = bitsPerChar === null ? MathLog2(base) : bitsPerChar
+  const maxGeohashPrecisionBits = bitsPerChar === null ? null : maxGeohashPrecision * bitsPerChar
+  const geohashPrecision = MathMin(MathCeil(GEOHASH_PRECISION * BITS_PER_CHAR / charBits), maxGeohashPrecision)
+  const maxGeointPrecision = MathFloor(MAX_GEOINT_BITS / charBits)
+  const maxSafeGridPrecision = MathFloor(MAX_SAFE_GRID_BITS / charBits)
+
+  const alphabetLookup = createAlphabetLookup(alphabet)
+  const alphabetCodes = createAlphabetCodes(alphabet)
+
+  const gridColumns = bitsPerChar === null ? [GEOHASH36_GRID_SIZE, GEOHASH36_GRID_SIZE] :
+    [2 ** MathCeil(bitsPerChar / 2), 2 ** MathFloor(bitsPerChar / 2)]
+  const gridRows = [gridColumns[1], gridColumns[0]]
+  const gridCellXs = [[], []]
+  const gridCellYs = [[], []]
+  const gridChars = [[], []]
+  for (let parity = 0; parity < 2; parity++) {
+    const rows = gridRows[parity]
+    for (let index = 0; index < base; index++) {
+      let x = 0
+      let y = 0
+      if (bitsPerChar === null) {
+        x = index % GEOHASH36_GRID_SIZE
+        y = GEOHASH36_GRID_SIZE - 1 - MathFloor(index / GEOHASH36_GRID_SIZE)
+      } else {
+        for (let bit = 0; bit < bitsPerChar; bit++) {
+          const value = index >> (bitsPerChar - 1 - bit) & 1
+          if ((parity + bit) % 2 === 0) {
+            x = x * 2 + value
+          } else {
+            y = y * 2 + value
+          }
+        }
+      }
+      gridCellXs[parity][index] = x
+      gridCellYs[parity][index] = y
+      gridChars[parity][x * rows + y] = alphabet[index]
+    }
+  }
+  return {
+    bitsPerChar,
+    alphabet,
+    alphabetLookup,
+    alphabetCodes,
+    base,
+    maxGeohashPrecision,
+    maxGeohashPrecisionBits,
+    geohashPrecision,
+    maxGeointPrecision,
+    maxSafeGridPrecision,
+    gridColumns,
+    gridRows,
+    gridCellXs,
+    gridCellYs,
+    gridChars
+  }
+}
+
+const codecGetCharParity = (config, index) => {
+  const {bitsPerChar} = config
+  return bitsPerChar === null ? 0 : index * bitsPerChar % 2
+}
+
+const codecGetGridSize = (config, precision) => {
+  const {bitsPerChar, maxSafeGridPrecision} = config
+  if (bitsPerChar === null) {
+    const size = GEOHASH36_GRID_SIZE ** precision
+    return [size, size]
+  }
+  const bits = precision * bitsPerChar
+  return getGridSize(precision > maxSafeGridPrecision ? BigInt(bits) : bits)
+}
+
+const codecValidateBinary = config => {
+  if (config.bitsPerChar === null) {
+    throw new TypeError('The length of the alphabet must be a power of two')
+  }
+}
+
+const codecIsGeohash = (config, value) => {
+  const {maxGeohashPrecision, alphabetLookup} = config
+  if (!PrimitivesIsString(value)) {
+    return false
+  }
+  const {length} = value
+  if (!length || length > maxGeohashPrecision) {
+    return false
+  }
+  for (const char of StringPrototypeSafeSymbolIterator(value)) {
+    if (alphabetLookup[char] === undefined) {
+      return false
+    }
+  }
+  return true
+}
+
+const codecValidateGeohash = (config, value) => {
+  const {maxGeohashPrecision, alphabetCodes} = config
+  if (!PrimitivesIsString(value)) {
+    throw new TypeError('The geohash must be a string')
+  }
+  const {length} = value
+  if (!length) {
+    throw new RangeError('The length of the geohash must be greater than zero')
+  }
+  if (length > maxGeohashPrecision) {
+    throw new RangeError(`The length of the geohash must be less than or equal to ${maxGeohashPrecision}`)
+  }
+  for (let i = 0; i < length; i++) {
+    const index = alphabetCodes[StringPrototypeCharCodeAt(value, i)]
+    if (index === undefined || index < 0) {
+      throw new SyntaxError(`Invalid character "${value[i]}" at index ${i} for Geohash encoding`)
+    }
+  }
+}
+
+const codecToGeohashPrecision = (config, value) => {
+  const {maxGeohashPrecision, geohashPrecision} = config
+  if (value === undefined) {
+    return geohashPrecision
+  }
+  value = TypesToIntegerOrInfinity(value)
+  if (value <= 0) {
+    throw new RangeError('The precision must be greater than zero')
+  }
+  if (value > maxGeohashPrecision) {
+    throw new RangeError(`The precision must be less than or equal to ${maxGeohashPrecision}`)
+  }
+  return value
+}
+
+const codecToGeohashPrecisionBits = (config, value) => {
+  const {maxGeohashPrecisionBits} = config
+  value = TypesToIntegerOrInfinity(value)
+  if (value <= 0) {
+    throw new RangeError('The bits must be greater than zero')
+  }
+  if (value > maxGeohashPrecisionBits) {
+    throw new RangeError(`The bits must be less than or equal to ${maxGeohashPrecisionBits}`)
+  }
+  return value
+}
+
+const _codecEncode = (config, latitude, longitude, precision) => {
+  const {bitsPerChar, alphabet} = config
+  if (bitsPerChar === null) {
+    const [columns, rows] = codecGetGridSize(config, precision)
+    const x = clampIndex(MathFloor((longitude - MIN_LONGITUDE) / CIRCUMFERENCE * columns), columns)
+    const y = clampIndex(MathFloor((latitude - MIN_LATITUDE) / MAX_LATITUDE / 2 * rows), rows)
+    return codecGridToGeohash(config, x, y, precision)
+  }
+  let minLat = MIN_LATITUDE
+  let maxLat = MAX_LATITUDE
+  let minLon = MIN_LONGITUDE
+  let maxLon = MAX_LONGITUDE
+  let isEven = true
+  let bitCount = 0
+  let carry = 0
+  let result = ''
+  while (result.length < precision) {
+    if (isEven) {
+      const delta = (minLon + maxLon) / 2
+      if (longitude > delta) {
+        carry = (carry << 1) + 1
+        minLon = delta
+      } else {
+        carry <<= 1
+        maxLon = delta
+      }
+    } else {
+      const delta = (minLat + maxLat) / 2
+      if (latitude > delta) {
+        carry = (carry << 1) + 1
+        minLat = delta
+      } else {
+        carry <<= 1
+        maxLat = delta
+      }
+    }
+    isEven = !isEven
+    if (bitCount < bitsPerChar - 1) {
+      bitCount++
+    } else {
+      result += alphabet[carry]
+      bitCount = 0
+      carry = 0
+    }
+  }
+  return result
+}
+const codecEncode = (config, latitude, longitude, precision) => {
+  precision = codecToGeohashPrecision(config, precision)
+  latitude = toLatitude(latitude)
+  longitude = toLongitude(longitude)
+  return _codecEncode(config, latitude, longitude, precision)
+}
+
+const _codecDecodeBoundingBox = (config, geohash) => {
+  const {bitsPerChar, alphabetLookup} = config
+  const {length} = geohash
+  if (bitsPerChar === null) {
+    for (let i = 0; i < length; i++) {
+      const char = geohash[i]
+      if (alphabetLookup[char] === undefined) {
+        throw new SyntaxError(`Invalid character "${char}" at index ${i} for Geohash encoding`)
+      }
+    }
+    const [x, y] = codecGeohashToGrid(config, geohash)
+    const [columns, rows] = codecGetGridSize(config, length)
+    return gridCellToBoundingBox(x, y, columns, rows)
+  }
+  let minLat = MIN_LATITUDE
+  let maxLat = MAX_LATITUDE
+  let minLon = MIN_LONGITUDE
+  let maxLon = MAX_LONGITUDE
+  let isEven = true
+  for (let i = 0; i < length; i++) {
+    const char = geohash[i]
+    const index = alphabetLookup[char]
+    if (index === undefined) {
+      throw new SyntaxError(`Invalid character "${char}" at index ${i} for Geohash encoding`)
+    }
+    for (let bitCount = bitsPerChar - 1; bitCount >= 0; bitCount--) {
+      const bit = index >> bitCount & 1
+      if (isEven) {
+        const delta = (minLon + maxLon) / 2
+        if (bit === 1) {
+          minLon = delta
+        } else {
+          maxLon = delta
+        }
+      } else {
+        const delta = (minLat + maxLat) / 2
+        if (bit === 1) {
+          minLat = delta
+        } else {
+          maxLat = delta
+        }
+      }
+      isEven = !isEven
+    }
+  }
+  return [minLat, minLon, maxLat, maxLon]
+}
+const codecDecodeBoundingBox = (config, geohash) => {
+  const {maxGeohashPrecision} = config
+  if (!PrimitivesIsString(geohash)) {
+    throw new TypeError('The geohash must be a string')
+  }
+  const {length} = geohash
+  if (!length) {
+    throw new RangeError('The length of the geohash must be greater than zero')
+  }
+  if (length > maxGeohashPrecision) {
+    throw new RangeError(`The length of the geohash must be less than or equal to ${maxGeohashPrecision}`)
+  }
+  return _codecDecodeBoundingBox(config, geohash)
+}
+
+const codecDecode = (config, geohash, error) => {
+  const boundingBox = codecDecodeBoundingBox(config, geohash)
+  return boundingBoxToLocation(boundingBox, error)
+}
+
+const _codecGeohashToGeoint = (config, geohash) => {
+  const {base, alphabetLookup} = config
+  const {length} = geohash
+  let result = 0
+  for (let i = 0; i < length; i++) {
+    result = result * base + alphabetLookup[geohash[i]]
+  }
+  return result
+}
+
+const _codecGeointToGeohash = (config, geoint, precision) => {
+  const {alphabet, base} = config
+  let result = ''
+  for (let i = 0; i < precision; i++) {
+    const index = geoint % base
+    result = `${alphabet[index]}${result}`
+    geoint = (geoint - index) / base
+  }
+  return result
+}
+
+const _codecGeohashToGeobigint = (config, geohash) => {
+  const {base, alphabetLookup} = config
+  const {length} = geohash
+  const bigIntBase = BigInt(base)
+  let result = 0n
+  for (let i = 0; i < length; i++) {
+    result = result * bigIntBase + BigInt(alphabetLookup[geohash[i]])
+  }
+  return result
+}
+
+const _codecGeobigintToGeohash = (config, geobigint, precision) => {
+  const {bitsPerChar, alphabet, base} = config
+  const mask = BigInt(base - 1)
+  const shift = BigInt(bitsPerChar)
+  let result = ''
+  for (let i = 0; i < precision; i++) {
+    result = `${alphabet[Number(geobigint & mask)]}${result}`
+    geobigint >>= shift
+  }
+  return result
+}
+
+const codecGeohashToGrid = (config, geohash) => {
+  const {bitsPerChar, maxSafeGridPrecision, alphabetCodes, gridColumns, gridRows, gridCellXs, gridCellYs} = config
+  const {length} = geohash
+  if (length > maxSafeGridPrecision) {
+    return geobigintToGrid(_codecGeohashToGeobigint(config, geohash), length * bitsPerChar)
+  }
+  let x = 0
+  let y = 0
+  for (let i = 0; i < length; i++) {
+    const parity = codecGetCharParity(config, i)
+    const index = alphabetCodes[StringPrototypeCharCodeAt(geohash, i)]
+    x = x * gridColumns[parity] + gridCellXs[parity][index]
+    y = y * gridRows[parity] + gridCellYs[parity][index]
+  }
+  return [x, y]
+}
+
+const codecGridToGeohash = (config, x, y, precision) => {
+  const {bitsPerChar, gridColumns, gridRows, gridChars} = config
+  if (PrimitivesIsBigInt(x)) {
+    return _codecGeobigintToGeohash(config, gridToGeobigint(x, y, precision * bitsPerChar), precision)
+  }
+  let result = ''
+  for (let i = precision - 1; i >= 0; i--) {
+    const parity = codecGetCharParity(config, i)
+    const columns = gridColumns[parity]
+    const rows = gridRows[parity]
+    const cellX = x % columns
+    const cellY = y % rows
+    x = (x - cellX) / columns
+    y = (y - cellY) / rows
+    result = `${gridChars[parity][cellX * rows + cellY]}${result}`
+  }
+  return result
+}
+
+// Moves the geohash by one cell per direction, rewriting only the trailing characters the step carries into.
+// Returns null when the step crosses a pole.
+const codecShiftGeohash = (config, geohash, latDir, lonDir) => {
+  const {alphabetCodes, gridColumns, gridRows, gridCellXs, gridCellYs, gridChars} = config
+  let result = ''
+  let i = geohash.length - 1
+  for (; i >= 0 && (latDir || lonDir); i--) {
+    const parity = codecGetCharParity(config, i)
+    const index = alphabetCodes[StringPrototypeCharCodeAt(geohash, i)]
+    const columns = gridColumns[parity]
+    const rows = gridRows[parity]
+    let cellX = gridCellXs[parity][index] + lonDir
+    let cellY = gridCellYs[parity][index] + latDir
+    lonDir = cellX < 0 ? -1 : cellX >= columns ? 1 : 0
+    latDir = cellY < 0 ? -1 : cellY >= rows ? 1 : 0
+    cellX -= lonDir * columns
+    cellY -= latDir * rows
+    result = `${gridChars[parity][cellX * rows + cellY]}${result}`
+  }
+  if (latDir) {
+    return null
+  }
+  return `${StringPrototypeSlice(geohash, 0, i + 1)}${result}`
+}
+
+const codecGetGeohashNeighbor = (config, geohash, direction, poles) => {
+  const [latDir, lonDir] = directionLookup[direction]
+  const neighbor = codecShiftGeohash(config, geohash, latDir, lonDir)
+  if (neighbor !== null || poles === 'clip') {
+    return neighbor
+  }
+  const {length} = geohash
+  const [x, y] = codecGeohashToGrid(config, geohash)
+  const [columns, rows] = codecGetGridSize(config, length)
+  const [neighborX, neighborY] = getGridNeighbor(x, y, columns, rows, direction, poles)
+  return codecGridToGeohash(config, neighborX, neighborY, length)
+}
+
+const codecGetNeighbor = (config, geohash, direction, options) => {
+  validateDirection(direction)
+  const poles = toPoles(options)
+  codecValidateGeohash(config, geohash)
+  return codecGetGeohashNeighbor(config, geohash, direction, poles)
+}
+
+const codecGetNeighbors = (config, geohash, options) => {
+  const poles = toPoles(options)
+  codecValidateGeohash(config, geohash)
+  return {
+    north: codecGetGeohashNeighbor(config, geohash, 'north', poles),
+    northeast: codecGetGeohashNeighbor(config, geohash, 'northeast', poles),
+    east: codecGetGeohashNeighbor(config, geohash, 'east', poles),
+    southeast: codecGetGeohashNeighbor(config, geohash, 'southeast', poles),
+    south: codecGetGeohashNeighbor(config, geohash, 'south', poles),
+    southwest: codecGetGeohashNeighbor(config, geohash, 'southwest', poles),
+    west: codecGetGeohashNeighbor(config, geohash, 'west', poles),
+    northwest: codecGetGeohashNeighbor(config, geohash, 'northwest', poles)
+  }
+}
+
+const codecGetRing = (config, geohash, k) => {
+  k = toRingDistance(k)
+  codecValidateGeohash(config, geohash)
+  const {length} = geohash
+  const [x, y] = codecGeohashToGrid(config, geohash)
+  return pushRing([], ObjectCreate(null), x, y, codecGetGridSize(config, length), k,
+    (neighborX, neighborY) => codecGridToGeohash(config, neighborX, neighborY, length))
+}
+
+const codecGetDisk = (config, geohash, k) => {
+  k = toRingDistance(k)
+  codecValidateGeohash(config, geohash)
+  const {length} = geohash
+  const [x, y] = codecGeohashToGrid(config, geohash)
+  return pushDisk([], ObjectCreate(null), x, y, codecGetGridSize(config, length), k,
+    (neighborX, neighborY) => codecGridToGeohash(config, neighborX, neighborY, length))
+}
+
+const codecToGridCoordinates = (config, geohash) => {
+  const {bitsPerChar} = config
+  codecValidateBinary(config)
+  codecValidateGeohash(config, geohash)
+  const [x, y] = codecGeohashToGrid(config, geohash)
+  return createGridCoordinates(x, y, geohash.length * bitsPerChar)
+}
+
+const codecFromGridCoordinates = (config, x, y, latBits, lonBits) => {
+  const {bitsPerChar, maxGeohashPrecisionBits, maxSafeGridPrecision} = config
+  codecValidateBinary(config)
+  const bits = toGridBits(latBits, lonBits, maxGeohashPrecisionBits)
+  if (bits % bitsPerChar) {
+    throw new RangeError(`The bits must be a multiple of ${bitsPerChar}`)
+  }
+  const precision = bits / bitsPerChar
+  if (precision > maxSafeGridPrecision) {
+    x = toGridBigIntCoordinate(x, MathCeil(bits / 2), 'x')
+    y = toGridBigIntCoordinate(y, MathFloor(bits / 2), 'y')
+  } else {
+    x = toGridCoordinate(x, MathCeil(bits / 2), 'x')
+    y = toGridCoordinate(y, MathFloor(bits / 2), 'y')
+  }
+  return codecGridToGeohash(config, x, y, precision)
+}
+
+const codecToTranscodingBits = (config, bits) => {
+  const {bitsPerChar} = config
+  if (bits % bitsPerChar) {
+    throw new RangeError(`The bits must be a multiple of ${bitsPerChar}`)
+  }
+  return bits
+}
+
+const codecGeohashToGeoint = (config, geohash) => {
+  const {bitsPerChar, maxGeointPrecision} = config
+  codecValidateBinary(config)
+  codecValidateGeohash(config, geohash)
+  const {length} = geohash
+  if (length > maxGeointPrecision) {
+    throw new RangeError(`The geohash length must be less than or equal to ${maxGeointPrecision}`)
+  }
+  return [_codecGeohashToGeoint(config, geohash), length * bitsPerChar]
+}
+
+const codecGeohashToGeobigint = (config, geohash) => {
+  const {bitsPerChar} = config
+  codecValidateBinary(config)
+  codecValidateGeohash(config, geohash)
+  return [_codecGeohashToGeobigint(config, geohash), geohash.length * bitsPerChar]
+}
+
+const codecGeointToGeohash = (config, geoint, bits) => {
+  const {bitsPerChar} = config
+  codecValidateBinary(config)
+  bits = codecToTranscodingBits(config, toGeointBits(bits))
+  geoint = toGeointWithBits(geoint, bits)
+  return _codecGeointToGeohash(config, geoint, bits / bitsPerChar)
+}
+
+const codecGeobigintToGeohash = (config, geobigint, bits) => {
+  const {bitsPerChar} = config
+  codecValidateBinary(config)
+  bits = codecToTranscodingBits(config, toGeobigintBits(bits))
+  geobigint = toGeobigintWithBits(geobigint, bits)
+  return _codecGeobigintToGeohash(config, geobigint, bits / bitsPerChar)
+}
+
+const codecGetParent = (config, geohash) => {
+  codecValidateGeohash(config, geohash)
+  const {length} = geohash
+  return length > 1 ? StringPrototypeSlice(geohash, 0, length - 1) : null
+}
+
+const codecGetChildren = (config, geohash) => {
+  const {alphabet, maxGeohashPrecision, base} = config
+  codecValidateGeohash(config, geohash)
+  if (geohash.length === maxGeohashPrecision) {
+    throw new RangeError(`The length of the geohash must be less than ${maxGeohashPrecision}`)
+  }
+  const result = []
+  for (let i = 0; i < base; i++) {
+    ArrayPrototypePush(result, `${geohash}${alphabet[i]}`)
+  }
+  return result
+}
+
+const codecGetAncestors = (config, geohash) => {
+  codecValidateGeohash(config, geohash)
+  const result = []
+  for (let length = geohash.length - 1; length > 0; length--) {
+    ArrayPrototypePush(result, StringPrototypeSlice(geohash, 0, length))
+  }
+  return result
+}
+
+function* codecDescendantsGenerator(config, geohash, precision) {
+  codecValidateGeohash(config, geohash)
+  precision = codecToGeohashPrecision(config, precision)
+  const {length} = geohash
+  if (precision < length) {
+    throw new RangeError('The precision must be greater than or equal to the length of the geohash')
+  }
+  yield* new SafeGenerator(codecGeohashSuffixesGenerator(config, geohash, 0, 0, precision))
+}
+const codecGetDescendants = (config, geohash, precision) =>
+  new SafeGenerator(codecDescendantsGenerator(config, geohash, precision))
+
+const codecIsAncestorOf = (config, ancestor, geohash) => {
+  codecValidateGeohash(config, ancestor)
+  codecValidateGeohash(config, geohash)
+  const {length} = ancestor
+  return length < geohash.length && StringPrototypeSlice(geohash, 0, length) === ancestor
+}
+
+const codecContains = (config, geohash, latitude, longitude) => {
+  codecValidateGeohash(config, geohash)
+  latitude = toLatitude(latitude)
+  longitude = toLongitude(longitude)
+  return _codecEncode(config, latitude, longitude, geohash.length) === geohash
+}
+
+const codecGetBoundingBoxesRange = (config, minLat, minLon, maxLat, maxLon, precision) => {
+  const southwest = _codecEncode(config, minLat, minLon, precision)
+  const [southwestX, southwestY] = codecGeohashToGrid(config, southwest)
+  const [northeastX, northeastY] = codecGeohashToGrid(config, _codecEncode(config, maxLat, maxLon, precision))
+  const [columns] = codecGetGridSize(config, precision)
+  let lonLength = northeastX - southwestX
+  if (minLon > maxLon) {
+    lonLength = lonLength < 0 ? lonLength + columns : columns - (PrimitivesIsBigInt(columns) ? 1n : 1)
+  }
+  return [southwest, northeastY - southwestY, lonLength]
+}
+
+function* _codecBoundingBoxesGenerator(config, minLat, minLon, maxLat, maxLon, precision) {
+  const [southwest, latLength, lonLength] =
+    codecGetBoundingBoxesRange(config, minLat, minLon, maxLat, maxLon, precision)
+  const zero = PrimitivesIsBigInt(latLength) ? 0n : 0
+  let rowStart = southwest
+  for (let j = zero; j <= latLength; j++) {
+    if (j > zero) {
+      rowStart = codecShiftGeohash(config, rowStart, 1, 0)
+    }
+    let geohash = rowStart
+    yield geohash
+    for (let i = zero; i < lonLength; i++) {
+      geohash = codecShiftGeohash(config, geohash, 0, 1)
+      yield geohash
+    }
+  }
+}
+
+const codecGetBoundingBoxes = (config, minLat, minLon, maxLat, maxLon, precision) => {
+  precision = codecToGeohashPrecision(config, precision)
+  minLat = toLatitude(minLat)
+  minLon = toLongitude(minLon)
+  maxLat = toLatitude(maxLat)
+  maxLon = toLongitude(maxLon)
+  const [southwest, latLength, lonLength] =
+    codecGetBoundingBoxesRange(config, minLat, minLon, maxLat, maxLon, precision)
+  const zero = PrimitivesIsBigInt(latLength) ? 0n : 0
+  const result = []
+  let rowStart = southwest
+  for (let j = zero; j <= latLength; j++) {
+    if (j > zero) {
+      rowStart = codecShiftGeohash(config, rowStart, 1, 0)
+    }
+    let geohash = rowStart
+    ArrayPrototypePush(result, geohash)
+    for (let i = zero; i < lonLength; i++) {
+      geohash = codecShiftGeohash(config, geohash, 0, 1)
+      ArrayPrototypePush(result, geohash)
+    }
+  }
+  return result
+}
+
+function* codecBoundingBoxesGenerator(config, minLat, minLon, maxLat, maxLon, precision) {
+  precision = codecToGeohashPrecision(config, precision)
+  minLat = toLatitude(minLat)
+  minLon = toLongitude(minLon)
+  maxLat = toLatitude(maxLat)
+  maxLon = toLongitude(maxLon)
+  yield* new SafeGenerator(_codecBoundingBoxesGenerator(config, minLat, minLon, maxLat, maxLon, precision))
+}
+const codecBoundingBoxesSafeGenerator = (config, minLat, minLon, maxLat, maxLon, precision) =>
+  new SafeGenerator(codecBoundingBoxesGenerator(config, minLat, minLon, maxLat, maxLon, precision))
+
+function* codecGeohashSuffixesGenerator(config, geohash, carry, carryBits, precision) {
+  const {bitsPerChar, alphabet, base} = config
+  if (carryBits) {
+    const shift = bitsPerChar - carryBits
+    const start = carry << shift
+    const end = start + (1 << shift)
+    for (let index = start; index < end; index++) {
+      yield* codecGeohashSuffixesGenerator(config, `${geohash}${alphabet[index]}`, 0, 0, precision)
+    }
+  } else if (geohash.length < precision) {
+    for (let index = 0; index < base; index++) {
+      yield* codecGeohashSuffixesGenerator(config, `${geohash}${alphabet[index]}`, 0, 0, precision)
+    }
+  } else {
+    yield geohash
+  }
+}
+
+function* codecGridRegionGeohashesGenerator(config, relate, match, precision) {
+  const {alphabet, base, gridColumns, gridRows, gridCellXs, gridCellYs} = config
+  const stack = [['', 0, 0, 1, 1]]
+  while (stack.length) {
+    const [geohash, x, y, columns, rows] = ArrayPrototypePop(stack)
+    const [minLat, minLon, maxLat, maxLon] = gridCellToBoundingBox(x, y, columns, rows)
+    const relation = relate(minLat, minLon, maxLat, maxLon)
+    if (relation === REGION_RELATION_WITHIN) {
+      yield* codecGeohashSuffixesGenerator(config, geohash, 0, 0, precision)
+    } else if (geohash.length === precision) {
+      if (relation === REGION_RELATION_INTERSECTS && match(minLat, minLon, maxLat, maxLon)) {
+        yield geohash
+      }
+    } else if (relation === REGION_RELATION_INTERSECTS) {
+      const parity = codecGetCharParity(config, geohash.length)
+      const charColumns = gridColumns[parity]
+      const charRows = gridRows[parity]
+      for (let index = base - 1; index >= 0; index--) {
+        ArrayPrototypePush(stack, [
+          `${geohash}${alphabet[index]}`,
+          x * charColumns + gridCellXs[parity][index],
+          y * charRows + gridCellYs[parity][index],
+          columns * charColumns,
+          rows * charRows
+        ])
+      }
+    }
+  }
+}
+
+function* codecRegionGeohashesGenerator(config, relate, match, precision) {
+  const {bitsPerChar, alphabet} = config
+  if (bitsPerChar === null) {
+    yield* codecGridRegionGeohashesGenerator(config, relate, match, precision)
+    return
+  }
+  const bits = precision * bitsPerChar
+  const stack = [['', 0, 0, 0, MIN_LATITUDE, MIN_LONGITUDE, MAX_LATITUDE, MAX_LONGITUDE]]
+  while (stack.length) {
+    const [geohash, carry, carryBits, bitCount, minLat, minLon, maxLat, maxLon] = ArrayPrototypePop(stack)
+    const relation = relate(minLat, minLon, maxLat, maxLon)
+    if (relation === REGION_RELATION_WITHIN) {
+      yield* codecGeohashSuffixesGenerator(config, geohash, carry, carryBits, precision)
+    } else if (bitCount === bits) {
+      if (relation === REGION_RELATION_INTERSECTS && match(minLat, minLon, maxLat, maxLon)) {
+        yield geohash
+      }
+    } else if (relation === REGION_RELATION_INTERSECTS) {
+      const nextBitCount = bitCount + 1
+      const isCharEnd = carryBits + 1 === bitsPerChar
+      for (let bit = 1; bit >= 0; bit--) {
+        const nextCarry = carry * 2 + bit
+        const nextGeohash = isCharEnd ? `${geohash}${alphabet[nextCarry]}` : geohash
+        let nextMinLat = minLat
+        let nextMinLon = minLon
+        let nextMaxLat = maxLat
+        let nextMaxLon = maxLon
+        if (bitCount % 2 === 0) {
+          const delta = (minLon + maxLon) / 2
+          if (bit === 1) {
+            nextMinLon = delta
+          } else {
+            nextMaxLon = delta
+          }
+        } else {
+          const delta = (minLat + maxLat) / 2
+          if (bit === 1) {
+            nextMinLat = delta
+          } else {
+            nextMaxLat = delta
+          }
+        }
+        ArrayPrototypePush(stack, [
+          nextGeohash,
+          isCharEnd ? 0 : nextCarry,
+          isCharEnd ? 0 : carryBits + 1,
+          nextBitCount,
+          nextMinLat,
+          nextMinLon,
+          nextMaxLat,
+          nextMaxLon
+        ])
+      }
+    }
+  }
+}
+
+const codecGetPolygonGeohashes = (config, polygon, precision, options) => {
+  precision = codecToGeohashPrecision(config, precision)
+  const mode = toPolygonMode(options)
+  const polygons = toPolygons(polygon)
+  const relate = createPolygonsRelation(polygons)
+  const match = createPolygonsCellMatcher(polygons, mode)
+  const result = []
+  for (const geohash of new SafeGenerator(codecRegionGeohashesGenerator(config, relate, match, precision))) {
+    ArrayPrototypePush(result, geohash)
+  }
+  return result
+}
+
+function* codecPolygonGeohashesGenerator(config, polygon, precision, options) {
+  precision = codecToGeohashPrecision(config, precision)
+  const mode = toPolygonMode(options)
+  const polygons = toPolygons(polygon)
+  const relate = createPolygonsRelation(polygons)
+  const match = createPolygonsCellMatcher(polygons, mode)
+  yield* new SafeGenerator(codecRegionGeohashesGenerator(config, relate, match, precision))
+}
+const codecPolygonGeohashesSafeGenerator = (config, polygon, precision, options) =>
+  new SafeGenerator(codecPolygonGeohashesGenerator(config, polygon, precision, options))
+
+const codecToGeohashes = (config, value) => {
+  if (!ArrayIsArray(value)) {
+    throw new TypeError('The geohashes must be an array')
+  }
+  ArrayPrototypeForEach(value, geohash => codecValidateGeohash(config, geohash))
+  return value
+}
+
+const _codecCompactGeohashes = (config, geohashes, minLength) => {
+  const {base} = config
+  const lookup = ObjectCreate(null)
+  let maxLength = 0
+  ArrayPrototypeForEach(geohashes, geohash => {
+    lookup[geohash] = true
+    maxLength = MathMax(maxLength, geohash.length)
+  })
+  const levels = []
+  for (let length = 0; length <= maxLength; length++) {
+    ArrayPrototypePush(levels, [])
+  }
+  for (const geohash in lookup) {
+    let isCovered = false
+    for (let length = 1; length < geohash.length; length++) {
+      if (lookup[StringPrototypeSlice(geohash, 0, length)] !== undefined) {
+        isCovered = true
+        break
+      }
+    }
+    if (!isCovered) {
+      ArrayPrototypePush(levels[geohash.length], geohash)
+    }
+  }
+  const result = []
+  for (let length = maxLength; length > 0; length--) {
+    const childCountLookup = ObjectCreate(null)
+    const parentLookup = ObjectCreate(null)
+    ArrayPrototypeForEach(levels[length], geohash => {
+      const parent = StringPrototypeSlice(geohash, 0, -1)
+      childCountLookup[parent] = (childCountLookup[parent] || 0) + 1
+    })
+    ArrayPrototypeForEach(levels[length], geohash => {
+      const parent = StringPrototypeSlice(geohash, 0, -1)
+      if (length <= minLength || childCountLookup[parent] !== base) {
+        ArrayPrototypePush(result, geohash)
+      } else if (parentLookup[parent] === undefined) {
+        ArrayPrototypePush(levels[length - 1], parent)
+        parentLookup[parent] = true
+      }
+    })
+  }
+  return ArrayPrototypeSort(result)
+}
+const codecCompactGeohashes = (config, geohashes) =>
+  _codecCompactGeohashes(config, codecToGeohashes(config, geohashes), 1)
+
+const _codecUncompactGeohashes = (config, geohashes, precision) => {
+  const lookup = ObjectCreate(null)
+  const result = []
+  ArrayPrototypeForEach(geohashes, geohash => {
+    if (geohash.length > precision) {
+      throw new RangeError('The length of the geohash must be less than or equal to the precision')
+    }
+    for (const descendant of new SafeGenerator(codecGeohashSuffixesGenerator(config, geohash, 0, 0, precision))) {
+      if (lookup[descendant] === undefined) {
+        ArrayPrototypePush(result, descendant)
+        lookup[descendant] = true
+      }
+    }
+  })
+  return ArrayPrototypeSort(result)
+}
+const codecUncompactGeohashes = (config, geohashes, precision) => {
+  precision = codecToGeohashPrecision(config, precision)
+  geohashes = codecToGeohashes(config, geohashes)
+  return _codecUncompactGeohashes(config, geohashes, precision)
+}
+
+const _codecGetBoundingBoxQuery = (config, geohash, bits) => {
+  const {bitsPerChar, alphabet, base, alphabetLookup} = config
+  const {length} = geohash
+  const precision = MathCeil(bits / bitsPerChar)
+  if (length < precision) {
+    return [geohash, `${geohash}${LIMITER_CHAR}`]
+  }
+  const lastIndex = precision - 1
+  const lastChar = geohash[lastIndex]
+  const lastCharIndex = alphabetLookup[lastChar]
+  const result = StringPrototypeSlice(geohash, 0, lastIndex)
+  const significantBits = bits - lastIndex * bitsPerChar
+  const shift = bitsPerChar - significantBits
+  const startLastCharIndex = (lastCharIndex >> shift) << shift
+  const endLastCharIndex = startLastCharIndex + (1 << shift)
+  const startLastChar = alphabet[startLastCharIndex]
+  const endLastChar = endLastCharIndex >= base ? LIMITER_CHAR : alphabet[endLastCharIndex]
+  return [`${result}${startLastChar}`, `${result}${endLastChar}`]
+}
+const codecGetBoundingBoxQuery = (config, geohash, bits) => {
+  codecValidateBinary(config)
+  bits = codecToGeohashPrecisionBits(config, bits)
+  codecValidateGeohash(config, geohash)
+  return _codecGetBoundingBoxQuery(config, geohash, bits)
+}
+
+const codecGetBoundingCircleQueries = (config, latitude, longitude, radius) => {
+  const {bitsPerChar, maxGeohashPrecisionBits} = config
+  codecValidateBinary(config)
+  latitude = toLatitude(latitude)
+  longitude = toLongitude(longitude)
+  radius = toRadius(radius)
+  const bits = MathMin(MathMax(1, _getBoundingBoxBits(latitude, longitude, radius)), maxGeohashPrecisionBits)
+  const precision = MathCeil(bits / bitsPerChar)
+  const points = _getBoundingCirclePoints(latitude, longitude, radius)
+  const result = []
+  const uniqueQueriesLookup = ObjectCreate(null)
+  ArrayPrototypeForEach(points, ([pointLat, pointLon], index) => {
+    const geohash = _codecEncode(config, pointLat, pointLon, precision)
+    const boundingBoxQuery = _codecGetBoundingBoxQuery(config, geohash, bits)
+    const [startQuery, endQuery] = boundingBoxQuery
+    const key = `${startQuery},${endQuery}`
+    if (uniqueQueriesLookup[key] === undefined) {
+      ArrayPrototypePush(result, boundingBoxQuery)
+      uniqueQueriesLookup[key] = index
+    }
+  })
+  return result
+}
+
+const codecGetGeohashSuccessor = (config, geohash) => {
+  const {alphabet, base, alphabetLookup} = config
+  const {length} = geohash
+  let index = length - 1
+  while (index >= 0 && alphabetLookup[geohash[index]] === base - 1) {
+    index--
+  }
+  if (index < 0) {
+    return null
+  }
+  const prefix = StringPrototypeSlice(geohash, 0, index)
+  const char = alphabet[alphabetLookup[geohash[index]] + 1]
+  return `${prefix}${char}${StringPrototypeRepeat(alphabet[0], length - index - 1)}`
+}
+
+const codecGetGeohashQueryEnd = (config, geohash) => {
+  const {alphabet, base, alphabetLookup} = config
+  const lastIndex = geohash.length - 1
+  const endCharIndex = alphabetLookup[geohash[lastIndex]] + 1
+  const endChar = endCharIndex < base ? alphabet[endCharIndex] : LIMITER_CHAR
+  return `${StringPrototypeSlice(geohash, 0, lastIndex)}${endChar}`
+}
+
+const codecGetGeohashesQueries = (config, geohashes) => {
+  const result = []
+  let start = null
+  let end = null
+  let successor = null
+  ArrayPrototypeForEach(geohashes, geohash => {
+    if (geohash !== successor) {
+      if (start !== null) {
+        ArrayPrototypePush(result, [start, codecGetGeohashQueryEnd(config, end)])
+      }
+      start = geohash
+    }
+    end = geohash
+    successor = codecGetGeohashSuccessor(config, geohash)
+  })
+  if (start !== null) {
+    ArrayPrototypePush(result, [start, codecGetGeohashQueryEnd(config, end)])
+  }
+  return result
+}
+
+const _codecGetCircleGeohashes = (config, latitude, longitude, radius, precision) => {
+  const relate = createCircleRelation(latitude, longitude, radius)
+  const result = []
+  const generator = codecRegionGeohashesGenerator(config, relate, matchIntersectingCell, precision)
+  for (const geohash of new SafeGenerator(generator)) {
+    ArrayPrototypePush(result, geohash)
+  }
+  return result
+}
+const codecGetCircleGeohashes = (config, latitude, longitude, radius, precision) => {
+  precision = codecToGeohashPrecision(config, precision)
+  latitude = toLatitude(latitude)
+  longitude = toLongitude(longitude)
+  radius = toRadius(radius)
+  return _codecGetCircleGeohashes(config, latitude, longitude, radius, precision)
+}
+
+const codecGetCircleQueries = (config, latitude, longitude, radius, precision) => {
+  codecValidateBinary(config)
+  precision = codecToGeohashPrecision(config, precision)
+  latitude = toLatitude(latitude)
+  longitude = toLongitude(longitude)
+  radius = toRadius(radius)
+  return codecGetGeohashesQueries(config, _codecGetCircleGeohashes(config, latitude, longitude, radius, precision))
+}
+
+const codecGetCovering = (config, relate, minPrecision, maxPrecision, maxCells, levelMod, isInterior) => {
+  const {alphabet, base} = config
+  const result = []
+  const queue = []
+  const createCandidate = geohash => {
+    const [minLat, minLon, maxLat, maxLon] = _codecDecodeBoundingBox(config, geohash)
+    const relation = relate(minLat, minLon, maxLat, maxLon)
+    if (relation === REGION_RELATION_DISJOINT) {
+      return null
+    }
+    const {length} = geohash
+    let isTerminal = false
+    if (length >= minPrecision) {
+      if (relation === REGION_RELATION_WITHIN) {
+        isTerminal = true
+      } else if (length + levelMod > maxPrecision) {
+        if (isInterior) {
+          return null
+        }
+        isTerminal = true
+      }
+    }
+    return {
+      geohash,
+      isTerminal,
+      children: [],
+      terminalCount: 0
+    }
+  }
+  const expandChildren = (candidate, geohash, levels) => {
+    for (let index = 0; index < base; index++) {
+      const child = `${geohash}${alphabet[index]}`
+      if (levels > 1) {
+        const [minLat, minLon, maxLat, maxLon] = _codecDecodeBoundingBox(config, child)
+        if (relate(minLat, minLon, maxLat, maxLon) !== REGION_RELATION_DISJOINT) {
+          expandChildren(candidate, child, levels - 1)
+        }
+      } else {
+        const childCandidate = createCandidate(child)
+        if (childCandidate) {
+          ArrayPrototypePush(candidate.children, childCandidate)
+          if (childCandidate.isTerminal) {
+            candidate.terminalCount++
+          }
+        }
+      }
+    }
+  }
+  const addCandidate = candidate => {
+    if (candidate.isTerminal) {
+      ArrayPrototypePush(result, candidate.geohash)
+      return
+    }
+    const {length} = candidate.geohash
+    const levels = length < minPrecision ? 1 : levelMod
+    expandChildren(candidate, candidate.geohash, levels)
+    if (!candidate.children.length) {
+      return
+    }
+    if (!isInterior && length >= minPrecision && candidate.terminalCount === base ** levels) {
+      candidate.isTerminal = true
+      ArrayPrototypePush(result, candidate.geohash)
+      return
+    }
+    ArrayPrototypePush(queue, candidate)
+  }
+  const root = createCandidate('')
+  if (root) {
+    addCandidate(root)
+  }
+  while (queue.length && (!isInterior || result.length < maxCells)) {
+    let index = 0
+    for (let i = 1; i < queue.length; i++) {
+      if (compareCoveringCandidates(queue[i], queue[index]) < 0) {
+        index = i
+      }
+    }
+    const [candidate] = ArrayPrototypeSplice(queue, index, 1)
+    const {children} = candidate
+    if (isInterior || candidate.geohash.length < minPrecision || children.length === 1 ||
+      result.length + queue.length + children.length <= maxCells) {
+      ArrayPrototypeForEach(children, child => {
+        if (!isInterior || result.length < maxCells) {
+          addCandidate(child)
+        }
+      })
+    } else {
+      ArrayPrototypePush(result, candidate.geohash)
+    }
+  }
+  return levelMod === 1 ? _codecCompactGeohashes(config, result, minPrecision) : ArrayPrototypeSort(result)
+}
+
+const codecCreateCoverer = (config, options) => {
+  if (options === undefined) {
+    options = {}
+  } else if (!TypesIsObject(options)) {
+    throw new TypeError('The options must be an object')
+  }
+  const minPrecision = options.minPrecision === undefined ? COVERER_MIN_PRECISION :
+    codecToGeohashPrecision(config, options.minPrecision)
+  const levelMod = toLevelMod(options.levelMod)
+  const maxCells = toMaxCells(options.maxCells)
+  let maxPrecision = codecToGeohashPrecision(config, options.maxPrecision)
+  if (minPrecision > maxPrecision) {
+    throw new RangeError('The minimum precision must be less than or equal to the maximum precision')
+  }
+  maxPrecision = minPrecision + MathFloor((maxPrecision - minPrecision) / levelMod) * levelMod
+  const cover = region =>
+    codecGetCovering(config, toRegion(region), minPrecision, maxPrecision, maxCells, levelMod, false)
+  const interiorCover = region =>
+    codecGetCovering(config, toRegion(region), minPrecision, maxPrecision, maxCells, levelMod, true)
+  const coverer = {}
+  ObjectDefineProperties(coverer, {
+    minPrecision: {
+      value: minPrecision
+    },
+    maxPrecision: {
+      value: maxPrecision
+    },
+    maxCells: {
+      value: maxCells
+    },
+    levelMod: {
+      value: levelMod
+    },
+    cover: {
+      value: cover
+    },
+    interiorCover: {
+      value: interiorCover
+    },
+    [SymbolToStringTag]: {
+      value: 'GeohashCoverer'
+    }
+  })
+  return coverer
+}
+
+const codecGeohashesForTile = (config, zoom, x, y, precision) => {
+  precision = codecToGeohashPrecision(config, precision)
+  zoom = toTileZoom(zoom)
+  x = toTileCoordinate(x, zoom, 'x')
+  y = toTileCoordinate(y, zoom, 'y')
+  return getBoundingBoxGridCells(_tileToBoundingBox(zoom, x, y), codecGetGridSize(config, precision),
+    (cellX, cellY) => codecGridToGeohash(config, cellX, cellY, precision))
+}
+
+const codecTilesForGeohash = (config, geohash, zoom) => {
+  zoom = toTileZoom(zoom)
+  codecValidateGeohash(config, geohash)
+  const [minLat, minLon, maxLat, maxLon] = _codecDecodeBoundingBox(config, geohash)
+  return _boundingBoxToTiles(minLat, minLon, maxLat, maxLon, zoom)
+}
+
+const codecGetPlusCodeGeohashes = (config, code, precision) => {
+  precision = codecToGeohashPrecision(config, precision)
+  const boundingBox = decodePlusCodeBoundingBox(code)
+  return getBoundingBoxGridCells(boundingBox, codecGetGridSize(config, precision),
+    (x, y) => codecGridToGeohash(config, x, y, precision))
+}
+
+const codecGeohashesForMaidenhead = (config, locator, precision) => {
+  precision = codecToGeohashPrecision(config, precision)
+  const boundingBox = decodeMaidenheadBoundingBox(locator)
+  return getBoundingBoxGridCells(boundingBox, codecGetGridSize(config, precision),
+    (x, y) => codecGridToGeohash(config, x, y, precision))
+}
+
+const codecMaidenheadsForGeohash = (config, geohash, pairs) => {
+  pairs = toMaidenheadPairs(pairs)
+  codecValidateGeohash(config, geohash)
+  const [minLat, minLon, maxLat, maxLon] = _codecDecodeBoundingBox(config, geohash)
+  return _boundingBoxToMaidenheads(minLat, minLon, maxLat, maxLon, pairs)
+}
+
+const codecGeohashesForS2Cell = (config, id, precision) => {
+  precision = codecToGeohashPrecision(config, precision)
+  const boundingBox = s2CellBoundingBox(id)
+  return getBoundingBoxGridCells(boundingBox, codecGetGridSize(config, precision),
+    (x, y) => codecGridToGeohash(config, x, y, precision))
+}
+
+const codecS2CellsForGeohash = (config, geohash, level) => {
+  level = toS2Level(level)
+  codecValidateGeohash(config, geohash)
+  const [minLat, minLon, maxLat, maxLon] = _codecDecodeBoundingBox(config, geohash)
+  return _boundingBoxToS2Cells(minLat, minLon, maxLat, maxLon, level)
+}
+
+const codecPartitionByDensity = (config, points, options) => {
+  const {alphabet, base, alphabetLookup} = config
+  options = toPartitionOptions(options)
+  const minPrecision = options.minPrecision === undefined ? PARTITION_MIN_LEVEL :
+    codecToGeohashPrecision(config, options.minPrecision)
+  const maxPrecision = codecToGeohashPrecision(config, options.maxPrecision)
+  if (minPrecision > maxPrecision) {
+    throw new RangeError('The minimum precision must be less than or equal to the maximum precision')
+  }
+  const maxPointsPerCell = toMaxPointsPerCell(options.maxPointsPerCell)
+  points = toPoints(points)
+  const keys = ArrayPrototypeMap(points, ([latitude, longitude]) =>
+    _codecEncode(config, latitude, longitude, maxPrecision))
+  return partitionByDensityCells({
+    minLevel: minPrecision,
+    maxLevel: maxPrecision,
+    maxPointsPerCell,
+    base,
+    getBranch: (geohash, precision) => alphabetLookup[geohash[precision]],
+    getChild: (geohash, index) => `${geohash}${alphabet[index]}`
+  }, '', keys)
+}
+
+const codecValidateGeohashPrefix = (config, value) => {
+  if (value !== '') {
+    codecValidateGeohash(config, value)
+  }
+}
+
+class CodecGeohashTrie {
+  constructor(config) {
+    this[configSymbol] = config
+    this[rootSymbol] = createTrieNode()
+  }
+
+  get size() {
+    return this[rootSymbol].count
+  }
+
+  add(geohash, value) {
+    codecValidateGeohash(this[configSymbol], geohash)
+    value = toTrieValue(value)
+    let node = this[rootSymbol]
+    addTrieNodeValue(node, value)
+    const {length} = geohash
+    for (let i = 0; i < length; i++) {
+      const char = geohash[i]
+      let child = node.children[char]
+      if (child === undefined) {
+        child = createTrieNode()
+        node.children[char] = child
+      }
+      addTrieNodeValue(child, value)
+      node = child
+    }
+    return this
+  }
+
+  get(prefix) {
+    codecValidateGeohashPrefix(this[configSymbol], prefix)
+    const node = getTrieNode(this[rootSymbol], prefix)
+    return node === null ? null : getTrieNodeAggregate(node)
+  }
+
+  children(prefix) {
+    const config = this[configSymbol]
+    codecValidateGeohashPrefix(config, prefix)
+    const node = getTrieNode(this[rootSymbol], prefix)
+    const result = []
+    if (node !== null) {
+      for (let i = 0; i < config.base; i++) {
+        const char = config.alphabet[i]
+        const child = node.children[char]
+        if (child !== undefined) {
+          ArrayPrototypePush(result, [`${prefix}${char}`, getTrieNodeAggregate(child)])
+        }
+      }
+    }
+    return result
+  }
+
+  entriesAtPrecision(precision) {
+    precision = codecToGeohashPrecision(this[configSymbol], precision)
+    const result = []
+    codecCollectTrieEntries(this[configSymbol], this[rootSymbol], '', precision, result)
+    return result
+  }
+
+  topK(precision, k, options) {
+    precision = codecToGeohashPrecision(this[configSymbol], precision)
+    k = toTopCount(k)
+    const aggregate = toTrieAggregate(options)
+    const entries = this.entriesAtPrecision(precision)
+    ArrayPrototypeSort(entries, (a, b) => b[1][aggregate] - a[1][aggregate])
+    ArrayPrototypeSplice(entries, k)
+    return entries
+  }
+
+  clear() {
+    this[rootSymbol] = createTrieNode()
+  }
+}
+ObjectDefineProperties(CodecGeohashTrie.prototype, {
+  [SymbolToStringTag]: {
+    value: 'GeohashTrie'
+  }
+})
+
+const getTrieNode = (root, prefix) => {
+  let node = root
+  const {length} = prefix
+  for (let i = 0; i < length && node !== undefined; i++) {
+    node = node.children[prefix[i]]
+  }
+  return node === undefined ? null : node
+}
+
+const codecCollectTrieEntries = (config, node, geohash, precision, result) => {
+  const {alphabet, base} = config
+  if (geohash.length === precision) {
+    ArrayPrototypePush(result, [geohash, getTrieNodeAggregate(node)])
+    return
+  }
+  for (let i = 0; i < base; i++) {
+    const char = alphabet[i]
+    const child = node.children[char]
+    if (child !== undefined) {
+      codecCollectTrieEntries(config, child, `${geohash}${char}`, precision, result)
+    }
+  }
+}
+
+const codecCreateShardRouter = (config, options) => {
+  const {bitsPerChar} = config
+  codecValidateBinary(config)
+  if (!TypesIsObject(options)) {
+    throw new TypeError('The options must be an object')
+  }
+  const shards = toShards(options.shards)
+  const precision = codecToGeohashPrecision(config, options.precision)
+  const strategy = toShardStrategy(options.strategy)
+  const shardCount = shards.length
+  const shardIndexes = new SafeMap()
+  ArrayPrototypeForEach(shards, (shard, index) => {
+    shardIndexes.set(shard, index)
+  })
+  const bits = precision * bitsPerChar
+  const cellCount = 2n ** BigInt(bits)
+  let rangeStarts = []
+  let rangeShards = []
+
+  const toCellIndex = (geohash, isEnd) => {
+    let {length} = geohash
+    let offset = 0n
+    if (geohash[length - 1] === LIMITER_CHAR) {
+      length--
+      offset = 1n
+    }
+    const value = _codecGeohashToGeobigint(config, StringPrototypeSlice(geohash, 0, length)) + offset
+    const shift = length * bitsPerChar - bits
+    if (shift <= 0) {
+      return value << BigInt(-shift)
+    }
+    const scale = BigInt(shift)
+    return isEnd ? (value + (1n << scale) - 1n) >> scale : value >> scale
+  }
+  const getCellRange = (start, end) => {
+    codecValidateGeohash(config, start)
+    codecValidateGeohash(config, end)
+    const startCell = toCellIndex(start, false)
+    const endCell = toCellIndex(codecGetGeohashQueryEnd(config, end), true)
+    if (startCell >= endCell) {
+      throw new RangeError('The start must be less than or equal to the end')
+    }
+    return [startCell, endCell]
+  }
+  const createRange = (startCell, endCell, shardIndex) => [
+    _codecGeobigintToGeohash(config, startCell, precision),
+    _codecGeobigintToGeohash(config, endCell - 1n, precision),
+    shards[shardIndex]
+  ]
+  const getRangeEnd = index => index + 1 < rangeStarts.length ? rangeStarts[index + 1] : cellCount
+
+  const getCellRangeIndex = cell => lowerBound(rangeStarts, cell + 1n) - 1
+
+  const getCellShardIndex = cell => {
+    if (strategy === 'range') {
+      return rangeShards[getCellRangeIndex(cell)]
+    }
+    if (strategy === 'prefix') {
+      return Number(cell % BigInt(shardCount))
+    }
+    const geohash = _codecGeobigintToGeohash(config, cell, precision)
+    let result = 0
+    let maxScore = -1
+    for (let i = 0; i < shardCount; i++) {
+      const score = getRendezvousScore(`${shards[i]}:${geohash}`)
+      if (score > maxScore) {
+        result = i
+        maxScore = score
+      }
+    }
+    return result
+  }
+  const addCellRangeShardIndexes = (startCell, endCell, lookup) => {
+    if (strategy === 'range') {
+      for (let i = getCellRangeIndex(startCell); i < rangeStarts.length && rangeStarts[i] < endCell; i++) {
+        lookup.add(rangeShards[i])
+      }
+    } else if (strategy === 'prefix' && endCell - startCell >= BigInt(shardCount)) {
+      for (let i = 0; i < shardCount; i++) {
+        lookup.add(i)
+      }
+    } else {
+      for (let cell = startCell; cell < endCell && lookup.size < shardCount; cell++) {
+        lookup.add(getCellShardIndex(cell))
+      }
+    }
+  }
+  const getLookupShards = lookup => {
+    const result = []
+    for (let i = 0; i < shardCount; i++) {
+      if (lookup.has(i)) {
+        ArrayPrototypePush(result, shards[i])
+      }
+    }
+    return result
+  }
+
+  const setRanges = ranges => {
+    rangeStarts = []
+    rangeShards = []
+    ArrayPrototypeForEach(ranges, ([startCell, shardIndex]) => {
+      const lastIndex = rangeShards.length - 1
+      if (lastIndex < 0 || rangeShards[lastIndex] !== shardIndex) {
+        ArrayPrototypePush(rangeStarts, startCell)
+        ArrayPrototypePush(rangeShards, shardIndex)
+      }
+    })
+  }
+  const validateRangeStrategy = () => {
+    if (strategy !== 'range') {
+      throw new TypeError('The strategy must be "range"')
+    }
+  }
+  if (strategy === 'range') {
+    if (options.ranges === undefined) {
+      const ranges = []
+      const bigIntShardCount = BigInt(shardCount)
+      for (let i = 0; i < shardCount; i++) {
+        const startCell = cellCount * BigInt(i) / bigIntShardCount
+        const endCell = cellCount * BigInt(i + 1) / bigIntShardCount
+        if (startCell < endCell) {
+          ArrayPrototypePush(ranges, [startCell, i])
+        }
+      }
+      setRanges(ranges)
+    } else {
+      if (!ArrayIsArray(options.ranges)) {
+        throw new TypeError('The ranges must be an array')
+      }
+      let nextCell = 0n
+      setRanges(ArrayPrototypeMap(options.ranges, range => {
+        if (!ArrayIsArray(range)) {
+          throw new TypeError('The range must be an array')
+        }
+        const [startCell, endCell] = getCellRange(range[0], range[1])
+        const shardIndex = toShardIndex(shardIndexes, range[2])
+        if (startCell !== nextCell) {
+          throw new RangeError('The ranges must cover every cell exactly once')
+        }
+        nextCell = endCell
+        return [startCell, shardIndex]
+      }))
+      if (nextCell !== cellCount) {
+        throw new RangeError('The ranges must cover every cell exactly once')
+      }
+    }
+  }
+
+  const getShard = (latitude, longitude) => {
+    latitude = toLatitude(latitude)
+    longitude = toLongitude(longitude)
+    const geohash = _codecEncode(config, latitude, longitude, precision)
+    return shards[getCellShardIndex(_codecGeohashToGeobigint(config, geohash))]
+  }
+  const getGeohashShard = geohash => {
+    codecValidateGeohash(config, geohash)
+    if (geohash.length < precision) {
+      throw new RangeError(`The geohash length must be greater than or equal to ${precision}`)
+    }
+    return shards[getCellShardIndex(toCellIndex(geohash, false))]
+  }
+  const getGeohashShards = geohash => {
+    const lookup = new SafeSet()
+    const [startCell, endCell] = getCellRange(geohash, geohash)
+    addCellRangeShardIndexes(startCell, endCell, lookup)
+    return getLookupShards(lookup)
+  }
+  const getBoundingBoxShards = (minLat, minLon, maxLat, maxLon) => {
+    minLat = toLatitude(minLat)
+    minLon = toLongitude(minLon)
+    maxLat = toLatitude(maxLat)
+    maxLon = toLongitude(maxLon)
+    const searchBits = getBoundingBoxSearchBits(minLat, minLon, maxLat, maxLon, bits)
+    const shift = BigInt(bits - searchBits)
+    const lookup = new SafeSet()
+    const generator = _boundingBoxesBigIntGenerator(minLat, minLon, maxLat, maxLon, searchBits)
+    for (const geobigint of new SafeGenerator(generator)) {
+      addCellRangeShardIndexes(geobigint << shift, (geobigint + 1n) << shift, lookup)
+    }
+    return getLookupShards(lookup)
+  }
+  const getCircleSearchGeohashes = (latitude, longitude, radius) => {
+    const relate = createCircleRelation(latitude, longitude, radius)
+    let searchPrecision = MathCeil(getCircleSearchBits(latitude, longitude, radius, bits) / bitsPerChar)
+    let result = _codecGetCircleGeohashes(config, latitude, longitude, radius, searchPrecision)
+    while (searchPrecision < precision) {
+      const geohashes = []
+      const generator = codecRegionGeohashesGenerator(config, relate, matchIntersectingCell, searchPrecision + 1)
+      for (const geohash of new SafeGenerator(generator)) {
+        if (geohashes.length === MAX_SHARD_SEARCH_CELLS) {
+          return result
+        }
+        ArrayPrototypePush(geohashes, geohash)
+      }
+      result = geohashes
+      searchPrecision++
+    }
+    return result
+  }
+  const getCircleShards = (latitude, longitude, radius) => {
+    latitude = toLatitude(latitude)
+    longitude = toLongitude(longitude)
+    radius = toRadius(radius)
+    const queries = codecGetGeohashesQueries(config, getCircleSearchGeohashes(latitude, longitude, radius))
+    const lookup = new SafeSet()
+    ArrayPrototypeForEach(queries, ([start, end]) => {
+      addCellRangeShardIndexes(toCellIndex(start, false), toCellIndex(end, true), lookup)
+    })
+    return getLookupShards(lookup)
+  }
+  const getRanges = () => {
+    validateRangeStrategy()
+    return ArrayPrototypeMap(rangeStarts, (startCell, index) =>
+      createRange(startCell, getRangeEnd(index), rangeShards[index]))
+  }
+  const moveRange = (start, end, shard) => {
+    validateRangeStrategy()
+    const [startCell, endCell] = getCellRange(start, end)
+    const shardIndex = toShardIndex(shardIndexes, shard)
+    const ranges = []
+    const result = []
+    ArrayPrototypeForEach(rangeStarts, (rangeStart, index) => {
+      const rangeEnd = getRangeEnd(index)
+      const rangeShard = rangeShards[index]
+      if (rangeEnd <= startCell || rangeStart >= endCell) {
+        ArrayPrototypePush(ranges, [rangeStart, rangeShard])
+        return
+      }
+      if (rangeStart < startCell) {
+        ArrayPrototypePush(ranges, [rangeStart, rangeShard])
+      }
+      const movedStart = rangeStart > startCell ? rangeStart : startCell
+      const movedEnd = rangeEnd < endCell ? rangeEnd : endCell
+      ArrayPrototypePush(ranges, [movedStart, shardIndex])
+      if (rangeShard !== shardIndex) {
+        ArrayPrototypePush(result, createRange(movedStart, movedEnd, rangeShard))
+      }
+      if (rangeEnd > endCell) {
+        ArrayPrototypePush(ranges, [endCell, rangeShard])
+      }
+    })
+    setRanges(ranges)
+    return result
+  }
+
+  const router = {}
+  ObjectDefineProperties(router, {
+    shards: {
+      get: () => ArrayPrototypeMap(shards, shard => shard)
+    },
+    precision: {
+      value: precision
+    },
+    strategy: {
+      value: strategy
+    },
+    getShard: {
+      value: getShard
+    },
+    getGeohashShard: {
+      value: getGeohashShard
+    },
+    getGeohashShards: {
+      value: getGeohashShards
+    },
+    getBoundingBoxShards: {
+      value: getBoundingBoxShards
+    },
+    getCircleShards: {
+      value: getCircleShards
+    },
+    getRanges: {
+      value: getRanges
+    },
+    moveRange: {
+      value: moveRange
+    },
+    [SymbolToStringTag]: {
+      value: 'GeohashShardRouter'
+    }
+  })
+  return router
+}
+
+const createGeohashCodec = options => {
+  const config = createCodecConfig(options)
+  const isGeohash = value => codecIsGeohash(config, value)
+  const encode = (latitude, longitude, precision) => codecEncode(config, latitude, longitude, precision)
+  const decodeBoundingBox = geohash => codecDecodeBoundingBox(config, geohash)
+  const decode = (geohash, error) => codecDecode(config, geohash, error)
+  const getNeighbor = (geohash, direction, options) => codecGetNeighbor(config, geohash, direction, options)
+  const getNeighbors = (geohash, options) => codecGetNeighbors(config, geohash, options)
+  const getRing = (geohash, k) => codecGetRing(config, geohash, k)
+  const getDisk = (geohash, k) => codecGetDisk(config, geohash, k)
+  const toGridCoordinates = geohash => codecToGridCoordinates(config, geohash)
+  const fromGridCoordinates = (x, y, latBits, lonBits) => codecFromGridCoordinates(config, x, y, latBits, lonBits)
+  const geohashToGeoint = geohash => codecGeohashToGeoint(config, geohash)
+  const geohashToGeobigint = geohash => codecGeohashToGeobigint(config, geohash)
+  const geointToGeohash = (geoint, bits) => codecGeointToGeohash(config, geoint, bits)
+  const geobigintToGeohash = (geobigint, bits) => codecGeobigintToGeohash(config, geobigint, bits)
+  const getParent = geohash => codecGetParent(config, geohash)
+  const getChildren = geohash => codecGetChildren(config, geohash)
+  const getAncestors = geohash => codecGetAncestors(config, geohash)
+  const getDescendants = (geohash, precision) => codecGetDescendants(config, geohash, precision)
+  function* descendantsGenerator(geohash, precision) {
+    yield* codecDescendantsGenerator(config, geohash, precision)
+  }
+  const isAncestorOf = (ancestor, geohash) => codecIsAncestorOf(config, ancestor, geohash)
+  const contains = (geohash, latitude, longitude) => codecContains(config, geohash, latitude, longitude)
+  const getBoundingBoxes = (minLat, minLon, maxLat, maxLon, precision) =>
+    codecGetBoundingBoxes(config, minLat, minLon, maxLat, maxLon, precision)
+  function* boundingBoxesGenerator(minLat, minLon, maxLat, maxLon, precision) {
+    yield* codecBoundingBoxesGenerator(config, minLat, minLon, maxLat, maxLon, precision)
+  }
+  const boundingBoxesSafeGenerator = (minLat, minLon, maxLat, maxLon, precision) =>
+    codecBoundingBoxesSafeGenerator(config, minLat, minLon, maxLat, maxLon, precision)
+  const getPolygonGeohashes = (polygon, precision, options) =>
+    codecGetPolygonGeohashes(config, polygon, precision, options)
+  function* polygonGeohashesGenerator(polygon, precision, options) {
+    yield* codecPolygonGeohashesGenerator(config, polygon, precision, options)
+  }
+  const polygonGeohashesSafeGenerator = (polygon, precision, options) =>
+    codecPolygonGeohashesSafeGenerator(config, polygon, precision, options)
+  const compactGeohashes = geohashes => codecCompactGeohashes(config, geohashes)
+  const uncompactGeohashes = (geohashes, precision) => codecUncompactGeohashes(config, geohashes, precision)
+  const getBoundingBoxQuery = (geohash, bits) => codecGetBoundingBoxQuery(config, geohash, bits)
+  const getBoundingCircleQueries = (latitude, longitude, radius) =>
+    codecGetBoundingCircleQueries(config, latitude, longitude, radius)
+  const getCircleGeohashes = (latitude, longitude, radius, precision) =>
+    codecGetCircleGeohashes(config, latitude, longitude, radius, precision)
+  const getCircleQueries = (latitude, longitude, radius, precision) =>
+    codecGetCircleQueries(config, latitude, longitude, radius, precision)
+  const createCoverer = options => codecCreateCoverer(config, options)
+  const geohashesForTile = (zoom, x, y, precision) => codecGeohashesForTile(config, zoom, x, y, precision)
+  const tilesForGeohash = (geohash, zoom) => codecTilesForGeohash(config, geohash, zoom)
+  const getPlusCodeGeohashes = (code, precision) => codecGetPlusCodeGeohashes(config, code, precision)
+  const geohashesForMaidenhead = (locator, precision) => codecGeohashesForMaidenhead(config, locator, precision)
+  const maidenheadsForGeohash = (geohash, pairs) => codecMaidenheadsForGeohash(config, geohash, pairs)
+  const geohashesForS2Cell = (id, precision) => codecGeohashesForS2Cell(config, id, precision)
+  const s2CellsForGeohash = (geohash, level) => codecS2CellsForGeohash(config, geohash, level)
+  const partitionByDensity = (points, options) => codecPartitionByDensity(config, points, options)
+  const createShardRouter = options => codecCreateShardRouter(config, options)
+  class GeohashTrie extends CodecGeohashTrie {
+    constructor() {
+      super(config)
+    }
+  }
+
+  const codec = {}
+  ObjectDefineProperties(codec, {
+    BASE: {
+      value: config.base
+    },
+    ALPHABET: {
+      value: config.alphabet
+    },
+    BITS_PER_CHAR: {
+      value: config.bitsPerChar
+    },
+    LIMITER_CHAR: {
+      value: LIMITER_CHAR
+    },
+    GEOHASH36_ALPHABET: {
+      value: GEOHASH36_ALPHABET
+    },
+    MAX_GEOHASH_PRECISION: {
+      value: config.maxGeohashPrecision
+    },
+    MAX_GEOHASH_PRECISION_BITS: {
+      value: config.maxGeohashPrecisionBits
+    },
+    MAX_GEOINT_BITS: {
+      value: MAX_GEOINT_BITS
+    },
+    MAX_GEOBIGINT_BITS: {
+      value: MAX_GEOBIGINT_BITS
+    },
+    MAX_GEOINT: {
+      value: MAX_GEOINT
+    },
+    MAX_GEOBIGINT: {
+      value: MAX_GEOBIGINT
+    },
+    MAX_TAGGED_GEOINT: {
+      value: MAX_TAGGED_GEOINT
+    },
+    MAX_TAGGED_GEOBIGINT: {
+      value: MAX_TAGGED_GEOBIGINT
+    },
+    GEOHASH_PRECISION: {
+      value: config.geohashPrecision
+    },
+    GEOINT_BITS: {
+      value: GEOINT_BITS
+    },
+    GEOBIGINT_BITS: {
+      value: GEOBIGINT_BITS
+    },
+    MAX_LATITUDE: {
+      value: MAX_LATITUDE
+    },
+    MAX_LATITUDE_IN_RADIANS: {
+      value: MAX_LATITUDE_IN_RADIANS
+    },
+    MIN_LATITUDE: {
+      value: MIN_LATITUDE
+    },
+    MIN_LATITUDE_IN_RADIANS: {
+      value: MIN_LATITUDE_IN_RADIANS
+    },
+    MAX_LONGITUDE: {
+      value: MAX_LONGITUDE
+    },
+    MAX_LONGITUDE_IN_RADIANS: {
+      value: MAX_LONGITUDE_IN_RADIANS
+    },
+    MIN_LONGITUDE: {
+      value: MIN_LONGITUDE
+    },
+    MIN_LONGITUDE_IN_RADIANS: {
+      value: MIN_LONGITUDE_IN_RADIANS
+    },
+    CIRCUMFERENCE: {
+      value: CIRCUMFERENCE
+    },
+    CIRCUMFERENCE_IN_RADIANS: {
+      value: CIRCUMFERENCE_IN_RADIANS
+    },
+    MAX_BEARING: {
+      value: MAX_BEARING
+    },
+    MIN_BEARING: {
+      value: MIN_BEARING
+    },
+    EARTH_EQUATORIAL_RADIUS: {
+      value: EARTH_EQUATORIAL_RADIUS
+    },
+    EARTH_EQUATORIAL_RADIUS_IN_METERS: {
+      value: EARTH_EQUATORIAL_RADIUS_IN_METERS
+    },
+    EARTH_POLAR_RADIUS: {
+      value: EARTH_POLAR_RADIUS
+    },
+    EARTH_POLAR_RADIUS_IN_METERS: {
+      value: EARTH_POLAR_RADIUS_IN_METERS
+    },
+    EARTH_RADIUS: {
+      value: EARTH_RADIUS
+    },
+    EARTH_RADIUS_IN_METERS: {
+      value: EARTH_RADIUS_IN_METERS
+    },
+    EARTH_EQUATORIAL_CIRCUMFERENCE: {
+      value: EARTH_EQUATORIAL_CIRCUMFERENCE
+    },
+    EARTH_EQUATORIAL_CIRCUMFERENCE_IN_METERS: {
+      value: EARTH_EQUATORIAL_CIRCUMFERENCE_IN_METERS
+    },
+    EARTH_MERIDIAN: {
+      value: EARTH_MERIDIAN
+    },
+    EARTH_MERIDIAN_IN_METERS: {
+      value: EARTH_MERIDIAN_IN_METERS
+    },
+    EARTH_MERIDIONAL_CIRCUMFERENCE: {
+      value: EARTH_MERIDIONAL_CIRCUMFERENCE
+    },
+    EARTH_MERIDIONAL_CIRCUMFERENCE_IN_METERS: {
+      value: EARTH_MERIDIONAL_CIRCUMFERENCE_IN_METERS
+    },
+    EARTH_FLATTENING: {
+      value: EARTH_FLATTENING
+    },
+    EARTH_ECCENTRICITY2: {
+      value: EARTH_ECCENTRICITY2
+    },
+    EARTH_LATITUDE_DEGREE: {
+      value: EARTH_LATITUDE_DEGREE
+    },
+    EARTH_LATITUDE_DEGREE_IN_METERS: {
+      value: EARTH_LATITUDE_DEGREE_IN_METERS
+    },
+    EARTH_LONGITUDE_DEGREE: {
+      value: EARTH_LONGITUDE_DEGREE
+    },
+    EARTH_LONGITUDE_DEGREE_IN_METERS: {
+      value: EARTH_LONGITUDE_DEGREE_IN_METERS
+    },
+    EPSILON: {
+      value: EPSILON
+    },
+    getDirections: {
+      value: getDirections
+    },
+    getPolygonModes: {
+      value: getPolygonModes
+    },
+    isDirection: {
+      value: isDirection
+    },
+    isPolygonMode: {
+      value: isPolygonMode
+    },
+    isGeohash: {
+      value: isGeohash
+    },
+    isGeoint: {
+      value: isGeoint
+    },
+    toGeoint: {
+      value: toGeoint
+    },
+    isGeobigint: {
+      value: isGeobigint
+    },
+    toGeobigint: {
+      value: toGeobigint
+    },
+    isTaggedGeoint: {
+      value: isTaggedGeoint
+    },
+    toTaggedGeoint: {
+      value: toTaggedGeoint
+    },
+    isTaggedGeobigint: {
+      value: isTaggedGeobigint
+    },
+    toTaggedGeobigint: {
+      value: toTaggedGeobigint
+    },
+    isLatitude: {
+      value: isLatitude
+    },
+    toLatitude: {
+      value: toLatitude
+    },
+    isLongitude: {
+      value: isLongitude
+    },
+    toLongitude: {
+      value: toLongitude
+    },
+    toBearing: {
+      value: toBearing
+    },
+    toDistance: {
+      value: toDistance
+    },
+    toRadius: {
+      value: toRadius
+    },
+    degreesToRadians: {
+      value: degreesToRadians
+    },
+    radiansToDegrees: {
+      value: radiansToDegrees
+    },
+    wrapLatitude: {
+      value: wrapLatitude
+    },
+    wrapLongitude: {
+      value: wrapLongitude
+    },
+    wrapBearing: {
+      value: wrapBearing
+    },
+    getBoundingBoxBits: {
+      value: getBoundingBoxBits
+    },
+    encode: {
+      value: encode
+    },
+    encodeInt: {
+      value: encodeInt
+    },
+    encodeBigInt: {
+      value: encodeBigInt
+    },
+    decodeBoundingBox: {
+      value: decodeBoundingBox
+    },
+    decodeBoundingBoxInt: {
+      value: decodeBoundingBoxInt
+    },
+    decodeBoundingBoxBigInt: {
+      value: decodeBoundingBoxBigInt
+    },
+    decode: {
+      value: decode
+    },
+    decodeInt: {
+      value: decodeInt
+    },
+    decodeBigInt: {
+      value: decodeBigInt
+    },
+    tagGeoint: {
+      value: tagGeoint
+    },
+    tagGeobigint: {
+      value: tagGeobigint
+    },
+    untagGeoint: {
+      value: untagGeoint
+    },
+    untagGeobigint: {
+      value: untagGeobigint
+    },
+    encodeIntTagged: {
+      value: encodeIntTagged
+    },
+    encodeBigIntTagged: {
+      value: encodeBigIntTagged
+    },
+    decodeBoundingBoxIntTagged: {
+      value: decodeBoundingBoxIntTagged
+    },
+    decodeBoundingBoxBigIntTagged: {
+      value: decodeBoundingBoxBigIntTagged
+    },
+    decodeIntTagged: {
+      value: decodeIntTagged
+    },
+    decodeBigIntTagged: {
+      value: decodeBigIntTagged
+    },
+    getNeighbor: {
+      value: getNeighbor
+    },
+    getNeighborInt: {
+      value: getNeighborInt
+    },
+    getNeighborBigInt: {
+      value: getNeighborBigInt
+    },
+    getNeighbors: {
+      value: getNeighbors
+    },
+    getNeighborsInt: {
+      value: getNeighborsInt
+    },
+    getNeighborsBigInt: {
+      value: getNeighborsBigInt
+    },
+    getRing: {
+      value: getRing
+    },
+    getRingInt: {
+      value: getRingInt
+    },
+    getRingBigInt: {
+      value: getRingBigInt
+    },
+    getDisk: {
+      value: getDisk
+    },
+    getDiskInt: {
+      value: getDiskInt
+    },
+    getDiskBigInt: {
+      value: getDiskBigInt
+    },
+    toGridCoordinates: {
+      value: toGridCoordinates
+    },
+    toGridCoordinatesInt: {
+      value: toGridCoordinatesInt
+    },
+    toGridCoordinatesBigInt: {
+      value: toGridCoordinatesBigInt
+    },
+    fromGridCoordinates: {
+      value: fromGridCoordinates
+    },
+    fromGridCoordinatesInt: {
+      value: fromGridCoordinatesInt
+    },
+    fromGridCoordinatesBigInt: {
+      value: fromGridCoordinatesBigInt
+    },
+    geohashToGeoint: {
+      value: geohashToGeoint
+    },
+    geohashToGeobigint: {
+      value: geohashToGeobigint
+    },
+    geointToGeohash: {
+      value: geointToGeohash
+    },
+    geobigintToGeohash: {
+      value: geobigintToGeohash
+    },
+    geointToGeobigint: {
+      value: geointToGeobigint
+    },
+    geobigintToGeoint: {
+      value: geobigintToGeoint
+    },
+    getParent: {
+      value: getParent
+    },
+    getParentInt: {
+      value: getParentInt
+    },
+    getParentBigInt: {
+      value: getParentBigInt
+    },
+    getChildren: {
+      value: getChildren
+    },
+    getChildrenInt: {
+      value: getChildrenInt
+    },
+    getChildrenBigInt: {
+      value: getChildrenBigInt
+    },
+    getAncestors: {
+      value: getAncestors
+    },
+    getAncestorsInt: {
+      value: getAncestorsInt
+    },
+    getAncestorsBigInt: {
+      value: getAncestorsBigInt
+    },
+    getDescendants: {
+      value: getDescendants
+    },
+    getDescendantsInt: {
+      value: getDescendantsInt
+    },
+    getDescendantsBigInt: {
+      value: getDescendantsBigInt
+    },
+    descendantsGenerator: {
+      value: descendantsGenerator
+    },
+    descendantsIntGenerator: {
+      value: descendantsIntGenerator
+    },
+    descendantsBigIntGenerator: {
+      value: descendantsBigIntGenerator
+    },
+    isAncestorOf: {
+      value: isAncestorOf
+    },
+    isAncestorOfInt: {
+      value: isAncestorOfInt
+    },
+    isAncestorOfBigInt: {
+      value: isAncestorOfBigInt
+    },
+    contains: {
+      value: contains
+    },
+    containsInt: {
+      value: containsInt
+    },
+    containsBigInt: {
+      value: containsBigInt
+    },
+    getBoundingBoxes: {
+      value: getBoundingBoxes
+    },
+    getBoundingBoxesInt: {
+      value: getBoundingBoxesInt
+    },
+    getBoundingBoxesBigInt: {
+      value: getBoundingBoxesBigInt
+    },
+    boundingBoxesGenerator: {
+      value: boundingBoxesGenerator
+    },
+    boundingBoxesSafeGenerator: {
+      value: boundingBoxesSafeGenerator
+    },
+    boundingBoxesIntGenerator: {
+      value: boundingBoxesIntGenerator
+    },
+    boundingBoxesIntSafeGenerator: {
+      value: boundingBoxesIntSafeGenerator
+    },
+    boundingBoxesBigIntGenerator: {
+      value: boundingBoxesBigIntGenerator
+    },
+    boundingBoxesBigIntSafeGenerator: {
+      value: boundingBoxesBigIntSafeGenerator
+    },
+    getPolygonGeohashes: {
+      value: getPolygonGeohashes
+    },
+    getPolygonGeohashesInt: {
+      value: getPolygonGeohashesInt
+    },
+    getPolygonGeohashesBigInt: {
+      value: getPolygonGeohashesBigInt
+    },
+    polygonGeohashesGenerator: {
+      value: polygonGeohashesGenerator
+    },
+    polygonGeohashesSafeGenerator: {
+      value: polygonGeohashesSafeGenerator
+    },
+    polygonGeohashesIntGenerator: {
+      value: polygonGeohashesIntGenerator
+    },
+    polygonGeohashesIntSafeGenerator: {
+      value: polygonGeohashesIntSafeGenerator
+    },
+    polygonGeohashesBigIntGenerator: {
+      value: polygonGeohashesBigIntGenerator
+    },
+    polygonGeohashesBigIntSafeGenerator: {
+      value: polygonGeohashesBigIntSafeGenerator
+    },
+    compactGeohashes: {
+      value: compactGeohashes
+    },
+    compactGeohashesInt: {
+      value: compactGeohashesInt
+    },
+    compactGeohashesBigInt: {
+      value: compactGeohashesBigInt
+    },
+    uncompactGeohashes: {
+      value: uncompactGeohashes
+    },
+    uncompactGeohashesInt: {
+      value: uncompactGeohashesInt
+    },
+    uncompactGeohashesBigInt: {
+      value: uncompactGeohashesBigInt
+    },
+    getDistance: {
+      value: getDistance
+    },
+    getDistanceInMeters: {
+      value: getDistanceInMeters
+    },
+    getVincentyDistance: {
+      value: getVincentyDistance
+    },
+    getDestinationPoint: {
+      value: getDestinationPoint
+    },
+    getBoundingBox: {
+      value: getBoundingBox
+    },
+    getBoundingBoxQuery: {
+      value: getBoundingBoxQuery
+    },
+    getBoundingCirclePoints: {
+      value: getBoundingCirclePoints
+    },
+    getBoundingCircleQueries: {
+      value: getBoundingCircleQueries
+    },
+    getCircleGeohashes: {
+      value: getCircleGeohashes
+    },
+    getCircleGeohashesInt: {
+      value: getCircleGeohashesInt
+    },
+    getCircleGeohashesBigInt: {
+      value: getCircleGeohashesBigInt
+    },
+    getCircleQueries: {
+      value: getCircleQueries
+    },
+    getCircleQueriesInt: {
+      value: getCircleQueriesInt
+    },
+    getCircleQueriesBigInt: {
+      value: getCircleQueriesBigInt
+    },
+    createCoverer: {
+      value: createCoverer
+    },
+    tileToBoundingBox: {
+      value: tileToBoundingBox
+    },
+    geohashesForTile: {
+      value: geohashesForTile
+    },
+    geohashesForTileInt: {
+      value: geohashesForTileInt
+    },
+    geohashesForTileBigInt: {
+      value: geohashesForTileBigInt
+    },
+    tilesForGeohash: {
+      value: tilesForGeohash
+    },
+    tilesForGeohashInt: {
+      value: tilesForGeohashInt
+    },
+    tilesForGeohashBigInt: {
+      value: tilesForGeohashBigInt
+    },
+    quadkeyToTile: {
+      value: quadkeyToTile
+    },
+    tileToQuadkey: {
+      value: tileToQuadkey
+    },
+    isPlusCode: {
+      value: isPlusCode
+    },
+    isShortPlusCode: {
+      value: isShortPlusCode
+    },
+    isFullPlusCode: {
+      value: isFullPlusCode
+    },
+    encodePlusCode: {
+      value: encodePlusCode
+    },
+    decodePlusCode: {
+      value: decodePlusCode
+    },
+    decodePlusCodeBoundingBox: {
+      value: decodePlusCodeBoundingBox
+    },
+    shortenPlusCode: {
+      value: shortenPlusCode
+    },
+    recoverPlusCode: {
+      value: recoverPlusCode
+    },
+    getPlusCodeGeohashes: {
+      value: getPlusCodeGeohashes
+    },
+    getPlusCodeGeohashesInt: {
+      value: getPlusCodeGeohashesInt
+    },
+    getPlusCodeGeohashesBigInt: {
+      value: getPlusCodeGeohashesBigInt
+    },
+    isMaidenhead: {
+      value: isMaidenhead
+    },
+    validateMaidenhead: {
+      value: validateMaidenhead
+    },
+    encodeMaidenhead: {
+      value: encodeMaidenhead
+    },
+    decodeMaidenhead: {
+      value: decodeMaidenhead
+    },
+    decodeMaidenheadBoundingBox: {
+      value: decodeMaidenheadBoundingBox
+    },
+    getMaidenheadNeighbor: {
+      value: getMaidenheadNeighbor
+    },
+    getMaidenheadNeighbors: {
+      value: getMaidenheadNeighbors
+    },
+    geohashesForMaidenhead: {
+      value: geohashesForMaidenhead
+    },
+    geohashesForMaidenheadInt: {
+      value: geohashesForMaidenheadInt
+    },
+    geohashesForMaidenheadBigInt: {
+      value: geohashesForMaidenheadBigInt
+    },
+    maidenheadsForGeohash: {
+      value: maidenheadsForGeohash
+    },
+    maidenheadsForGeohashInt: {
+      value: maidenheadsForGeohashInt
+    },
+    maidenheadsForGeohashBigInt: {
+      value: maidenheadsForGeohashBigInt
+    },
+    toUTM: {
+      value: toUTM
+    },
+    fromUTM: {
+      value: fromUTM
+    },
+    toMGRS: {
+      value: toMGRS
+    },
+    fromMGRS: {
+      value: fromMGRS
+    },
+    isS2CellId: {
+      value: isS2CellId
+    },
+    latLonToS2CellId: {
+      value: latLonToS2CellId
+    },
+    s2CellIdToLatLon: {
+      value: s2CellIdToLatLon
+    },
+    s2CellBoundingBox: {
+      value: s2CellBoundingBox
+    },
+    geohashesForS2Cell: {
+      value: geohashesForS2Cell
+    },
+    geohashesForS2CellInt: {
+      value: geohashesForS2CellInt
+    },
+    geohashesForS2CellBigInt: {
+      value: geohashesForS2CellBigInt
+    },
+    s2CellsForGeohash: {
+      value: s2CellsForGeohash
+    },
+    s2CellsForGeohashInt: {
+      value: s2CellsForGeohashInt
+    },
+    s2CellsForGeohashBigInt: {
+      value: s2CellsForGeohashBigInt
+    },
+    encodeHilbert: {
+      value: encodeHilbert
+    },
+    decodeHilbert: {
+      value: decodeHilbert
+    },
+    decodeHilbertBoundingBox: {
+      value: decodeHilbertBoundingBox
+    },
+    geointToHilbert: {
+      value: geointToHilbert
+    },
+    hilbertToGeoint: {
+      value: hilbertToGeoint
+    },
+    getHilbertNeighbor: {
+      value: getHilbertNeighbor
+    },
+    getHilbertNeighbors: {
+      value: getHilbertNeighbors
+    },
+    getHilbertBoundingBoxQueries: {
+      value: getHilbertBoundingBoxQueries
+    },
+    getHilbertCircleQueries: {
+      value: getHilbertCircleQueries
+    },
+    encodeRedis: {
+      value: encodeRedis
+    },
+    decodeRedis: {
+      value: decodeRedis
+    },
+    decodeRedisBoundingBox: {
+      value: decodeRedisBoundingBox
+    },
+    getRedisNeighbor: {
+      value: getRedisNeighbor
+    },
+    getRedisNeighbors: {
+      value: getRedisNeighbors
+    },
+    getRedisRadiusQueries: {
+      value: getRedisRadiusQueries
+    },
+    getRedisBoxQueries: {
+      value: getRedisBoxQueries
+    },
+    GeohashPointIndex: {
+      value: GeohashPointIndex
+    },
+    buildPackedIndex: {
+      value: buildPackedIndex
+    },
+    loadPackedIndex: {
+      value: loadPackedIndex
+    },
+    GeohashTrie: {
+      value: GeohashTrie
+    },
+    partitionByDensity: {
+      value: partitionByDensity
+    },
+    partitionByDensityInt: {
+      value: partitionByDensityInt
+    },
+    partitionByDensityBigInt: {
+      value: partitionByDensityBigInt
+    },
+    createShardRouter: {
+      value: createShardRouter
+    },
+    createGeohashCodec: {
+      value: createGeohashCodec
+    },
+    [SymbolToStringTag]: {
+      value: 'Geohash'
+    }
+  })
+  return codec
+}
+
+const Geohash = createGeohashCodec()
+const {
+  isGeohash,
+  encode,
+  decodeBoundingBox,
+  decode,
+  getNeighbor,
+  getNeighbors,
+  getRing,
+  getDisk,
+  toGridCoordinates,
+  fromGridCoordinates,
+  geohashToGeoint,
+  geohashToGeobigint,
+  geointToGeohash,
+  geobigintToGeohash,
+  getParent,
+  getChildren,
+  getAncestors,
+  getDescendants,
+  descendantsGenerator,
+  isAncestorOf,
+  contains,
+  getBoundingBoxes,
+  boundingBoxesGenerator,
+  boundingBoxesSafeGenerator,
+  getPolygonGeohashes,
+  polygonGeohashesGenerator,
+  polygonGeohashesSafeGenerator,
+  compactGeohashes,
+  uncompactGeohashes,
+  getBoundingBoxQuery,
+  getBoundingCircleQueries,
+  getCircleGeohashes,
+  getCircleQueries,
+  createCoverer,
+  geohashesForTile,
+  tilesForGeohash,
+  getPlusCodeGeohashes,
+  geohashesForMaidenhead,
+  maidenheadsForGeohash,
+  geohashesForS2Cell,
+  s2CellsForGeohash,
+  GeohashTrie,
+  partitionByDensity,
+  createShardRouter
+} = Geohash
 
 export {
   BASE,
   ALPHABET,
   BITS_PER_CHAR,
   LIMITER_CHAR,
+  GEOHASH36_ALPHABET,
   MAX_GEOHASH_PRECISION,
   MAX_GEOHASH_PRECISION_BITS,
   MAX_GEOINT_BITS,
   MAX_GEOBIGINT_BITS,
   MAX_GEOINT,
   MAX_GEOBIGINT,
+  MAX_TAGGED_GEOINT,
+  MAX_TAGGED_GEOBIGINT,
   GEOHASH_PRECISION,
   GEOINT_BITS,
   GEOBIGINT_BITS,
@@ -1480,12 +7020,18 @@ export {
   EARTH_LONGITUDE_DEGREE_IN_METERS,
   EPSILON,
   getDirections,
+  getPolygonModes,
   isDirection,
+  isPolygonMode,
   isGeohash,
   isGeoint,
   toGeoint,
   isGeobigint,
   toGeobigint,
+  isTaggedGeoint,
+  toTaggedGeoint,
+  isTaggedGeobigint,
+  toTaggedGeobigint,
   isLatitude,
   toLatitude,
   isLongitude,
@@ -1508,12 +7054,61 @@ export {
   decode,
   decodeInt,
   decodeBigInt,
+  tagGeoint,
+  tagGeobigint,
+  untagGeoint,
+  untagGeobigint,
+  encodeIntTagged,
+  encodeBigIntTagged,
+  decodeBoundingBoxIntTagged,
+  decodeBoundingBoxBigIntTagged,
+  decodeIntTagged,
+  decodeBigIntTagged,
   getNeighbor,
   getNeighborInt,
   getNeighborBigInt,
   getNeighbors,
   getNeighborsInt,
   getNeighborsBigInt,
+  getRing,
+  getRingInt,
+  getRingBigInt,
+  getDisk,
+  getDiskInt,
+  getDiskBigInt,
+  toGridCoordinates,
+  toGridCoordinatesInt,
+  toGridCoordinatesBigInt,
+  fromGridCoordinates,
+  fromGridCoordinatesInt,
+  fromGridCoordinatesBigInt,
+  geohashToGeoint,
+  geohashToGeobigint,
+  geointToGeohash,
+  geobigintToGeohash,
+  geointToGeobigint,
+  geobigintToGeoint,
+  getParent,
+  getParentInt,
+  getParentBigInt,
+  getChildren,
+  getChildrenInt,
+  getChildrenBigInt,
+  getAncestors,
+  getAncestorsInt,
+  getAncestorsBigInt,
+  getDescendants,
+  getDescendantsInt,
+  getDescendantsBigInt,
+  descendantsGenerator,
+  descendantsIntGenerator,
+  descendantsBigIntGenerator,
+  isAncestorOf,
+  isAncestorOfInt,
+  isAncestorOfBigInt,
+  contains,
+  containsInt,
+  containsBigInt,
   getBoundingBoxes,
   getBoundingBoxesInt,
   getBoundingBoxesBigInt,
@@ -1523,6 +7118,21 @@ export {
   boundingBoxesIntSafeGenerator,
   boundingBoxesBigIntGenerator,
   boundingBoxesBigIntSafeGenerator,
+  getPolygonGeohashes,
+  getPolygonGeohashesInt,
+  getPolygonGeohashesBigInt,
+  polygonGeohashesGenerator,
+  polygonGeohashesSafeGenerator,
+  polygonGeohashesIntGenerator,
+  polygonGeohashesIntSafeGenerator,
+  polygonGeohashesBigIntGenerator,
+  polygonGeohashesBigIntSafeGenerator,
+  compactGeohashes,
+  compactGeohashesInt,
+  compactGeohashesBigInt,
+  uncompactGeohashes,
+  uncompactGeohashesInt,
+  uncompactGeohashesBigInt,
   getDistance,
   getDistanceInMeters,
   getVincentyDistance,
@@ -1530,6 +7140,85 @@ export {
   getBoundingBox,
   getBoundingBoxQuery,
   getBoundingCirclePoints,
-  getBoundingCircleQueries
+  getBoundingCircleQueries,
+  getCircleGeohashes,
+  getCircleGeohashesInt,
+  getCircleGeohashesBigInt,
+  getCircleQueries,
+  getCircleQueriesInt,
+  getCircleQueriesBigInt,
+  createCoverer,
+  tileToBoundingBox,
+  geohashesForTile,
+  geohashesForTileInt,
+  geohashesForTileBigInt,
+  tilesForGeohash,
+  tilesForGeohashInt,
+  tilesForGeohashBigInt,
+  quadkeyToTile,
+  tileToQuadkey,
+  isPlusCode,
+  isShortPlusCode,
+  isFullPlusCode,
+  encodePlusCode,
+  decodePlusCode,
+  decodePlusCodeBoundingBox,
+  shortenPlusCode,
+  recoverPlusCode,
+  getPlusCodeGeohashes,
+  getPlusCodeGeohashesInt,
+  getPlusCodeGeohashesBigInt,
+  isMaidenhead,
+  validateMaidenhead,
+  encodeMaidenhead,
+  decodeMaidenhead,
+  decodeMaidenheadBoundingBox,
+  getMaidenheadNeighbor,
+  getMaidenheadNeighbors,
+  geohashesForMaidenhead,
+  geohashesForMaidenheadInt,
+  geohashesForMaidenheadBigInt,
+  maidenheadsForGeohash,
+  maidenheadsForGeohashInt,
+  maidenheadsForGeohashBigInt,
+  toUTM,
+  fromUTM,
+  toMGRS,
+  fromMGRS,
+  isS2CellId,
+  latLonToS2CellId,
+  s2CellIdToLatLon,
+  s2CellBoundingBox,
+  geohashesForS2Cell,
+  geohashesForS2CellInt,
+  geohashesForS2CellBigInt,
+  s2CellsForGeohash,
+  s2CellsForGeohashInt,
+  s2CellsForGeohashBigInt,
+  encodeHilbert,
+  decodeHilbert,
+  decodeHilbertBoundingBox,
+  geointToHilbert,
+  hilbertToGeoint,
+  getHilbertNeighbor,
+  getHilbertNeighbors,
+  getHilbertBoundingBoxQueries,
+  getHilbertCircleQueries,
+  encodeRedis,
+  decodeRedis,
+  decodeRedisBoundingBox,
+  getRedisNeighbor,
+  getRedisNeighbors,
+  getRedisRadiusQueries,
+  getRedisBoxQueries,
+  GeohashPointIndex,
+  buildPackedIndex,
+  loadPackedIndex,
+  GeohashTrie,
+  partitionByDensity,
+  partitionByDensityInt,
+  partitionByDensityBigInt,
+  createShardRouter,
+  createGeohashCodec
 }
 export default Geohash
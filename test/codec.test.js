@@ -0,0 +1,59 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import Geohash from '../lib/index.mjs'
+
+const geohash36 = Geohash.createGeohashCodec({alphabet: Geohash.GEOHASH36_ALPHABET})
+
+test('Geohash-36 encodes the reference location', () => {
+  assert.equal(geohash36.BASE, 36)
+  assert.equal(geohash36.BITS_PER_CHAR, null)
+  assert.equal(geohash36.encode(51.504444, -0.086666, 10), 'bdrdC26BqH')
+})
+
+test('Geohash-36 characters form a 6x6 matrix from the north-west corner', () => {
+  assert.deepEqual(geohash36.decodeBoundingBox('2'), [60, -180, 90, -120])
+  assert.deepEqual(geohash36.decodeBoundingBox('7'), [60, 120, 90, 180])
+  assert.deepEqual(geohash36.decodeBoundingBox('R'), [-90, -180, -60, -120])
+  assert.deepEqual(geohash36.decodeBoundingBox('X'), [-90, 120, -60, 180])
+  for (const geohash of ['bdrdC26BqH', 'X2', 'R7nN']) {
+    const [minLat, minLon, maxLat, maxLon] = geohash36.decodeBoundingBox(geohash)
+    assert.equal(geohash36.encode((minLat + maxLat) / 2, (minLon + maxLon) / 2, geohash.length), geohash)
+  }
+})
+
+test('Geohash-36 neighbors wrap the antimeridian and cross the poles', () => {
+  assert.equal(geohash36.getNeighbor('7', 'east'), '2')
+  assert.equal(geohash36.getNeighbor('2', 'west'), '7')
+  assert.equal(geohash36.getNeighbor('2', 'north'), '5')
+  assert.equal(geohash36.getNeighbor('2', 'north', {poles: 'clip'}), null)
+  assert.equal(geohash36.getNeighbor('bdrdC26BqH', 'east'), 'bdrdC26BQD')
+  assert.equal(geohash36.getRing('bdr', 1).length, 8)
+  assert.equal(geohash36.getDisk('bdr', 2).length, 25)
+})
+
+test('Geohash-36 circle cells cover every sampled point in the circle', () => {
+  const [latitude, longitude, radius, precision] = [51.5, -0.1, 5, 5]
+  const geohashes = new Set(geohash36.getCircleGeohashes(latitude, longitude, radius, precision))
+  for (let i = 0; i <= 40; i++) {
+    for (let j = 0; j <= 40; j++) {
+      const pointLat = latitude - 0.05 + i * 0.0025
+      const pointLon = longitude - 0.08 + j * 0.004
+      if (Geohash.getDistance(latitude, longitude, pointLat, pointLon) <= radius) {
+        assert.ok(geohashes.has(geohash36.encode(pointLat, pointLon, precision)), `${pointLat},${pointLon}`)
+      }
+    }
+  }
+})
+
+test('Geohash-36 rejects the bit-addressed functions', () => {
+  assert.throws(() => geohash36.toGridCoordinates('bdr'), TypeError)
+  assert.throws(() => geohash36.geohashToGeoint('bdr'), TypeError)
+  assert.throws(() => geohash36.getBoundingBoxQuery('bdr', 10), TypeError)
+  assert.throws(() => geohash36.getCircleQueries(51.5, -0.1, 5, 5), TypeError)
+  assert.throws(() => geohash36.createShardRouter({shards: 2}), TypeError)
+})
+
+test('Geohash-36 alphabets must have unique characters', () => {
+  assert.throws(() => Geohash.createGeohashCodec({alphabet: '2'.repeat(36)}), RangeError)
+  assert.throws(() => Geohash.createGeohashCodec({alphabet: Geohash.GEOHASH36_ALPHABET, maxPrecision: 21}), RangeError)
+})
@@ -0,0 +1,40 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import Geohash from '../lib/index.mjs'
+
+test('integer hierarchy steps one geohash character at a time', () => {
+  for (const geohash of ['v', 'v7', 'v7ms', 'v7ms0th6g']) {
+    const [geoint, bits] = Geohash.geohashToGeoint(geohash)
+    const children = Geohash.getChildrenInt(geoint, bits)
+    assert.equal(children.length, 32)
+    assert.deepEqual(children.map(child => Geohash.geointToGeohash(child, bits + 5)), Geohash.getChildren(geohash))
+    const bigIntChildren = Geohash.getChildrenBigInt(BigInt(geoint), bits)
+    assert.deepEqual(bigIntChildren, children.map(BigInt))
+    for (const child of children) {
+      assert.equal(Geohash.getParentInt(child, bits + 5), geoint)
+      assert.equal(Geohash.getParentBigInt(BigInt(child), bits + 5), BigInt(geoint))
+    }
+    const ancestors = Geohash.getAncestorsInt(geoint, bits)
+    assert.deepEqual(ancestors.map(([ancestor, ancestorBits]) => Geohash.geointToGeohash(ancestor, ancestorBits)),
+      Geohash.getAncestors(geohash))
+    assert.deepEqual(Geohash.getAncestorsBigInt(BigInt(geoint), bits),
+      ancestors.map(([ancestor, ancestorBits]) => [BigInt(ancestor), ancestorBits]))
+  }
+  assert.equal(Geohash.getParentInt(27, 5), null)
+  assert.equal(Geohash.getParent('v'), null)
+  assert.throws(() => Geohash.getChildrenInt(0, 48), RangeError)
+  assert.equal(Geohash.getChildrenBigInt(0n, 105).length, 32)
+})
+
+test('integer compaction collapses complete groups of 32 children', () => {
+  const geohashes = Geohash.uncompactGeohashes(['v7ms0', 'v7ms1', 'v7mt', 'v7mu00'], 6)
+  const geoints = geohashes.map(geohash => Geohash.geohashToGeoint(geohash)[0])
+  const compacted = Geohash.compactGeohashesInt(geoints, 30)
+  assert.deepEqual(compacted.map(([geoint, bits]) => Geohash.geointToGeohash(geoint, bits)),
+    Geohash.compactGeohashes(geohashes))
+  assert.deepEqual(Geohash.uncompactGeohashesInt(compacted, 30), geoints)
+  const compactedBigInt = Geohash.compactGeohashesBigInt(geoints.map(BigInt), 30)
+  assert.deepEqual(compactedBigInt, compacted.map(([geoint, bits]) => [BigInt(geoint), bits]))
+  assert.deepEqual(Geohash.uncompactGeohashesBigInt(compactedBigInt, 30), geoints.map(BigInt))
+  assert.deepEqual(Geohash.compactGeohashesInt([0, 1, 2], 2), [[0, 2], [1, 2], [2, 2]])
+})
@@ -0,0 +1,27 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import Geohash from '../lib/index.mjs'
+
+test('diagonal Maidenhead neighbors across the poles match west or east then south or north', () => {
+  const neighbors = Geohash.getMaidenheadNeighbors('AA00aa')
+  assert.equal(neighbors.southwest, 'IA90xa')
+  assert.equal(neighbors.southwest,
+    Geohash.getMaidenheadNeighbor(Geohash.getMaidenheadNeighbor('AA00aa', 'west'), 'south'))
+  for (const locator of ['AA', 'RR', 'JR', 'AA00', 'RR99', 'JO65ha', 'AR09ax', 'KA00aa00']) {
+    for (const [direction, lonDirection, latDirection] of [
+      ['northeast', 'east', 'north'],
+      ['northwest', 'west', 'north'],
+      ['southeast', 'east', 'south'],
+      ['southwest', 'west', 'south']
+    ]) {
+      const expected = Geohash.getMaidenheadNeighbor(
+        Geohash.getMaidenheadNeighbor(locator, lonDirection), latDirection)
+      assert.equal(Geohash.getMaidenheadNeighbor(locator, direction), expected, `${locator} ${direction}`)
+    }
+  }
+})
+
+test('Maidenhead neighbors beyond the poles are null with the clip poles option', () => {
+  assert.equal(Geohash.getMaidenheadNeighbor('AA00aa', 'south', {poles: 'clip'}), null)
+  assert.equal(Geohash.getMaidenheadNeighbor('AA00aa', 'north', {poles: 'clip'}), 'AA00ab')
+})
@@ -0,0 +1,67 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import {readFileSync} from 'node:fs'
+import Geohash from '../lib/index.mjs'
+
+const fixtures = JSON.parse(readFileSync(new URL('./fixtures/baseline.json', import.meta.url), 'utf8'))
+
+const toBigIntNeighbors = neighbors => {
+  const result = {}
+  for (const direction in neighbors) {
+    result[direction] = BigInt(neighbors[direction])
+  }
+  return result
+}
+
+test('getNeighbors matches the baseline for geohashes', () => {
+  for (const {geohash, neighbors} of fixtures.geohashes) {
+    assert.deepEqual(Geohash.getNeighbors(geohash), neighbors, geohash)
+    for (const direction of Geohash.getDirections()) {
+      assert.equal(Geohash.getNeighbor(geohash, direction), neighbors[direction], `${geohash} ${direction}`)
+    }
+  }
+})
+
+test('getNeighborsInt matches the baseline for geoints', () => {
+  for (const {geoint, bits, neighbors} of fixtures.geoints) {
+    assert.deepEqual(Geohash.getNeighborsInt(geoint, bits), neighbors, `${geoint}/${bits}`)
+    for (const direction of Geohash.getDirections()) {
+      assert.equal(Geohash.getNeighborInt(geoint, direction, bits), neighbors[direction])
+    }
+  }
+})
+
+test('getNeighborsBigInt matches the baseline for geobigints', () => {
+  for (const {geobigint, bits, neighbors} of fixtures.geobigints) {
+    const expected = toBigIntNeighbors(neighbors)
+    assert.deepEqual(Geohash.getNeighborsBigInt(BigInt(geobigint), bits), expected, `${geobigint}/${bits}`)
+    for (const direction of Geohash.getDirections()) {
+      assert.equal(Geohash.getNeighborBigInt(BigInt(geobigint), direction, bits), expected[direction])
+    }
+  }
+})
+
+test('getBoundingBoxes matches the baseline', () => {
+  for (const {box, precision, bits, geohashes, geoints, geobigints} of fixtures.boundingBoxes) {
+    assert.deepEqual(Geohash.getBoundingBoxes(...box, precision), geohashes)
+    assert.deepEqual(Geohash.getBoundingBoxesInt(...box, bits), geoints)
+    assert.deepEqual(Geohash.getBoundingBoxesBigInt(...box, bits + 3), geobigints.map(BigInt))
+  }
+})
+
+test('opposite neighbors lead back to the cell away from the poles', () => {
+  const opposites = {
+    north: 'south',
+    northeast: 'southwest',
+    east: 'west',
+    southeast: 'northwest'
+  }
+  for (const {geohash, neighbors} of fixtures.geohashes) {
+    for (const direction in opposites) {
+      const [minLat, , maxLat] = Geohash.decodeBoundingBox(neighbors[direction])
+      if (minLat > -90 && maxLat < 90) {
+        assert.equal(Geohash.getNeighbor(neighbors[direction], opposites[direction]), geohash)
+      }
+    }
+  }
+})
@@ -0,0 +1,69 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import Geohash from '../lib/index.mjs'
+
+const createPoints = () => {
+  let seed = 7
+  const random = () => (seed = seed * 16807 % 2147483647) / 2147483647
+  const points = []
+  for (let i = 0; i < 1000; i++) {
+    points.push({latitude: random() * 180 - 90, longitude: random() * 360 - 180})
+    const longitude = random() < 0.5 ? 179.9 + random() * 0.1 : 64 + random() * 0.2
+    points.push({latitude: 64 + random() * 0.2, longitude})
+  }
+  return points
+}
+
+const points = createPoints()
+
+const getRadiusIndexes = (latitude, longitude, radius) => points
+  .map((point, i) => [i, Geohash.getDistance(latitude, longitude, point.latitude, point.longitude)])
+  .filter(([, distance]) => distance <= radius)
+  .sort((a, b) => a[1] - b[1])
+  .map(([i]) => i)
+
+const getBoxIndexes = (minLat, minLon, maxLat, maxLon) => points
+  .map((point, i) => [i, point])
+  .filter(([, {latitude, longitude}]) => latitude >= minLat && latitude <= maxLat &&
+    (minLon <= maxLon ? longitude >= minLon && longitude <= maxLon : longitude >= minLon || longitude <= maxLon))
+  .map(([i]) => i)
+
+const assertSearches = packedIndex => {
+  for (const [latitude, longitude, radius] of [[64.1, 64.1, 5], [64.1, 179.95, 20], [0, 0, 1000]]) {
+    const expected = getRadiusIndexes(latitude, longitude, radius)
+    assert.deepEqual(packedIndex.searchRadius(latitude, longitude, radius), expected)
+  }
+  for (const box of [[64, 64, 64.1, 64.1], [60, 179.9, 70, -179.9], [-10, -10, 10, 10]]) {
+    assert.deepEqual(packedIndex.searchBox(...box).sort((a, b) => a - b), getBoxIndexes(...box))
+  }
+}
+
+test('packed indexes round trip through an ArrayBuffer for geoint and geobigint keys', () => {
+  for (const bits of [30, 52, 64]) {
+    const packedIndex = Geohash.buildPackedIndex(points, bits)
+    assert.equal(packedIndex.bits, bits)
+    assert.equal(packedIndex.size, points.length)
+    assertSearches(packedIndex)
+    const buffer = packedIndex.toArrayBuffer().slice(0)
+    const loadedIndex = Geohash.loadPackedIndex(buffer)
+    assert.equal(loadedIndex.bits, bits)
+    assert.equal(loadedIndex.size, points.length)
+    assertSearches(loadedIndex)
+    for (let position = 0; position < points.length; position += 97) {
+      const location = loadedIndex.getLocation(position)
+      assert.deepEqual(location, packedIndex.getLocation(position))
+      assert.equal(location.latitude, points[location.index].latitude)
+      assert.equal(location.longitude, points[location.index].longitude)
+    }
+  }
+})
+
+test('loading a packed index rejects foreign and truncated buffers', () => {
+  const buffer = Geohash.buildPackedIndex(points.slice(0, 10), 52).toArrayBuffer()
+  assert.throws(() => Geohash.loadPackedIndex(new Uint8Array(buffer)), TypeError)
+  assert.throws(() => Geohash.loadPackedIndex(buffer.slice(0, 8)), RangeError)
+  assert.throws(() => Geohash.loadPackedIndex(buffer.slice(0, buffer.byteLength - 1)), RangeError)
+  const foreign = buffer.slice(0)
+  new Uint8Array(foreign)[0] = 0
+  assert.throws(() => Geohash.loadPackedIndex(foreign), SyntaxError)
+})
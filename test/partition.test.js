@@ -0,0 +1,66 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import Geohash from '../lib/index.mjs'
+
+const createPoints = () => {
+  let seed = 5
+  const random = () => (seed = seed * 16807 % 2147483647) / 2147483647
+  const points = []
+  for (let i = 0; i < 300; i++) {
+    points.push({latitude: random() * 180 - 90, longitude: random() * 360 - 180})
+  }
+  for (let i = 0; i < 700; i++) {
+    points.push({latitude: 64 + random() * 0.05, longitude: 64 + random() * 0.05})
+  }
+  for (let i = 0; i < 50; i++) {
+    points.push({latitude: 48.8583, longitude: 2.2944})
+  }
+  return points
+}
+
+const points = createPoints()
+
+// Disjoint cells whose areas add up to their ancestor at the minimum level tile that ancestor exactly.
+const assertTiling = (cells, getAncestor, getArea, getPointAncestors) => {
+  const areas = new Map()
+  for (const cell of cells) {
+    const ancestor = getAncestor(cell)
+    areas.set(ancestor, (areas.get(ancestor) || 0) + getArea(cell))
+  }
+  assert.deepEqual([...areas.keys()].sort(), [...new Set(getPointAncestors())].sort())
+  for (const [ancestor, area] of areas) {
+    assert.equal(area, 1, `${ancestor}`)
+  }
+}
+
+test('density partitions exactly tile the minimum precision cells of the data', () => {
+  const [minPrecision, maxPrecision, maxPointsPerCell] = [2, 6, 20]
+  const cells = Geohash.partitionByDensity(points, {minPrecision, maxPrecision, maxPointsPerCell})
+  for (const cell of cells) {
+    assert.ok(cells.every(other => other === cell || !other.startsWith(cell)), cell)
+    const count = points.filter(({latitude, longitude}) => Geohash.contains(cell, latitude, longitude)).length
+    assert.ok(count <= maxPointsPerCell || cell.length === maxPrecision, `${cell} ${count}`)
+  }
+  assertTiling(cells, cell => cell.slice(0, minPrecision), cell => 32 ** (minPrecision - cell.length),
+    () => points.map(({latitude, longitude}) => Geohash.encode(latitude, longitude, minPrecision)))
+})
+
+test('integer density partitions exactly tile the minimum bits cells of the data', () => {
+  const [minBits, maxBits, maxPointsPerCell] = [7, 40, 20]
+  const cells = Geohash.partitionByDensityInt(points, {minBits, maxBits, maxPointsPerCell})
+  const bigIntCells = Geohash.partitionByDensityBigInt(points, {minBits, maxBits, maxPointsPerCell})
+  assert.deepEqual(bigIntCells, cells.map(([geoint, bits]) => [BigInt(geoint), bits]))
+  for (const [geoint, bits] of cells) {
+    const count = points.filter(({latitude, longitude}) =>
+      Math.floor(Geohash.encodeInt(latitude, longitude, maxBits) / 2 ** (maxBits - bits)) === geoint).length
+    assert.ok(count <= maxPointsPerCell || bits === maxBits, `${geoint} ${bits} ${count}`)
+  }
+  const ranges = cells.map(([geoint, bits]) => [geoint * 2 ** (maxBits - bits), (geoint + 1) * 2 ** (maxBits - bits)])
+    .sort((a, b) => a[0] - b[0])
+  for (let i = 1; i < ranges.length; i++) {
+    assert.ok(ranges[i - 1][1] <= ranges[i][0])
+  }
+  assertTiling(cells, ([geoint, bits]) => Math.floor(geoint / 2 ** (bits - minBits)),
+    ([, bits]) => 2 ** (minBits - bits),
+    () => points.map(({latitude, longitude}) => Geohash.encodeInt(latitude, longitude, minBits)))
+})
@@ -0,0 +1,36 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import Geohash from '../lib/index.mjs'
+
+test('Plus Codes encode the reference locations', () => {
+  assert.equal(Geohash.encodePlusCode(47.365590, 8.524997), '8FVC9G8F+6X')
+  assert.equal(Geohash.encodePlusCode(47.365590, 8.524997, 11), '8FVC9G8F+6XQ')
+  assert.equal(Geohash.encodePlusCode(20.3700625, 2.7821875), '7FG49QCJ+2V')
+  assert.equal(Geohash.encodePlusCode(-41.2730625, 174.7859375), '4VCPPQGP+Q9')
+  assert.equal(Geohash.encodePlusCode(90, 1), 'CFX3X2X2+X2')
+  assert.equal(Geohash.encodePlusCode(1, 180), '62H22222+22')
+})
+
+test('Plus Codes decode to the reference area', () => {
+  const [minLat, minLon, maxLat, maxLon] = Geohash.decodePlusCodeBoundingBox('9C3W9QCJ+2VX')
+  assert.ok(Math.abs(minLat - 51.3701) < 1e-9)
+  assert.ok(Math.abs(minLon - -1.21778125) < 1e-9)
+  assert.ok(Math.abs(maxLat - 51.370125) < 1e-9)
+  assert.ok(Math.abs(maxLon - -1.21775) < 1e-9)
+  const {latitude, longitude} = Geohash.decodePlusCode('9C3W9QCJ+2VX')
+  assert.ok(Math.abs(latitude - 51.3701125) < 1e-9)
+  assert.ok(Math.abs(longitude - -1.217765625) < 1e-9)
+})
+
+test('Plus Codes shorten and recover around the reference location', () => {
+  for (const [latitude, longitude, shortCode] of [
+    [51.3701125, -1.217765625, '+2VX'],
+    [51.3708675, -1.217765625, 'CJ+2VX'],
+    [51.3852125, -1.217765625, '9QCJ+2VX']
+  ]) {
+    assert.equal(Geohash.shortenPlusCode('9C3W9QCJ+2VX', latitude, longitude), shortCode)
+    assert.equal(Geohash.recoverPlusCode(shortCode, latitude, longitude), '9C3W9QCJ+2VX')
+  }
+  assert.equal(Geohash.shortenPlusCode('8FVC9G8F+6X', 47.4, 8.6), '9G8F+6X')
+  assert.equal(Geohash.recoverPlusCode('9G8F+6X', 47.4, 8.6), '8FVC9G8F+6X')
+})
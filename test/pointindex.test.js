@@ -0,0 +1,75 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import Geohash from '../lib/index.mjs'
+
+const createPoints = () => {
+  let seed = 42
+  const random = () => (seed = seed * 16807 % 2147483647) / 2147483647
+  const points = []
+  for (let i = 0; i < 1500; i++) {
+    points.push([`p${i}`, random() * 180 - 90, random() * 360 - 180])
+  }
+  for (let i = 0; i < 300; i++) {
+    points.push([`n${i}`, 89 + random(), random() * 360 - 180])
+    points.push([`a${i}`, random() * 10 - 5, random() < 0.5 ? 179 + random() : -180 + random()])
+    points.push([`c${i}`, 64 + random() * 0.2, 64 + random() * 0.2])
+  }
+  return points
+}
+
+const points = createPoints()
+const index = new Geohash.GeohashPointIndex({bits: 30})
+for (const [id, latitude, longitude] of points) {
+  index.insert(id, latitude, longitude, {id})
+}
+
+const getDistances = (latitude, longitude) => points
+  .map(([id, pointLat, pointLon]) => [id, Geohash.getDistance(latitude, longitude, pointLat, pointLon)])
+  .sort((a, b) => a[1] - b[1])
+
+const QUERIES = [[64.1, 64.1], [89.9, 10], [0, 179.9], [0, -179.9], [-45, 30]]
+
+test('point index radius search returns every point within the radius by distance', () => {
+  for (const [latitude, longitude] of QUERIES) {
+    for (const radius of [1, 50, 500]) {
+      const expected = getDistances(latitude, longitude).filter(([, distance]) => distance <= radius)
+      const result = index.searchRadius(latitude, longitude, radius)
+      assert.deepEqual(result.map(point => point.id), expected.map(([id]) => id), `${latitude},${longitude} ${radius}`)
+      result.forEach((point, i) => assert.equal(point.distance, expected[i][1]))
+    }
+  }
+})
+
+test('point index box search returns every point in the box, across the antimeridian', () => {
+  for (const [minLat, minLon, maxLat, maxLon] of [[64, 64, 64.1, 64.1], [-5, 179, 5, -179], [88, -180, 90, 180]]) {
+    const expected = points.filter(([, latitude, longitude]) => latitude >= minLat && latitude <= maxLat &&
+      (minLon <= maxLon ? longitude >= minLon && longitude <= maxLon : longitude >= minLon || longitude <= maxLon))
+    const result = index.searchBox(minLat, minLon, maxLat, maxLon)
+    assert.deepEqual(result.map(point => point.id).sort(), expected.map(([id]) => id).sort())
+  }
+})
+
+test('point index nearest returns the closest points within the maximum distance', () => {
+  for (const [latitude, longitude] of QUERIES) {
+    const distances = getDistances(latitude, longitude)
+    const nearest = index.nearest(latitude, longitude, 5)
+    assert.deepEqual(nearest.map(point => point.id), distances.slice(0, 5).map(([id]) => id))
+    const maxDistance = distances[2][1]
+    const bounded = index.nearest(latitude, longitude, 10, {maxDistance})
+    assert.deepEqual(bounded.map(point => point.id), distances.slice(0, 3).map(([id]) => id))
+    assert.deepEqual(index.nearest(latitude, longitude, 10, {maxDistance: distances[0][1] / 2}), [])
+  }
+})
+
+test('point index updates and removals move points between buckets', () => {
+  const updated = new Geohash.GeohashPointIndex()
+  updated.insert('a', 10, 10, 'A').insert('b', 10.001, 10.001)
+  assert.throws(() => updated.insert('a', 0, 0), RangeError)
+  assert.equal(updated.update('a', -10, -10), true)
+  assert.deepEqual(updated.searchRadius(10, 10, 1).map(point => point.id), ['b'])
+  assert.deepEqual(updated.get('a'), {id: 'a', latitude: -10, longitude: -10, data: 'A'})
+  assert.equal(updated.remove('b'), true)
+  assert.equal(updated.remove('b'), false)
+  assert.equal(updated.update('b', 0, 0), false)
+  assert.equal(updated.size, 1)
+})
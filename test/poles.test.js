@@ -0,0 +1,45 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import Geohash from '../lib/index.mjs'
+
+const diagonals = {
+  northeast: ['east', 'north'],
+  northwest: ['west', 'north'],
+  southeast: ['east', 'south'],
+  southwest: ['west', 'south']
+}
+
+const checkDiagonals = (cells, getNeighbor) => {
+  for (const cell of cells) {
+    for (const direction in diagonals) {
+      const [lonDirection, latDirection] = diagonals[direction]
+      assert.equal(getNeighbor(cell, direction), getNeighbor(getNeighbor(cell, lonDirection), latDirection),
+        `${cell} ${direction}`)
+    }
+  }
+}
+
+test('diagonal neighbors across the poles match east or west then north or south', () => {
+  const geohashes = ['upz', 'bpb', 'zzz', 'h00', '000', 'pbp', 'u', '5', 'gzzzzz', '4000000']
+  checkDiagonals(geohashes, Geohash.getNeighbor)
+  checkDiagonals([0, 7, 1023, 682, 341], (geoint, direction) => Geohash.getNeighborInt(geoint, direction, 10))
+  checkDiagonals([0n, 3n, 2n ** 63n, 2n ** 64n - 1n],
+    (geobigint, direction) => Geohash.getNeighborBigInt(geobigint, direction, 64))
+  checkDiagonals([0, 5, 1023, 640], (hilbert, direction) => Geohash.getHilbertNeighbor(hilbert, direction, 10))
+})
+
+test('neighbors across the poles are shifted by 180 degrees', () => {
+  assert.equal(Geohash.getNeighbor('upz', 'north'), 'bpz')
+  assert.equal(Geohash.getNeighbor('upz', 'northeast'), 'brb')
+  assert.equal(Geohash.getNeighbor('upz', 'northwest'), 'bpy')
+})
+
+test('the clip poles option returns null beyond the poles', () => {
+  const neighbors = Geohash.getNeighbors('upz', {poles: 'clip'})
+  assert.equal(neighbors.north, null)
+  assert.equal(neighbors.northeast, null)
+  assert.equal(neighbors.northwest, null)
+  assert.equal(neighbors.east, 'urb')
+  assert.equal(Geohash.getNeighborInt(0, 'south', 10, {poles: 'clip'}), null)
+  assert.throws(() => Geohash.getNeighbor('upz', 'north', {poles: 'null'}), TypeError)
+})
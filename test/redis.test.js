@@ -0,0 +1,32 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import Geohash from '../lib/index.mjs'
+
+// GEOADD Sicily 13.361389 38.115556 "Palermo" 15.087269 37.502669 "Catania"
+const SICILY = [
+  ['Palermo', 38.115556, 13.361389, 3479099956230698, 38.11555639549629859, 13.36138933897018433],
+  ['Catania', 37.502669, 15.087269, 3479447370796909, 37.50266842333162032, 15.08726745843887329]
+]
+
+test('Redis scores match the GEOADD scores of the Sicily example', () => {
+  for (const [name, latitude, longitude, score] of SICILY) {
+    assert.equal(Geohash.encodeRedis(latitude, longitude), score, name)
+  }
+})
+
+test('Redis scores decode to the GEOPOS positions of the Sicily example', () => {
+  for (const [name, , , score, latitude, longitude] of SICILY) {
+    const location = Geohash.decodeRedis(score)
+    assert.ok(Math.abs(location.latitude - latitude) < 1e-12, name)
+    assert.ok(Math.abs(location.longitude - longitude) < 1e-12, name)
+  }
+})
+
+test('Redis radius queries cover the GEORADIUS results of the Sicily example', () => {
+  const isInQueries = (queries, score) => queries.some(([start, end]) => score >= start && score < end)
+  const queries = Geohash.getRedisRadiusQueries(37, 15, 200)
+  for (const [name, , , score] of SICILY) {
+    assert.ok(isInQueries(queries, score), name)
+  }
+  assert.ok(isInQueries(Geohash.getRedisRadiusQueries(37, 15, 100), SICILY[1][3]))
+})
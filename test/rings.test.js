@@ -0,0 +1,73 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import Geohash from '../lib/index.mjs'
+
+const getWrappedDistance = (dx, columns) => {
+  const distance = Math.abs(dx) % columns
+  return Math.min(distance, columns - distance)
+}
+
+const getBruteForceRing = (cells, origin, k) => cells
+  .filter(cell => Math.max(Math.abs(cell.y - origin.y), getWrappedDistance(cell.x - origin.x, origin.columns)) === k)
+  .map(cell => cell.value)
+  .sort()
+
+const getGridCells = bits => {
+  const result = []
+  for (let geoint = 0; geoint < 2 ** bits; geoint++) {
+    const {x, y, lonBits} = Geohash.toGridCoordinatesInt(geoint, bits)
+    result.push({value: geoint, x, y, columns: 2 ** lonBits})
+  }
+  return result
+}
+
+// The corners, the poles, both sides of the antimeridian, the center and an off-center cell
+const getSampleOrigins = cells => {
+  const {columns} = cells[0]
+  const rows = cells.length / columns
+  const midX = Math.floor(columns / 2)
+  const midY = Math.floor(rows / 2)
+  const coordinates = [
+    [0, 0], [columns - 1, 0], [0, rows - 1], [columns - 1, rows - 1],
+    [midX, 0], [midX, rows - 1], [0, midY], [columns - 1, midY],
+    [midX, midY], [Math.floor(columns / 4), Math.floor(rows * 3 / 4)]
+  ]
+  return cells.filter(cell => coordinates.some(([x, y]) => cell.x === x && cell.y === y))
+}
+
+const checkRings = (cells, getRing, getDisk, toKey) => {
+  const maxK = Math.max(cells[0].columns, 4)
+  for (const origin of getSampleOrigins(cells)) {
+    const disk = []
+    for (let k = 0; k <= maxK; k++) {
+      const ring = getRing(origin.value, k)
+      assert.equal(new Set(ring.map(toKey)).size, ring.length, `${origin.value} ${k} has duplicates`)
+      assert.deepEqual(ring.map(toKey).sort(), getBruteForceRing(cells, origin, k).map(toKey).sort(),
+        `ring ${origin.value} ${k}`)
+      disk.push(...ring)
+      assert.deepEqual(getDisk(origin.value, k).map(toKey).sort(), disk.map(toKey).sort(), `disk ${origin.value} ${k}`)
+    }
+  }
+}
+
+test('rings contain exactly the cells at the wrapped Chebyshev distance', () => {
+  for (const bits of [1, 2, 3, 5, 6, 10]) {
+    const cells = getGridCells(bits)
+    checkRings(cells, (geoint, k) => Geohash.getRingInt(geoint, k, bits),
+      (geoint, k) => Geohash.getDiskInt(geoint, k, bits), String)
+    const bigIntCells = cells.map(cell => ({...cell, value: BigInt(cell.value)}))
+    checkRings(bigIntCells, (geobigint, k) => Geohash.getRingBigInt(geobigint, k, bits),
+      (geobigint, k) => Geohash.getDiskBigInt(geobigint, k, bits), String)
+    if (bits % 5 === 0) {
+      const geohashCells = cells.map(cell => ({...cell, value: Geohash.geointToGeohash(cell.value, bits)}))
+      checkRings(geohashCells, Geohash.getRing, Geohash.getDisk, String)
+    }
+  }
+})
+
+test('rings past half the columns do not repeat cells or include the origin', () => {
+  assert.equal(Geohash.getRing('s', 3).length, 8)
+  assert.deepEqual(Geohash.getRing('s', 5), [])
+  assert.deepEqual(Geohash.getRing('s', 8), [])
+  assert.equal(Geohash.getDisk('s', 8).length, 32)
+})
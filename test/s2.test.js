@@ -0,0 +1,42 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import Geohash from '../lib/index.mjs'
+
+// Reference cell ids from the S2 geometry library.
+const S2_VECTORS = [
+  [40.7128, -74.006, 10, 0x89c25b0000000000n],
+  [40.7128, -74.006, 30, 0x89c25a220cf80969n],
+  [0, 0, 30, 0x1000000000000001n],
+  [90, 0, 10, 0x5000010000000000n],
+  [-90, 0, 10, 0xb000010000000000n],
+  [-33.856784, 151.215297, 30, 0x6b12ae66906dfdffn],
+  [0, 180, 30, 0x6fffffffffffffffn],
+  [45, -180, 10, 0x7d55550000000000n],
+  [51.5, -0.1, 30, 0x487604a41cf6ceedn]
+]
+
+const assertAlmostEqual = (actual, expected) => {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`)
+}
+
+test('S2 cell ids match the reference cell ids', () => {
+  for (const [latitude, longitude, level, id] of S2_VECTORS) {
+    assert.equal(Geohash.latLonToS2CellId(latitude, longitude, level), id, `${latitude},${longitude} ${level}`)
+  }
+  for (let level = 9; level <= 30; level++) {
+    const token = Geohash.latLonToS2CellId(40.7128, -74.006, level).toString(16)
+    assert.ok(token.startsWith('89c25'), `${level} ${token}`)
+  }
+})
+
+test('S2 cells decode to the reference centers and bounds', () => {
+  const center = Geohash.s2CellIdToLatLon(0x89c2590000000000n)
+  assertAlmostEqual(center.latitude, 40.75509755935301)
+  assertAlmostEqual(center.longitude, -73.9830029344863)
+  const boundingBox = Geohash.s2CellBoundingBox(0x89c2590000000000n)
+  const expected = [40.708880489804535, -74.0300122498385, 40.801268433943925, -73.9359821143374]
+  boundingBox.forEach((value, i) => assertAlmostEqual(value, expected[i]))
+  const faceBoundingBox = Geohash.s2CellBoundingBox(0x5000000000000000n)
+  assertAlmostEqual(faceBoundingBox[0], 35.26438968275463)
+  assert.deepEqual(faceBoundingBox.slice(1), [-180, 90, 180])
+})
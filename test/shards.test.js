@@ -0,0 +1,91 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import Geohash from '../lib/index.mjs'
+
+const getSampledCircleShards = (router, latitude, longitude, radius) => {
+  const result = new Set()
+  const deltaLat = radius / Geohash.EARTH_LATITUDE_DEGREE + 0.1
+  for (let i = 0; i <= 200; i++) {
+    const pointLat = Math.max(-90, Math.min(90, latitude - deltaLat + i * deltaLat / 100))
+    for (let j = 0; j < 360; j++) {
+      const pointLon = -180 + j
+      if (Geohash.getDistance(latitude, longitude, pointLat, pointLon) <= radius) {
+        result.add(router.getShard(pointLat, pointLon))
+      }
+    }
+  }
+  return result
+}
+
+test('circle shards include every shard of a sampled point in the circle', () => {
+  const cases = [
+    [{shards: 64, precision: 3, strategy: 'range'}, 89.5, 0, 200],
+    [{shards: 64, precision: 3, strategy: 'range'}, -89.9, 10, 50],
+    [{shards: 16, precision: 5, strategy: 'range'}, 64, 64, 300],
+    [{shards: 7, precision: 4, strategy: 'prefix'}, 0, 179.9, 100],
+    [{shards: 5, precision: 2, strategy: 'rendezvous'}, 45, -120, 2000]
+  ]
+  for (const [options, latitude, longitude, radius] of cases) {
+    const router = Geohash.createShardRouter(options)
+    const shards = router.getCircleShards(latitude, longitude, radius)
+    for (const shard of getSampledCircleShards(router, latitude, longitude, radius)) {
+      assert.ok(shards.includes(shard), `${latitude},${longitude} ${radius} ${shard}`)
+    }
+  }
+})
+
+test('circle shards around the pole match the sampled shards', () => {
+  const router = Geohash.createShardRouter({shards: 64, precision: 3, strategy: 'range'})
+  assert.deepEqual(router.getCircleShards(89.5, 0, 200), [21, 23, 29, 31, 53, 55, 61, 63])
+})
+
+const assertRangesCoverEveryCell = (router, precision) => {
+  const ranges = router.getRanges()
+  let nextCell = 0
+  let previousShard
+  for (const [start, end, shard] of ranges) {
+    assert.equal(start.length, precision)
+    assert.equal(end.length, precision)
+    assert.equal(Geohash.geohashToGeoint(start)[0], nextCell, start)
+    assert.notEqual(shard, previousShard, start)
+    nextCell = Geohash.geohashToGeoint(end)[0] + 1
+    previousShard = shard
+  }
+  assert.equal(nextCell, 32 ** precision)
+  return ranges
+}
+
+test('moving ranges keeps every cell covered by exactly one range', () => {
+  const router = Geohash.createShardRouter({shards: ['a', 'b', 'c', 'd'], precision: 2, strategy: 'range'})
+  assertRangesCoverEveryCell(router, 2)
+  const moves = [['v', 'v', 'a'], ['0', '1z', 'd'], ['b5', 'pz', 'c'], ['zz', 'zz', 'b'], ['00', 'zz', 'a']]
+  for (const [start, end, shard] of moves) {
+    const previous = router.getRanges()
+    const moved = router.moveRange(start, end, shard)
+    const ranges = assertRangesCoverEveryCell(router, 2)
+    for (const [movedStart, movedEnd, movedShard] of moved) {
+      assert.ok(previous.some(range => range[0] <= movedStart && movedEnd <= range[1] && range[2] === movedShard))
+    }
+    assert.equal(router.getGeohashShard(`${start}0`.slice(0, 2)), shard)
+    assert.equal(router.getGeohashShard(`${end}z`.slice(0, 2)), shard)
+    const restored = Geohash.createShardRouter({shards: ['a', 'b', 'c', 'd'], precision: 2, ranges})
+    assert.deepEqual(restored.getRanges(), ranges)
+  }
+  assert.deepEqual(router.getRanges(), [['00', 'zz', 'a']])
+})
+
+test('shard router ranges must cover every cell exactly once', () => {
+  const options = ranges => ({shards: ['a', 'b'], precision: 1, ranges})
+  assert.deepEqual(Geohash.createShardRouter(options([['0', 'g', 'a'], ['h', 'z', 'b']])).getRanges(),
+    [['0', 'g', 'a'], ['h', 'z', 'b']])
+  assert.throws(() => Geohash.createShardRouter(options('0-z')), TypeError)
+  assert.throws(() => Geohash.createShardRouter(options(['0'])), TypeError)
+  assert.throws(() => Geohash.createShardRouter(options([['0', 'g', 'a'], ['j', 'z', 'b']])), RangeError)
+  assert.throws(() => Geohash.createShardRouter(options([['0', 'h', 'a'], ['h', 'z', 'b']])), RangeError)
+  assert.throws(() => Geohash.createShardRouter(options([['0', 'g', 'a'], ['h', 'y', 'b']])), RangeError)
+  assert.throws(() => Geohash.createShardRouter(options([['0', 'z', 'c']])), RangeError)
+  assert.throws(() => Geohash.createShardRouter(options([['z', '0', 'a']])), RangeError)
+  const prefixRouter = Geohash.createShardRouter({shards: 2, precision: 1, strategy: 'prefix'})
+  assert.throws(() => prefixRouter.getRanges(), TypeError)
+  assert.throws(() => prefixRouter.moveRange('0', 'z', 0), TypeError)
+})
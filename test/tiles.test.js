@@ -0,0 +1,42 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import Geohash from '../lib/index.mjs'
+
+const getTile = (latitude, longitude, zoom) => {
+  const size = 2 ** zoom
+  const latRadians = latitude * Math.PI / 180
+  return [
+    Math.floor((longitude + 180) / 360 * size),
+    Math.floor((1 - Math.asinh(Math.tan(latRadians)) / Math.PI) / 2 * size)
+  ]
+}
+
+test('quadkeys match the Bing Maps tile system example', () => {
+  assert.equal(Geohash.tileToQuadkey(3, 3, 5), '213')
+  assert.deepEqual(Geohash.quadkeyToTile('213'), [3, 3, 5])
+  assert.deepEqual(['0', '1', '2', '3'].map(quadkey => Geohash.quadkeyToTile(quadkey)),
+    [[1, 0, 0], [1, 1, 0], [1, 0, 1], [1, 1, 1]])
+  for (const quadkey of ['0', '213', '1202102332221212', '33333333']) {
+    const [zoom, x, y] = Geohash.quadkeyToTile(quadkey)
+    assert.equal(Geohash.tileToQuadkey(zoom, x, y), quadkey)
+  }
+})
+
+test('tile bounding boxes follow the Web Mercator tile edges', () => {
+  assert.deepEqual(Geohash.tileToBoundingBox(0, 0, 0), [-85.05112877980659, -180, 85.05112877980659, 180])
+  assert.deepEqual(Geohash.tileToBoundingBox(1, 1, 0), [0, 0, 85.05112877980659, 180])
+  assert.deepEqual(Geohash.tileToBoundingBox(3, 3, 5), [-66.51326044311186, -45, -40.979898069620134, 0])
+})
+
+test('tiles for a geohash include the tile of every sampled point', () => {
+  for (const [geohash, zoom] of [['v7ms', 10], ['u33d', 12], ['9q8yy', 14], ['r3gx2', 9]]) {
+    const tiles = Geohash.tilesForGeohash(geohash, zoom)
+    const [minLat, minLon, maxLat, maxLon] = Geohash.decodeBoundingBox(geohash)
+    for (let i = 1; i < 10; i++) {
+      for (let j = 1; j < 10; j++) {
+        const [x, y] = getTile(minLat + (maxLat - minLat) * i / 10, minLon + (maxLon - minLon) * j / 10, zoom)
+        assert.ok(tiles.some(tile => tile[0] === x && tile[1] === y), `${geohash} ${x} ${y}`)
+      }
+    }
+  }
+})
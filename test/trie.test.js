@@ -0,0 +1,70 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import Geohash from '../lib/index.mjs'
+
+const createEntries = () => {
+  let seed = 11
+  const random = () => (seed = seed * 16807 % 2147483647) / 2147483647
+  const entries = []
+  for (let i = 0; i < 400; i++) {
+    const latitude = 60 + random() * 10
+    const longitude = 60 + random() * 10
+    entries.push([Geohash.encode(latitude, longitude, 6), Math.floor(random() * 200) - 100])
+  }
+  return entries
+}
+
+const entries = createEntries()
+const trie = new Geohash.GeohashTrie()
+for (const [geohash, value] of entries) {
+  trie.add(geohash, value)
+}
+
+const getAggregates = precision => {
+  const aggregates = new Map()
+  for (const [geohash, value] of entries) {
+    const prefix = geohash.slice(0, precision)
+    const aggregate = aggregates.get(prefix)
+    if (aggregate === undefined) {
+      aggregates.set(prefix, {count: 1, sum: value, min: value, max: value})
+    } else {
+      aggregate.count++
+      aggregate.sum += value
+      aggregate.min = Math.min(aggregate.min, value)
+      aggregate.max = Math.max(aggregate.max, value)
+    }
+  }
+  return [...aggregates].sort((a, b) => a[0] < b[0] ? -1 : 1)
+}
+
+test('trie aggregates count, sum, min and max of every prefix', () => {
+  assert.equal(trie.size, entries.length)
+  for (let precision = 1; precision <= 6; precision++) {
+    const aggregates = getAggregates(precision)
+    assert.deepEqual(trie.entriesAtPrecision(precision), aggregates)
+    for (const [prefix, aggregate] of aggregates) {
+      assert.deepEqual(trie.get(prefix), aggregate)
+    }
+  }
+  assert.deepEqual(trie.get(''), getAggregates(0)[0][1])
+  assert.equal(trie.get('0'), null)
+})
+
+test('trie children aggregate the next character of a prefix', () => {
+  for (const [prefix] of getAggregates(3)) {
+    const expected = getAggregates(4).filter(([geohash]) => geohash.startsWith(prefix))
+    assert.deepEqual(trie.children(prefix), expected)
+  }
+  assert.deepEqual(trie.children(''), getAggregates(1))
+  assert.deepEqual(trie.children('0'), [])
+})
+
+test('trie topK ranks the cells of a precision by the aggregate', () => {
+  for (const by of ['count', 'sum', 'min', 'max']) {
+    const expected = getAggregates(4).sort((a, b) => b[1][by] - a[1][by]).slice(0, 5)
+    assert.deepEqual(trie.topK(4, 5, {by}), expected)
+  }
+  assert.deepEqual(trie.topK(4, 3), trie.topK(4, 3, {by: 'count'}))
+  assert.throws(() => trie.topK(4, 0), RangeError)
+  assert.throws(() => trie.topK(4, 1, {by: 'mean'}), TypeError)
+})
@@ -0,0 +1,72 @@
+import test from 'node:test'
+import assert from 'node:assert/strict'
+import Geohash from '../lib/index.mjs'
+
+// Reference values from PROJ (+proj=utm/+proj=stere +k=0.994 +ellps=WGS84) and the mgrs package.
+const UTM_VECTORS = [
+  [48.85837, 2.294481, 31, 'N', 448250.5768, 5411951.5880, '31UDQ4825011951'],
+  [45, 3, 31, 'N', 500000, 4982950.4002, '31TEK0000082950'],
+  [78, 10, 33, 'N', 384085.4751, 8663320.2014, '33XUG8408563320'],
+  [64.0123456789, 64.0123456789, 41, 'N', 549492.5890, 7098782.9177, '41WNL4949298782'],
+  [-33.856784, 151.215297, 56, 'S', 334900.2613, 6252290.5224, '56HLH3490052290'],
+  [40.689247, -74.044502, 18, 'N', 580735.6450, 4504700.3807, '18TWL8073504700'],
+  [0, 0.5, 31, 'N', 221723.6832, 0, '31NBA2172300000'],
+  [-79.9, -179.9, 1, 'S', 443247.8718, 1128161.3729, '1CDM4324728161']
+]
+
+const UPS_VECTORS = [
+  [85, 0, 'N', 2000000, 1444542.6086, 'ZAB0000044542'],
+  [89, 45, 'N', 2078507.6053, 1921492.3947, 'ZAG7850721492'],
+  [-85, 0, 'S', 2000000, 2555457.3914, 'BAT0000055457'],
+  [-88, -120, 'S', 1807682.3717, 1888965.3655, 'AYL0768288965'],
+  [84.5, 30, 'N', 2305540.6780, 1470788.0219, 'ZFB0554070788']
+]
+
+const assertCoordinate = (actual, expected, message) => {
+  assert.ok(Math.abs(actual - expected) < 0.001, `${message}: ${actual} != ${expected}`)
+}
+
+test('toUTM matches the WGS84 reference projection', () => {
+  for (const [latitude, longitude, zone, hemisphere, easting, northing] of UTM_VECTORS) {
+    const utm = Geohash.toUTM(latitude, longitude)
+    assert.equal(utm.zone, zone)
+    assert.equal(utm.hemisphere, hemisphere)
+    assertCoordinate(utm.easting, easting, `${latitude},${longitude} easting`)
+    assertCoordinate(utm.northing, northing, `${latitude},${longitude} northing`)
+  }
+})
+
+test('toUTM projects the polar caps on UPS', () => {
+  for (const [latitude, longitude, hemisphere, easting, northing] of UPS_VECTORS) {
+    const ups = Geohash.toUTM(latitude, longitude)
+    assert.equal(ups.zone, 0)
+    assert.equal(ups.hemisphere, hemisphere)
+    assertCoordinate(ups.easting, easting, `${latitude},${longitude} easting`)
+    assertCoordinate(ups.northing, northing, `${latitude},${longitude} northing`)
+  }
+})
+
+test('toMGRS matches the reference grid references', () => {
+  for (const [latitude, longitude, , , , , mgrs] of UTM_VECTORS) {
+    assert.equal(Geohash.toMGRS(latitude, longitude), mgrs)
+  }
+  for (const [latitude, longitude, , , , mgrs] of UPS_VECTORS) {
+    assert.equal(Geohash.toMGRS(latitude, longitude), mgrs)
+  }
+  assert.equal(Geohash.toMGRS(90, 0), 'ZAH0000000000')
+  assert.equal(Geohash.toMGRS(-90, 0), 'BAN0000000000')
+})
+
+test('fromUTM and fromMGRS invert the projection', () => {
+  for (const [latitude, longitude, zone, hemisphere, easting, northing] of UTM_VECTORS) {
+    const location = Geohash.fromUTM(zone, hemisphere, easting, northing)
+    assert.ok(Math.abs(location.latitude - latitude) < 1e-7, `${latitude},${longitude}`)
+    assert.ok(Math.abs(location.longitude - longitude) < 1e-7, `${latitude},${longitude}`)
+  }
+  for (const [latitude, longitude] of UTM_VECTORS.concat(UPS_VECTORS)) {
+    const location = Geohash.fromMGRS(Geohash.toMGRS(latitude, longitude))
+    const longitudeTolerance = 1e-4 / Math.cos(latitude * Math.PI / 180)
+    assert.ok(Math.abs(location.latitude - latitude) < 1e-4, `${latitude},${longitude}`)
+    assert.ok(Math.abs(location.longitude - longitude) < longitudeTolerance, `${latitude},${longitude}`)
+  }
+})